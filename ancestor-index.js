@@ -0,0 +1,127 @@
+const { levelOrder } = require("./tree-traversal");
+
+/**
+ * A precomputed index answering ancestor queries on a fixed tree in O(log n),
+ * using binary lifting: for every node it stores the ancestors 1, 2, 4, 8, ...
+ * levels up, so any climb of k levels takes one jump per set bit of k.
+ *
+ * Building costs O(n log n) time and memory. The index is a snapshot: it does not
+ * notice later changes to the nodes, so its owner must drop it when the tree changes.
+ */
+class AncestorIndex {
+  /** Node -> its position in `#nodes` (level order). */
+  #ids = new Map();
+  /** Value -> the first node holding it, in level order. */
+  #firstByValue = new Map();
+  /** Nodes in level order. */
+  #nodes = [];
+  /** Depth of each node, indexed by id; the root is at depth 1. */
+  #depths = [];
+  /** #jumps[j][id] is the id of the ancestor 2^j levels above, or -1 past the root. */
+  #jumps = [];
+
+  /**
+   * Builds the index with one breadth-first walk.
+   * @param {object | null} root - The root node.
+   * @param {function(object): object[]} getChildren - Returns a node's children in order.
+   * @param {function(object): *} getValue - Returns a node's value, for value lookups.
+   */
+  constructor(root, getChildren, getValue) {
+    const parents = [];
+    for (const { node, depth, parent } of levelOrder(root, getChildren)) {
+      const id = this.#nodes.length;
+      this.#ids.set(node, id);
+      this.#nodes.push(node);
+      this.#depths.push(depth);
+      // Parents come earlier in level order, so their ids are already known.
+      parents.push(parent === null ? -1 : this.#ids.get(parent));
+      const value = getValue(node);
+      if (!this.#firstByValue.has(value)) this.#firstByValue.set(value, node);
+    }
+
+    let maxDepth = 0;
+    for (const depth of this.#depths) maxDepth = Math.max(maxDepth, depth);
+    this.#jumps.push(Int32Array.from(parents));
+    for (let j = 1; 1 << j < maxDepth; j++) {
+      const previous = this.#jumps[j - 1];
+      const jump = new Int32Array(previous.length);
+      for (let id = 0; id < previous.length; id++) {
+        const half = previous[id];
+        jump[id] = half === -1 ? -1 : previous[half];
+      }
+      this.#jumps.push(jump);
+    }
+  }
+
+  /**
+   * Resolves a lookup target: an indexed node stands for itself, anything else is
+   * taken as a value and stands for its first match in level order. null and
+   * undefined stand for nothing, as in BinaryTree lookups.
+   * @param {object | *} nodeOrValue - A node or a value.
+   * @returns {object | null} The node, or null if there is no match.
+   */
+  resolve(nodeOrValue) {
+    if (nodeOrValue === null || nodeOrValue === undefined) return null;
+    if (this.#ids.has(nodeOrValue)) return nodeOrValue;
+    return this.#firstByValue.get(nodeOrValue) ?? null;
+  }
+
+  /**
+   * Returns the depth of an indexed node (the root is at depth 1).
+   * @param {object} node - An indexed node.
+   * @returns {number} Its depth.
+   */
+  depthOf(node) {
+    return this.#depths[this.#ids.get(node)];
+  }
+
+  /**
+   * Climbs k levels from an id, one jump per set bit of k.
+   * @param {number} id - The starting id.
+   * @param {number} k - How many levels to climb; must not pass the root.
+   * @returns {number} The id reached.
+   */
+  #climb(id, k) {
+    for (let j = 0; k > 0; j++, k >>= 1) {
+      if (k & 1) id = this.#jumps[j][id];
+    }
+    return id;
+  }
+
+  /**
+   * Finds the ancestor k levels above a node.
+   * @param {object} node - An indexed node.
+   * @param {number} k - A non-negative integer; 0 returns the node itself.
+   * @returns {object | null} The ancestor, or null if k climbs past the root.
+   */
+  kthAncestor(node, k) {
+    const id = this.#ids.get(node);
+    if (k >= this.#depths[id]) return null;
+    return this.#nodes[this.#climb(id, k)];
+  }
+
+  /**
+   * Finds the lowest common ancestor of two indexed nodes: lift the deeper one to
+   * the other's depth, then lift both by decreasing powers of two while they differ.
+   * @param {object} node1 - An indexed node.
+   * @param {object} node2 - An indexed node.
+   * @returns {object} The deepest node having both as descendants (a node counts as its own descendant).
+   */
+  lowestCommonAncestor(node1, node2) {
+    let a = this.#ids.get(node1);
+    let b = this.#ids.get(node2);
+    if (this.#depths[a] < this.#depths[b]) [a, b] = [b, a];
+    a = this.#climb(a, this.#depths[a] - this.#depths[b]);
+    if (a === b) return this.#nodes[a];
+
+    for (let j = this.#jumps.length - 1; j >= 0; j--) {
+      if (this.#jumps[j][a] !== this.#jumps[j][b]) {
+        a = this.#jumps[j][a];
+        b = this.#jumps[j][b];
+      }
+    }
+    return this.#nodes[this.#jumps[0][a]];
+  }
+}
+
+module.exports = { AncestorIndex };
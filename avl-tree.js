@@ -0,0 +1,236 @@
+const { BinaryTreeNode, replaceRoot } = require("./binary-tree");
+const {
+  BinarySearchTree,
+  rotateLeft,
+  rotateRight,
+} = require("./binary-search-tree");
+
+/**
+ * Represents a node in an AVL tree.
+ * Besides its value and children, each node caches the height of its subtree,
+ * from which its balance factor is derived.
+ */
+class AVLTreeNode extends BinaryTreeNode {
+  /**
+   * Creates a new AVL tree node. New nodes are leaves, of height 1.
+   * @param {*} value - The data to be stored in the node.
+   */
+  constructor(value) {
+    super(value);
+    this.height = 1; // Number of nodes on the longest path down to a leaf.
+  }
+
+  /**
+   * The height of the left subtree minus the height of the right subtree.
+   * The AVL invariant keeps it at -1, 0 or 1 for every node.
+   * @type {number}
+   */
+  get balanceFactor() {
+    return heightOf(this.left) - heightOf(this.right);
+  }
+}
+
+/**
+ * Returns the cached height of a subtree.
+ * @param {AVLTreeNode | null} node - The subtree's root.
+ * @returns {number} Its height, or 0 for an empty subtree.
+ */
+const heightOf = (node) => (node ? node.height : 0);
+
+/**
+ * Recomputes a node's cached height from its children's.
+ * @param {AVLTreeNode} node - The node to update.
+ */
+const updateHeight = (node) => {
+  node.height = 1 + Math.max(heightOf(node.left), heightOf(node.right));
+};
+
+/**
+ * Represents an AVL tree: a binary search tree that rebalances itself with
+ * rotations after every insertion and deletion, so that the heights of the two
+ * subtrees of any node differ by at most one. The height stays O(log n) even
+ * when values arrive in sorted order.
+ *
+ * Updates walk down once, remember the path, then walk back up it updating
+ * heights and rotating where needed, so no recursion is involved.
+ */
+class AVLTree extends BinarySearchTree {
+  /** Balanced by rotations on every update, so never built from a given shape. */
+  static balancesItself = true;
+
+  /**
+   * Creates a new, empty AVL tree. Fill it with `insert` or `AVLTree.from(values)`.
+   * @param {null} [rootNode=null] - Must be null; arbitrary nodes carry no height metadata.
+   * @param {Object} [options] - Constructor options (logger, compare), as for BinarySearchTree.
+   * @throws {TypeError} If a root node is given.
+   */
+  constructor(rootNode = null, options) {
+    if (rootNode !== null) {
+      throw new TypeError(
+        "AVLTree must start empty; build it with insert() or AVLTree.from()"
+      );
+    }
+    super(null, options);
+  }
+
+  /**
+   * A private helper that rotates left and refreshes the heights of the two moved nodes.
+   * @param {AVLTreeNode} node - The root of the subtree.
+   * @returns {AVLTreeNode} The new root of the subtree.
+   */
+  #rotateLeft(node) {
+    const pivot = rotateLeft(node);
+    updateHeight(node);
+    updateHeight(pivot);
+    return pivot;
+  }
+
+  /**
+   * A private helper that rotates right and refreshes the heights of the two moved nodes.
+   * @param {AVLTreeNode} node - The root of the subtree.
+   * @returns {AVLTreeNode} The new root of the subtree.
+   */
+  #rotateRight(node) {
+    const pivot = rotateRight(node);
+    updateHeight(node);
+    updateHeight(pivot);
+    return pivot;
+  }
+
+  /**
+   * A private helper that restores the AVL invariant at one node, whose children
+   * are already balanced, with a single or double rotation.
+   * @param {AVLTreeNode} node - The node to rebalance.
+   * @returns {AVLTreeNode} The root of the rebalanced subtree.
+   */
+  #rebalance(node) {
+    updateHeight(node);
+    const balance = node.balanceFactor;
+    if (balance > 1) {
+      // Left-heavy. A right-leaning left child needs a left-right double rotation.
+      if (node.left.balanceFactor < 0) node.left = this.#rotateLeft(node.left);
+      return this.#rotateRight(node);
+    }
+    if (balance < -1) {
+      // Right-heavy. A left-leaning right child needs a right-left double rotation.
+      if (node.right.balanceFactor > 0) {
+        node.right = this.#rotateRight(node.right);
+      }
+      return this.#rotateLeft(node);
+    }
+    return node;
+  }
+
+  /**
+   * A private helper that rebalances every node of a root-to-node path,
+   * bottom-up, relinking rotated subtrees into their parents.
+   * @param {AVLTreeNode[]} path - Nodes from the root downwards.
+   */
+  #rebalancePath(path) {
+    for (let i = path.length - 1; i >= 0; i--) {
+      const node = path[i];
+      const balanced = this.#rebalance(node);
+      if (balanced === node) continue;
+      const parent = path[i - 1];
+      if (!parent) this[replaceRoot](balanced);
+      else if (parent.left === node) parent.left = balanced;
+      else parent.right = balanced;
+    }
+  }
+
+  /**
+   * A private helper that walks down from the root towards `value`.
+   * @param {*} value - The value to search for.
+   * @returns {{node: AVLTreeNode | null, path: AVLTreeNode[]}} The node holding `value`
+   *          (null if absent) and the nodes above it, from the root down.
+   */
+  #descend(value) {
+    const path = [];
+    let node = this.root;
+    while (node) {
+      const order = this.compare(value, node.value);
+      if (order === 0) break;
+      path.push(node);
+      node = order < 0 ? node.left : node.right;
+    }
+    return { node, path };
+  }
+
+  /**
+   * Inserts a value, then rebalances the path back to the root.
+   *
+   * @param {*} value - The value to insert.
+   * @returns {AVLTreeNode} The node holding the value; the existing node if it was already present.
+   */
+  insert(value) {
+    const { node, path } = this.#descend(value);
+    if (node) return node;
+
+    const newNode = new AVLTreeNode(value);
+    const parent = path[path.length - 1];
+    if (!parent) this[replaceRoot](newNode);
+    else if (this.compare(value, parent.value) < 0) parent.left = newNode;
+    else parent.right = newNode;
+    this.#rebalancePath(path);
+    this.invalidate();
+    return newNode;
+  }
+
+  /**
+   * Removes a value as BinarySearchTree#delete does (relinking the in-order
+   * successor when the node has two children), then rebalances the path back to the root.
+   *
+   * @param {*} value - The value to remove.
+   * @returns {boolean} True if the value was found and removed, false otherwise.
+   */
+  delete(value) {
+    const { node, path } = this.#descend(value);
+    if (!node) return false;
+
+    let replacement;
+    // Nodes below the parent whose subtrees shrank, from the top down.
+    const changed = [];
+    if (!node.left || !node.right) {
+      replacement = node.left ?? node.right;
+    } else {
+      const successorPath = [];
+      let successor = node.right;
+      while (successor.left) {
+        successorPath.push(successor);
+        successor = successor.left;
+      }
+      if (successorPath.length > 0) {
+        successorPath[successorPath.length - 1].left = successor.right;
+        successor.right = node.right;
+      }
+      successor.left = node.left;
+      replacement = successor;
+      changed.push(successor, ...successorPath);
+    }
+
+    const parent = path[path.length - 1];
+    if (!parent) this[replaceRoot](replacement);
+    else if (parent.left === node) parent.left = replacement;
+    else parent.right = replacement;
+    node.left = null;
+    node.right = null;
+    node.height = 1;
+
+    this.#rebalancePath([...path, ...changed]);
+    this.invalidate();
+    return true;
+  }
+
+  /**
+   * Labels nodes with their value and balance factor, e.g. "8 [+1]".
+   *
+   * @param {AVLTreeNode} node - The node to label.
+   * @returns {string} The label.
+   */
+  formatNodeLabel(node) {
+    const balance = node.balanceFactor;
+    return `${node.value} [${balance > 0 ? "+" : ""}${balance}]`;
+  }
+}
+
+module.exports = { AVLTree, AVLTreeNode };
@@ -0,0 +1,92 @@
+const { AVLTree, AVLTreeNode } = require("./avl-tree");
+const {
+  inorderValues,
+  shuffled,
+  expectValidBalancedTree
+} = require("./balanced-tree-test-helpers");
+
+// Checks heights, balance factors and ordering of every node.
+function expectValidAVL(tree) {
+  expectValidBalancedTree(tree, node => {
+    const left = node.left ? node.left.height : 0;
+    const right = node.right ? node.right.height : 0;
+    return (
+      node.height !== 1 + Math.max(left, right) ||
+      Math.abs(node.balanceFactor) > 1
+    );
+  });
+}
+
+describe("AVLTree", function() {
+  it("stays balanced when values arrive in sorted order", function() {
+    const values = Array.from({ length: 1000 }, (_, i) => i);
+    const tree = AVLTree.from(values);
+
+    expectValidAVL(tree);
+    expect(inorderValues(tree)).toEqual(values);
+    // An AVL tree with 1000 nodes is at most ~1.44·log2(n) high.
+    expect(tree.maxDepth()).toBeLessThanOrEqual(14);
+    expect(tree.root).toBeInstanceOf(AVLTreeNode);
+  });
+
+  it("performs double rotations", function() {
+    const leftRight = AVLTree.from([3, 1, 2]);
+    const rightLeft = AVLTree.from([1, 3, 2]);
+    expect(leftRight.root.value).toBe(2);
+    expect(rightLeft.root.value).toBe(2);
+    expectValidAVL(leftRight);
+    expectValidAVL(rightLeft);
+  });
+
+  it("stays balanced through deletions", function() {
+    const values = shuffled(Array.from({ length: 300 }, (_, i) => i));
+    const tree = AVLTree.from(values);
+
+    for (const value of values.slice(0, 200)) {
+      expect(tree.delete(value)).toBe(true);
+      expectValidAVL(tree);
+    }
+    expect(inorderValues(tree)).toEqual(
+      values.slice(200).sort((a, b) => a - b)
+    );
+    expect(tree.delete(values[0])).toBe(false);
+
+    for (const value of values.slice(200)) tree.delete(value);
+    expect(tree.root).toBe(null);
+  });
+
+  it("keeps the BinaryTree queries working", function() {
+    const tree = AVLTree.from([1, 2, 3, 4, 5, 6, 7]);
+    expect(tree.minDepth()).toBe(3);
+    expect(tree.maxDepth()).toBe(3);
+    expect(tree.lowestCommonAncestor(tree.find(1), tree.find(3)).value).toBe(2);
+    expect(tree.successor(4)).toBe(5);
+  });
+
+  it("exposes balance factors to the visualizer", function() {
+    const events = [];
+    const tree = AVLTree.from([2, 1, 3, 4], { logger: events });
+    tree.maxDepth();
+    expect(events[0].visual).toContain("2 [-1]");
+    expect(events[0].visual).toContain("4 [0]");
+  });
+
+  it("must start empty", function() {
+    expect(() => new AVLTree(new AVLTreeNode(1))).toThrow(TypeError);
+  });
+
+  it("builds from sorted arrays but not from given shapes", function() {
+    const tree = AVLTree.fromSortedArray([1, 2, 3, 4, 5]);
+    expect(tree).toBeInstanceOf(AVLTree);
+    expectValidAVL(tree);
+    expect(inorderValues(tree)).toEqual([1, 2, 3, 4, 5]);
+    expect(() => AVLTree.fromSortedArray([2, 1])).toThrow("ascending");
+    expect(() => AVLTree.fromLevelOrderArray([2, 1, 3])).toThrow(TypeError);
+    expect(() => AVLTree.fromPreorderInorder([2, 1], [1, 2])).toThrow(
+      TypeError
+    );
+    expect(() => AVLTree.fromPostorderInorder([1, 2], [1, 2])).toThrow(
+      TypeError
+    );
+  });
+});
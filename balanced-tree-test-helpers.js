@@ -0,0 +1,42 @@
+/**
+ * Helpers shared by the AVL and red-black tree tests.
+ */
+
+/**
+ * Lists the values of a tree in order.
+ * @param {BinaryTree} tree - The tree.
+ * @returns {Array<*>} Its values, in in-order.
+ */
+const inorderValues = (tree) =>
+  [...tree.inorder()].map(({ node }) => node.value);
+
+/**
+ * Shuffles values deterministically, so that failures are reproducible.
+ * @param {Array<*>} values - The values; left unchanged.
+ * @param {number} [seed=42] - Seeds the linear congruential generator.
+ * @returns {Array<*>} A shuffled copy.
+ */
+function shuffled(values, seed = 42) {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const j = seed % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Expects a tree to be ordered and no node to break the tree's own invariants.
+ * One assertion covers the whole tree, so a failure names the first bad node
+ * instead of flooding the report.
+ * @param {BinarySearchTree} tree - The tree to check.
+ * @param {function(BinaryTreeNode): boolean} isBroken - True for a node that breaks
+ *        the invariants.
+ */
+function expectValidBalancedTree(tree, isBroken) {
+  expect(tree.isValidBST()).toBe(true);
+  expect(tree.find(isBroken)).toBe(null);
+}
+
+module.exports = { inorderValues, shuffled, expectValidBalancedTree };
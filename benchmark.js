@@ -0,0 +1,118 @@
+/**
+ * Times the breadth-first and path-based tree routines on large trees, to check that
+ * they scale linearly: the time per node should stay roughly flat as trees grow.
+ *
+ * Usage: node benchmark.js [size ...]   (default sizes: 100000 250000 500000 1000000)
+ *
+ * Trees are complete (binary, and ternary for Tree) and hold 0..n-1 in level order,
+ * so they are as wide as a tree of that size can be, which is where a dequeue
+ * costing O(queue length) would show up as quadratic growth.
+ */
+const { BinaryTree } = require("./binary-tree");
+const { Tree, TreeNode } = require("./tree");
+
+const sizes = process.argv.slice(2).map(Number);
+if (sizes.length === 0) sizes.push(100000, 250000, 500000, 1000000);
+if (sizes.some((n) => !Number.isInteger(n) || n < 1)) {
+  console.error("Sizes must be positive integers");
+  process.exit(1);
+}
+
+/**
+ * Runs a routine a few times and keeps the fastest run, to damp GC pauses.
+ * @param {function(): *} routine - The code to time.
+ * @param {number} [runs=3] - How many times to run it.
+ * @returns {number} Elapsed milliseconds of the fastest run.
+ */
+function time(routine, runs = 3) {
+  let best = Infinity;
+  for (let run = 0; run < runs; run++) {
+    const start = process.hrtime.bigint();
+    routine();
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return best;
+}
+
+/**
+ * Builds a complete ternary Tree holding 0..n-1 in level order.
+ * @param {number} n - The number of nodes.
+ * @returns {Tree} The tree.
+ */
+function completeTernaryTree(n) {
+  const nodes = Array.from({ length: n }, (_, i) => new TreeNode(i));
+  for (let i = 1; i < n; i++) {
+    nodes[Math.floor((i - 1) / 3)].children.push(nodes[i]);
+  }
+  return new Tree(nodes[0]);
+}
+
+/** The routines to time, each given the trees for one size. */
+const routines = {
+  "levelOrder walk": ({ tree }) => {
+    let visited = 0;
+    for (const _visit of tree.levelOrder()) visited++;
+    return visited;
+  },
+  minDepth: ({ tree }) => tree.minDepth(),
+  maxDepth: ({ tree }) => tree.maxDepth(),
+  nextLarger: ({ tree, n }) => tree.nextLarger(n - 2),
+  "pathTo (last node)": ({ tree, n }) => tree.pathTo(n - 1),
+  lowestCommonAncestor: ({ tree, n }) =>
+    tree.lowestCommonAncestor(n - 1, Math.floor(n / 2)),
+  serialize: ({ tree, serialized }) => {
+    serialized.text = BinaryTree.serialize(tree);
+  },
+  deserialize: ({ serialized }) => BinaryTree.deserialize(serialized.text),
+  "Tree level-order serialize": ({ nary, serialized }) => {
+    serialized.nary = Tree.serialize(nary, { format: "level-order" });
+  },
+  "Tree level-order deserialize": ({ serialized }) =>
+    Tree.deserialize(serialized.nary),
+};
+
+/**
+ * Builds the trees for one size and times every routine on them.
+ * @param {number} n - The number of nodes.
+ * @returns {number[]} Milliseconds per routine, in the order of `routines`.
+ */
+function measure(n) {
+  const tree = BinaryTree.fromLevelOrderArray(
+    Array.from({ length: n }, (_, i) => i)
+  );
+  const nary = completeTernaryTree(n);
+  const context = { n, tree, nary, serialized: {} };
+  return Object.values(routines).map((routine) => time(() => routine(context)));
+}
+
+// Let the JIT compile the hot paths before anything is recorded.
+measure(10000);
+const timingsBySize = sizes.map(measure);
+const results = new Map(
+  Object.keys(routines).map((name, r) => [
+    name,
+    timingsBySize.map((timings) => timings[r]),
+  ])
+);
+
+const pad = (text, width) => String(text).padStart(width);
+console.log(
+  pad("routine", 30) +
+    sizes.map((n) => pad(`n=${n}`, 14)).join("") +
+    pad("growth", 10)
+);
+for (const [name, timings] of results) {
+  // Time per node at the largest size relative to the smallest: ~1 means linear.
+  const perNode = timings.map((ms, i) => ms / sizes[i]);
+  const growth = perNode[perNode.length - 1] / perNode[0];
+  console.log(
+    pad(name, 30) +
+      timings.map((ms) => pad(`${ms.toFixed(1)} ms`, 14)).join("") +
+      pad(`${growth.toFixed(2)}x`, 10)
+  );
+}
+const sizeRatio = sizes[sizes.length - 1] / sizes[0];
+console.log(
+  `\ngrowth: time per node at the largest size over the smallest. Linear routines stay` +
+    ` near 1x (GC and cache effects add some); quadratic ones would reach ~${sizeRatio}x.`
+);
@@ -0,0 +1,442 @@
+const {
+  BinaryTree,
+  BinaryTreeNode,
+  defaultCompare,
+  replaceRoot,
+} = require("./binary-tree");
+
+/**
+ * Rotates a subtree to the left: the right child becomes the subtree's root and the
+ * old root becomes its left child. In-order sequence is preserved.
+ *
+ *     a                b
+ *    / \              / \
+ *   x   b     =>     a   z
+ *      / \          / \
+ *     y   z        x   y
+ *
+ * @param {BinaryTreeNode} node - The root of the subtree; must have a right child.
+ * @returns {BinaryTreeNode} The new root of the subtree. The caller relinks it into the parent.
+ */
+function rotateLeft(node) {
+  const pivot = node.right;
+  node.right = pivot.left;
+  pivot.left = node;
+  return pivot;
+}
+
+/**
+ * Rotates a subtree to the right: the left child becomes the subtree's root and the
+ * old root becomes its right child. The mirror image of `rotateLeft`.
+ *
+ * @param {BinaryTreeNode} node - The root of the subtree; must have a left child.
+ * @returns {BinaryTreeNode} The new root of the subtree. The caller relinks it into the parent.
+ */
+function rotateRight(node) {
+  const pivot = node.left;
+  node.left = pivot.right;
+  pivot.right = node;
+  return pivot;
+}
+
+/**
+ * Represents a binary search tree (BST).
+ * For every node, all values in its left subtree sort before its value and all
+ * values in its right subtree sort after it. Values are unique: inserting a value
+ * that is already present leaves the tree unchanged.
+ *
+ * Searches and updates follow a single root-to-leaf path, so they run in O(h),
+ * where h is the height of the tree.
+ */
+class BinarySearchTree extends BinaryTree {
+  /**
+   * The ordering used to place values in the tree.
+   */
+  #compare;
+
+  /**
+   * Creates a new binary search tree.
+   * @param {BinaryTreeNode | null} rootNode - The root node of the tree. Defaults to null for an empty tree.
+   *                                           Its values must already be in BST order.
+   * @param {Object} [options]
+   * @param {*} [options.logger] - Diagnostics logger, as for BinaryTree.
+   * @param {function(*, *): number} [options.compare=defaultCompare] - Ordering of the values;
+   *        negative if the first sorts before the second, positive if after, 0 if equal.
+   * @throws {Error} If rootNode does not satisfy the BST ordering.
+   */
+  constructor(rootNode = null, { logger, compare = defaultCompare } = {}) {
+    super(rootNode, { logger });
+    this.#compare = compare;
+    if (!this.isValidBST()) {
+      throw new Error(
+        "Root node does not satisfy the binary search tree ordering"
+      );
+    }
+  }
+
+  /**
+   * Builds a tree by inserting values one at a time, in the order given.
+   * Called on a subclass, builds an instance of that subclass.
+   *
+   * @param {Iterable<*>} values - The values to insert.
+   * @param {Object} [options] - Constructor options (logger, compare).
+   * @returns {BinarySearchTree} The new tree.
+   */
+  static from(values, options) {
+    const tree = new this(null, options);
+    for (const value of values) {
+      tree.insert(value);
+    }
+    return tree;
+  }
+
+  /**
+   * Whether the class keeps its own shape, as AVLTree and RedBlackTree do: it is then
+   * built by inserting values, never from a given shape.
+   * @type {boolean}
+   */
+  static balancesItself = false;
+
+  /**
+   * Builds a height-balanced tree from sorted values, as BinaryTree.fromSortedArray
+   * does. On a class that balances itself, the values are checked the same way, then
+   * inserted.
+   *
+   * @param {Array} values - Values in strictly ascending order.
+   * @param {Object} [options] - Constructor options (logger, compare).
+   * @returns {BinarySearchTree} The new tree, an instance of the class it is called on.
+   * @throws {TreeFormatError} If the values are not strictly ascending.
+   */
+  static fromSortedArray(values, options) {
+    if (!this.balancesItself) return super.fromSortedArray(values, options);
+    BinaryTree.fromSortedArray(values, { compare: options?.compare });
+    return this.from(values, options);
+  }
+
+  /**
+   * Builds a tree from a level-order array, as BinaryTree.fromLevelOrderArray does.
+   *
+   * @param {Array} values - The level-order values.
+   * @param {Object} [options] - Constructor options (logger, compare).
+   * @returns {BinarySearchTree} The new tree.
+   * @throws {Error} If the values are not in BST order.
+   * @throws {TypeError} If the class balances itself.
+   */
+  static fromLevelOrderArray(values, options) {
+    BinarySearchTree.#checkGivenShape(this, "fromLevelOrderArray");
+    return super.fromLevelOrderArray(values, options);
+  }
+
+  /**
+   * Builds a tree from its preorder and inorder sequences, as
+   * BinaryTree.fromPreorderInorder does.
+   *
+   * @param {Array} preorderValues - Values in preorder.
+   * @param {Array} inorderValues - The same values in inorder.
+   * @param {Object} [options] - Constructor options (logger, compare).
+   * @returns {BinarySearchTree} The new tree.
+   * @throws {Error} If the tree they describe is not in BST order.
+   * @throws {TypeError} If the class balances itself.
+   */
+  static fromPreorderInorder(preorderValues, inorderValues, options) {
+    BinarySearchTree.#checkGivenShape(this, "fromPreorderInorder");
+    return super.fromPreorderInorder(preorderValues, inorderValues, options);
+  }
+
+  /**
+   * Builds a tree from its postorder and inorder sequences, as
+   * BinaryTree.fromPostorderInorder does.
+   *
+   * @param {Array} postorderValues - Values in postorder.
+   * @param {Array} inorderValues - The same values in inorder.
+   * @param {Object} [options] - Constructor options (logger, compare).
+   * @returns {BinarySearchTree} The new tree.
+   * @throws {Error} If the tree they describe is not in BST order.
+   * @throws {TypeError} If the class balances itself.
+   */
+  static fromPostorderInorder(postorderValues, inorderValues, options) {
+    BinarySearchTree.#checkGivenShape(this, "fromPostorderInorder");
+    return super.fromPostorderInorder(postorderValues, inorderValues, options);
+  }
+
+  /**
+   * A private helper that stops classes that balance themselves from being built with
+   * a given shape, whose nodes would lack their balance metadata.
+   *
+   * @param {Function} TreeClass - The class the builder was called on.
+   * @param {string} builder - Name of the builder.
+   * @throws {TypeError} If the class balances itself.
+   */
+  static #checkGivenShape(TreeClass, builder) {
+    if (TreeClass.balancesItself) {
+      throw new TypeError(
+        `${TreeClass.name} keeps its own shape, so it cannot be built with ${builder}; use ${TreeClass.name}.from(values)`
+      );
+    }
+  }
+
+  /**
+   * The ordering used to place values in the tree.
+   * @type {function(*, *): number}
+   */
+  get compare() {
+    return this.#compare;
+  }
+
+  /**
+   * Checks whether the tree satisfies the BST ordering.
+   * Defaults to this tree's own ordering.
+   *
+   * @param {function(*, *): number} [compare] - Ordering of the values.
+   * @returns {boolean} True if the tree is a valid BST.
+   */
+  isValidBST(compare = this.#compare) {
+    return super.isValidBST(compare);
+  }
+
+  /**
+   * Rejects in-place transforms (mirror, prune, ...): reshaping the nodes directly
+   * would break the ordering, or the balance metadata kept by subclasses. The copying
+   * forms still work and return plain BinaryTrees.
+   *
+   * @param {string} method - Name of the transform.
+   * @throws {TypeError} Always.
+   */
+  checkInPlace(method) {
+    throw new TypeError(
+      `${this.constructor.name} cannot ${method} in place; use the copying form`
+    );
+  }
+
+  /**
+   * A private helper that walks down from the root towards `value`.
+   *
+   * @param {*} value - The value to search for.
+   * @returns {{node: BinaryTreeNode | null, parent: BinaryTreeNode | null}}
+   *          The node holding `value` (null if absent) and its parent
+   *          (when absent, the node under which `value` would be inserted).
+   */
+  #locate(value) {
+    let parent = null;
+    let node = this.root;
+    while (node) {
+      const order = this.#compare(value, node.value);
+      if (order === 0) break;
+      parent = node;
+      node = order < 0 ? node.left : node.right;
+    }
+    return { node, parent };
+  }
+
+  /**
+   * Inserts a value into the tree.
+   *
+   * @param {*} value - The value to insert.
+   * @returns {BinaryTreeNode} The node holding the value; the existing node if it was already present.
+   */
+  insert(value) {
+    const { node, parent } = this.#locate(value);
+    if (node) return node;
+
+    const newNode = new BinaryTreeNode(value);
+    if (!parent) this[replaceRoot](newNode);
+    else if (this.#compare(value, parent.value) < 0) parent.left = newNode;
+    else parent.right = newNode;
+    this.invalidate();
+    return newNode;
+  }
+
+  /**
+   * Removes a value from the tree. Handles the three classic cases:
+   * - a leaf is simply unlinked;
+   * - a node with one child is replaced by that child;
+   * - a node with two children is replaced by its in-order successor
+   *   (the minimum of its right subtree), which is first unlinked from its own spot.
+   * Nodes are relinked rather than having their values copied, so node references
+   * held by callers keep the values they had.
+   *
+   * @param {*} value - The value to remove.
+   * @returns {boolean} True if the value was found and removed, false otherwise.
+   */
+  delete(value) {
+    const { node, parent } = this.#locate(value);
+    if (!node) return false;
+
+    let replacement;
+    if (!node.left || !node.right) {
+      // Zero or one child: the child (or null) takes the node's place.
+      replacement = node.left ?? node.right;
+    } else {
+      // Two children: detach the in-order successor and put it in the node's place.
+      let successorParent = node;
+      let successor = node.right;
+      while (successor.left) {
+        successorParent = successor;
+        successor = successor.left;
+      }
+      if (successorParent !== node) {
+        successorParent.left = successor.right;
+        successor.right = node.right;
+      }
+      successor.left = node.left;
+      replacement = successor;
+    }
+
+    if (!parent) this[replaceRoot](replacement);
+    else if (parent.left === node) parent.left = replacement;
+    else parent.right = replacement;
+    node.left = null;
+    node.right = null;
+    this.invalidate();
+    return true;
+  }
+
+  /**
+   * Checks whether a value is in the tree.
+   *
+   * @param {*} value - The value to look for.
+   * @returns {boolean} True if present.
+   */
+  has(value) {
+    return this.#locate(value).node !== null;
+  }
+
+  /**
+   * Finds the node holding a value in O(h).
+   * Given a function instead, behaves like BinaryTree#find and returns the
+   * first node in pre-order matching that predicate.
+   *
+   * @param {* | function(BinaryTreeNode, Object): boolean} valueOrPredicate - The value to look for, or a predicate.
+   * @returns {BinaryTreeNode | null} The matching node, or null if there is none.
+   */
+  find(valueOrPredicate) {
+    if (typeof valueOrPredicate === "function") {
+      return super.find(valueOrPredicate);
+    }
+    return this.#locate(valueOrPredicate).node;
+  }
+
+  /**
+   * Finds the smallest value in the tree.
+   *
+   * @returns {* | null} The minimum, or null if the tree is empty.
+   */
+  min() {
+    let node = this.root;
+    if (!node) return null;
+    while (node.left) node = node.left;
+    return node.value;
+  }
+
+  /**
+   * Finds the largest value in the tree.
+   *
+   * @returns {* | null} The maximum, or null if the tree is empty.
+   */
+  max() {
+    let node = this.root;
+    if (!node) return null;
+    while (node.right) node = node.right;
+    return node.value;
+  }
+
+  /**
+   * A private helper for the four neighbour queries. Walks from the root keeping
+   * the best candidate seen on the wanted side of `value`.
+   *
+   * @param {*} value - The value to compare against.
+   * @param {boolean} above - True to look for values after `value`, false for values before it.
+   * @param {boolean} inclusive - True if `value` itself is an acceptable answer.
+   * @returns {* | null} The closest acceptable value, or null if there is none.
+   */
+  #closest(value, above, inclusive) {
+    let candidate = null;
+    let node = this.root;
+    while (node) {
+      const order = this.#compare(node.value, value);
+      if (order === 0 && inclusive) return node.value;
+      if (above ? order > 0 : order < 0) {
+        // Acceptable, but a closer one may lie back towards `value`.
+        candidate = node.value;
+        node = above ? node.left : node.right;
+      } else {
+        node = above ? node.right : node.left;
+      }
+    }
+    return candidate;
+  }
+
+  /**
+   * Finds the smallest value strictly greater than `value`.
+   * `value` need not be in the tree.
+   *
+   * @param {*} value - The value to compare against.
+   * @returns {* | null} The successor, or null if there is none.
+   */
+  successor(value) {
+    return this.#closest(value, true, false);
+  }
+
+  /**
+   * Finds the largest value strictly less than `value`.
+   * `value` need not be in the tree.
+   *
+   * @param {*} value - The value to compare against.
+   * @returns {* | null} The predecessor, or null if there is none.
+   */
+  predecessor(value) {
+    return this.#closest(value, false, false);
+  }
+
+  /**
+   * Finds the largest value less than or equal to `value`.
+   *
+   * @param {*} value - The value to compare against.
+   * @returns {* | null} The floor, or null if there is none.
+   */
+  floor(value) {
+    return this.#closest(value, false, true);
+  }
+
+  /**
+   * Finds the smallest value greater than or equal to `value`.
+   *
+   * @param {*} value - The value to compare against.
+   * @returns {* | null} The ceiling, or null if there is none.
+   */
+  ceiling(value) {
+    return this.#closest(value, true, true);
+  }
+
+  /**
+   * Iterates, in ascending order, over the values between `lo` and `hi` inclusive.
+   * Subtrees entirely outside the range are never entered, so the walk costs
+   * O(h + k) for k values in range.
+   *
+   * @param {*} lo - The lower bound.
+   * @param {*} hi - The upper bound.
+   * @yields {*} Each value in range.
+   */
+  *range(lo, hi) {
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        if (this.#compare(node.value, lo) < 0) {
+          // The node and its whole left subtree are below the range.
+          node = node.right;
+        } else {
+          stack.push(node);
+          node = node.left;
+        }
+      }
+      if (stack.length === 0) return; // Everything left is below the range.
+      node = stack.pop();
+      if (this.#compare(node.value, hi) > 0) return;
+      yield node.value;
+      node = node.right;
+    }
+  }
+}
+
+module.exports = { BinarySearchTree, rotateLeft, rotateRight };
@@ -0,0 +1,202 @@
+const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+const { BinarySearchTree } = require("./binary-search-tree");
+
+let bst;
+let emptyBst;
+
+beforeEach(function() {
+  emptyBst = new BinarySearchTree();
+
+  //         8
+  //       /   \
+  //      3     10
+  //     / \      \
+  //    1   6      14
+  //       / \    /
+  //      4   7  13
+  bst = new BinarySearchTree();
+  for (const value of [8, 3, 10, 1, 6, 14, 4, 7, 13]) {
+    bst.insert(value);
+  }
+});
+
+const inorderValues = tree => [...tree.inorder()].map(({ node }) => node.value);
+
+describe("insert", function() {
+  it("keeps values in order", function() {
+    expect(inorderValues(bst)).toEqual([1, 3, 4, 6, 7, 8, 10, 13, 14]);
+    expect(bst.isValidBST()).toBe(true);
+  });
+
+  it("ignores duplicates and returns the existing node", function() {
+    const existing = bst.find(6);
+    expect(bst.insert(6)).toBe(existing);
+    expect(bst.count(() => true)).toBe(9);
+  });
+
+  it("inserts into an empty tree", function() {
+    const node = emptyBst.insert(5);
+    expect(emptyBst.root).toBe(node);
+  });
+
+  it("supports a custom comparator", function() {
+    const byLength = new BinarySearchTree(null, {
+      compare: (a, b) => a.length - b.length
+    });
+    ["ccc", "a", "bb"].forEach(word => byLength.insert(word));
+    expect(inorderValues(byLength)).toEqual(["a", "bb", "ccc"]);
+    expect(byLength.has("zz")).toBe(true);
+  });
+});
+
+describe("delete", function() {
+  it("removes a leaf", function() {
+    expect(bst.delete(4)).toBe(true);
+    expect(inorderValues(bst)).toEqual([1, 3, 6, 7, 8, 10, 13, 14]);
+  });
+
+  it("removes a node with one child", function() {
+    expect(bst.delete(14)).toBe(true);
+    expect(bst.find(10).right.value).toBe(13);
+    expect(bst.isValidBST()).toBe(true);
+  });
+
+  it("removes a node with two children", function() {
+    const four = bst.find(4);
+    expect(bst.delete(3)).toBe(true);
+    expect(bst.root.left).toBe(four);
+    expect(inorderValues(bst)).toEqual([1, 4, 6, 7, 8, 10, 13, 14]);
+    expect(bst.isValidBST()).toBe(true);
+  });
+
+  it("removes the root", function() {
+    expect(bst.delete(8)).toBe(true);
+    expect(bst.root.value).toBe(10);
+    expect(inorderValues(bst)).toEqual([1, 3, 4, 6, 7, 10, 13, 14]);
+
+    const single = new BinarySearchTree(new BinaryTreeNode(1));
+    single.delete(1);
+    expect(single.root).toBe(null);
+  });
+
+  it("returns false for missing values", function() {
+    expect(bst.delete(5)).toBe(false);
+    expect(emptyBst.delete(5)).toBe(false);
+  });
+});
+
+describe("lookups", function() {
+  it("answers has and find", function() {
+    expect(bst.has(13)).toBe(true);
+    expect(bst.has(12)).toBe(false);
+    expect(bst.find(6).left.value).toBe(4);
+    expect(bst.find(12)).toBe(null);
+    expect(bst.find(node => node.value > 9).value).toBe(10);
+  });
+
+  it("finds min and max", function() {
+    expect(bst.min()).toBe(1);
+    expect(bst.max()).toBe(14);
+    expect(emptyBst.min()).toBe(null);
+    expect(emptyBst.max()).toBe(null);
+  });
+
+  it("finds successor and predecessor", function() {
+    expect(bst.successor(7)).toBe(8);
+    expect(bst.successor(8)).toBe(10);
+    expect(bst.successor(11)).toBe(13);
+    expect(bst.successor(14)).toBe(null);
+    expect(bst.predecessor(8)).toBe(7);
+    expect(bst.predecessor(4)).toBe(3);
+    expect(bst.predecessor(1)).toBe(null);
+  });
+
+  it("finds floor and ceiling", function() {
+    expect(bst.floor(5)).toBe(4);
+    expect(bst.floor(6)).toBe(6);
+    expect(bst.floor(0)).toBe(null);
+    expect(bst.ceiling(11)).toBe(13);
+    expect(bst.ceiling(10)).toBe(10);
+    expect(bst.ceiling(15)).toBe(null);
+  });
+});
+
+describe("range", function() {
+  it("yields values within the bounds in order", function() {
+    expect([...bst.range(4, 10)]).toEqual([4, 6, 7, 8, 10]);
+    expect([...bst.range(5, 12)]).toEqual([6, 7, 8, 10]);
+    expect([...bst.range(0, 100)]).toEqual([1, 3, 4, 6, 7, 8, 10, 13, 14]);
+    expect([...bst.range(15, 20)]).toEqual([]);
+    expect([...emptyBst.range(0, 1)]).toEqual([]);
+  });
+});
+
+describe("isValidBST", function() {
+  it("validates any BinaryTree", function() {
+    const valid = new BinaryTree(
+      new BinaryTreeNode(2, new BinaryTreeNode(1), new BinaryTreeNode(3))
+    );
+    // 5 is in the right place relative to 3 but not relative to the root.
+    const invalid = new BinaryTree(
+      new BinaryTreeNode(
+        4,
+        new BinaryTreeNode(3, null, new BinaryTreeNode(5)),
+        new BinaryTreeNode(6)
+      )
+    );
+    expect(valid.isValidBST()).toBe(true);
+    expect(invalid.isValidBST()).toBe(false);
+    expect(new BinaryTree().isValidBST()).toBe(true);
+  });
+
+  it("is enforced on construction", function() {
+    const unordered = new BinaryTreeNode(1, new BinaryTreeNode(2));
+    expect(() => new BinarySearchTree(unordered)).toThrow("ordering");
+  });
+
+  it("cannot be bypassed by replacing the root", function() {
+    const unordered = BinaryTree.fromLevelOrderArray([1, 9, 0]).root;
+    expect(() => {
+      bst.root = unordered;
+    }).toThrow(TypeError);
+    expect(bst.isValidBST()).toBe(true);
+    expect(bst.root.value).toBe(8);
+  });
+});
+
+describe("builders", function() {
+  it("build search trees and check their ordering", function() {
+    const sorted = BinarySearchTree.fromSortedArray([1, 3, 5, 7]);
+    expect(sorted).toBeInstanceOf(BinarySearchTree);
+    expect(sorted.has(5)).toBe(true);
+
+    const levels = BinarySearchTree.fromLevelOrderArray([2, 1, 3]);
+    expect(levels.insert(4).value).toBe(4);
+    expect(inorderValues(levels)).toEqual([1, 2, 3, 4]);
+    expect(
+      BinarySearchTree.fromPreorderInorder([2, 1, 3], [1, 2, 3]).root.value
+    ).toBe(2);
+
+    expect(() => BinarySearchTree.fromLevelOrderArray([1, 9, 0])).toThrow(
+      "ordering"
+    );
+    expect(() => BinarySearchTree.fromPostorderInorder([2, 1], [2, 1])).toThrow(
+      "ordering"
+    );
+  });
+});
+
+describe("ancestor index", function() {
+  it("stays correct across inserts and deletes", function() {
+    const tree = BinarySearchTree.from([8, 4, 12, 2, 6]).useAncestorIndex();
+    expect(tree.lowestCommonAncestor(2, 6).value).toBe(4);
+
+    tree.insert(5);
+    expect(tree.distance(5, 2)).toBe(3);
+
+    tree.delete(4);
+    expect(tree.kthAncestor(2, 1).value).toBe(5);
+    expect(tree.isAncestor(6, 2)).toBe(false);
+    expect(tree.lowestCommonAncestor(2, 6).value).toBe(5);
+  });
+});
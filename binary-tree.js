@@ -1,4 +1,55 @@
 const { getVisualTreeString } = require("./tree-visualizer");
+const { toDot, toMermaid } = require("./tree-export");
+const { createTreeEvent, resolveLogger } = require("./tree-logger");
+const {
+  TreeFormatError,
+  identityCodec,
+  encodeValue,
+  parseJson,
+  decodeValue,
+} = require("./tree-serialization");
+const {
+  binaryChildren,
+  preorder,
+  inorder,
+  postorder,
+  levelOrder,
+} = require("./tree-traversal");
+const { AncestorIndex } = require("./ancestor-index");
+const { Queue } = require("./queue");
+const {
+  sameValue,
+  binarySlots,
+  diffNodes,
+  createShapeTable,
+  numberShapes,
+} = require("./tree-comparison");
+const { computeTreeStats } = require("./tree-stats");
+const { valuesByLevel, aggregateLevels } = require("./tree-levels");
+
+/**
+ * The default ordering for tree values: natural `<` / `>` comparison.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {number} Negative if a sorts before b, positive if after, 0 if equal.
+ */
+function defaultCompare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Key of the method that replaces a tree's root. It is exported for subclasses that
+ * restructure the tree (e.g. BinarySearchTree#insert), which call
+ * `this[replaceRoot](node)`, and is meant for them only: other code should build a
+ * new tree instead, as assigning to `root` does not work either.
+ */
+const replaceRoot = Symbol("replaceRoot");
+
+/** How tree-comparison reads binary nodes. */
+const binaryShape = { getSlots: binarySlots, getValue: (node) => node.value };
 
 /** Modern class syntax instead of function constructors and prototypes */
 /**
@@ -31,64 +82,763 @@ class BinaryTree {
    */
   #root;
 
+  /**
+   * The diagnostics logger receiving an event from every public method.
+   * Silent unless a logger is passed to the constructor.
+   */
+  #logger;
+
+  /** True once `useAncestorIndex` has opted in to indexed ancestor queries. */
+  #indexAncestors = false;
+
+  /** The ancestor index, built on first use and dropped whenever the tree changes. */
+  #ancestorIndex = null;
+
   /**
    * Creates a new binary tree.
    * @param {BinaryTreeNode | null} rootNode - The root node of the tree. Defaults to null for an empty tree.
+   * @param {Object} [options]
+   * @param {*} [options.logger] - Where diagnostic events go; any form accepted by `resolveLogger`
+   *                               ("silent", "console", an array, a callback, or an object with `log`).
    */
-  constructor(rootNode = null) {
+  constructor(rootNode = null, { logger } = {}) {
     // Assigns rootNode if provided and not null/undefined, otherwise defaults to null.
     this.#root = rootNode ?? null;
+    this.#logger = resolveLogger(logger);
+  }
+
+  /**
+   * The root node of the tree, or null if it is empty. Read-only: build a new tree
+   * to start from another node.
+   * @type {BinaryTreeNode | null}
+   */
+  get root() {
+    return this.#root;
+  }
+
+  set root(node) {
+    throw new TypeError(
+      `${this.constructor.name} cannot replace its root; build a new tree instead`
+    );
+  }
+
+  /**
+   * Replaces the root. For subclasses only, which must keep their own invariants;
+   * see `replaceRoot`.
+   * @param {BinaryTreeNode | null} node - The new root.
+   */
+  [replaceRoot](node) {
+    this.#root = node ?? null;
+    this.invalidate();
+  }
+
+  /**
+   * Opts in to (or out of) indexed ancestor queries. Once enabled, the first call to
+   * lowestCommonAncestor, kthAncestor, isAncestor or distance builds an index in
+   * O(n log n); later calls take O(log n) instead of walking the tree each time.
+   *
+   * The index is a snapshot of the tree's shape. Tree methods that change the shape
+   * (BinarySearchTree#insert, in-place transforms, ...) drop it, and it is rebuilt on
+   * next use. Changes made by hand are not noticed, and checking for them would cost
+   * the O(log n) bound: after attaching, detaching or moving nodes directly, the
+   * caller must call `invalidate()`, or queries silently answer from the old shape
+   * (nodes attached since are not found, moved nodes keep their old ancestors).
+   *
+   * @param {boolean} [enabled=true] - False to go back to unindexed queries.
+   * @returns {this} The tree, for chaining.
+   */
+  useAncestorIndex(enabled = true) {
+    this.#indexAncestors = enabled;
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Discards cached structural data (the ancestor index) after the nodes were changed
+   * directly. Tree methods that change the structure call it themselves.
+   */
+  invalidate() {
+    this.#ancestorIndex = null;
+  }
+
+  /**
+   * A private helper that resolves lookup targets through the ancestor index, built
+   * if needed. Nodes and values are looked up in it; predicates still need a walk,
+   * through the same matching as unindexed queries, so both give the same answers.
+   *
+   * @param {...(BinaryTreeNode | *)} targets - Nodes or values.
+   * @returns {{index: AncestorIndex, nodes: (BinaryTreeNode | null)[]} | null} The index and
+   *          the resolved nodes (null where not found), or null if indexing is off.
+   */
+  #indexed(...targets) {
+    if (!this.#indexAncestors) return null;
+    this.#ancestorIndex ??= this.#buildAncestorIndex();
+    const nodes = targets.map((target) =>
+      typeof target === "function"
+        ? this.findNode(target)
+        : this.#ancestorIndex.resolve(target)
+    );
+    return { index: this.#ancestorIndex, nodes };
+  }
+
+  /**
+   * A private helper that indexes the current tree.
+   * @returns {AncestorIndex} The new index.
+   */
+  #buildAncestorIndex() {
+    return new AncestorIndex(this.#root, binaryChildren, (node) => node.value);
+  }
+
+  /**
+   * A private helper that reports the outcome of a public method to the diagnostics logger.
+   * A logger given in the per-call options takes precedence over the instance's logger.
+   *
+   * @param {Object} [options] - The per-call options the public method received.
+   * @param {string} method - Name of the public method.
+   * @param {string} context - Description of the outcome.
+   * @param {*} result - The value the method is returning.
+   * @param {Set<BinaryTreeNode>} [highlighted] - Nodes that make up the answer.
+   */
+  #emit(options, method, context, result, highlighted = new Set()) {
+    const logger =
+      options?.logger !== undefined
+        ? resolveLogger(options.logger)
+        : this.#logger;
+    logger(
+      createTreeEvent({
+        method,
+        context,
+        result,
+        root: this.#root,
+        highlighted,
+        formatLabel: (node) => this.formatNodeLabel(node),
+      })
+    );
+  }
+
+  /**
+   * Iterates over the tree depth-first in pre-order (Node, Left, Right).
+   * Usable with for...of and spread.
+   *
+   * @yields {{node: BinaryTreeNode, depth: number, parent: BinaryTreeNode | null, path: BinaryTreeNode[]}}
+   *         The visited node, its depth (the root is at depth 1), its parent,
+   *         and the nodes from the root down to it.
+   */
+  *preorder() {
+    yield* preorder(this.#root, binaryChildren);
+  }
+
+  /**
+   * Iterates over the tree depth-first in in-order (Left, Node, Right).
+   * Yields the same visit objects as `preorder`.
+   */
+  *inorder() {
+    yield* inorder(this.#root);
+  }
+
+  /**
+   * Iterates over the tree depth-first in post-order (Left, Right, Node).
+   * Yields the same visit objects as `preorder`.
+   */
+  *postorder() {
+    yield* postorder(this.#root, binaryChildren);
+  }
+
+  /**
+   * Iterates over the tree breadth-first (BFS), level by level and left to right.
+   * Yields the same visit objects as `preorder`.
+   */
+  *levelOrder() {
+    yield* levelOrder(this.#root, binaryChildren);
+  }
+
+  /**
+   * Folds every node of the tree into a single value, visiting in pre-order.
+   *
+   * @param {function(*, BinaryTreeNode, Object): *} fn - Called as fn(accumulator, node, visit),
+   *                                                      where visit is { node, depth, parent, path };
+   *                                                      returns the new accumulator.
+   * @param {*} initial - The starting accumulator.
+   * @returns {*} The final accumulator. Returns `initial` if the tree is empty.
+   */
+  reduce(fn, initial) {
+    let accumulator = initial;
+    for (const visit of this.preorder()) {
+      accumulator = fn(accumulator, visit.node, visit);
+    }
+    return accumulator;
+  }
+
+  /**
+   * Counts the nodes matching a predicate.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @returns {number} The number of nodes for which the predicate is truthy.
+   */
+  count(predicate) {
+    return this.reduce(
+      (count, node, visit) => (predicate(node, visit) ? count + 1 : count),
+      0
+    );
+  }
+
+  /**
+   * Collects the nodes matching a predicate, in pre-order.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @returns {BinaryTreeNode[]} The matching nodes.
+   */
+  filter(predicate) {
+    return this.reduce((matches, node, visit) => {
+      if (predicate(node, visit)) matches.push(node);
+      return matches;
+    }, []);
+  }
+
+  /**
+   * A private helper that turns a lookup target into a predicate over visits.
+   * A function is used as the predicate itself. null and undefined match nothing, so
+   * a missing argument is reported as not found instead of matching nodes without a
+   * value. Anything else matches the node that is that very object, or nodes holding
+   * that value (NaN matches NaN).
+   *
+   * @param {* | function(BinaryTreeNode, Object): boolean} target - A node, a value, or a predicate.
+   * @returns {function(BinaryTreeNode, Object): boolean} The predicate.
+   */
+  #matcher(target) {
+    if (typeof target === "function") return target;
+    if (target === null || target === undefined) return () => false;
+    return (node) =>
+      node === target || node.value === target || Object.is(node.value, target);
+  }
+
+  /**
+   * A private helper that finds the first visit, in level order, matching a lookup target.
+   *
+   * @param {* | function(BinaryTreeNode, Object): boolean} target - A node, a value, or a predicate.
+   * @returns {Object | null} The visit ({ node, depth, parent, path }), or null if nothing matches.
+   */
+  #locate(target) {
+    const matches = this.#matcher(target);
+    for (const visit of this.levelOrder()) {
+      if (matches(visit.node, visit)) return visit;
+    }
+    return null;
+  }
+
+  /**
+   * Finds a node by value or by predicate.
+   * When several nodes match, the shallowest wins, leftmost first (the first in level order).
+   *
+   * @param {* | function(BinaryTreeNode, Object): boolean} valueOrPredicate - The value to look for,
+   *        or a predicate called as predicate(node, visit).
+   * @returns {BinaryTreeNode | null} The first matching node, or null if none matches.
+   */
+  findNode(valueOrPredicate) {
+    return this.#locate(valueOrPredicate)?.node ?? null;
+  }
+
+  /**
+   * Finds every node holding a value, or matching a predicate. With a predicate, the
+   * same as `filter`.
+   *
+   * @param {* | function(BinaryTreeNode, Object): boolean} valueOrPredicate - The value to look for,
+   *        or a predicate called as predicate(node, visit).
+   * @returns {BinaryTreeNode[]} The matching nodes, in pre-order.
+   */
+  findAll(valueOrPredicate) {
+    return this.filter(this.#matcher(valueOrPredicate));
+  }
+
+  /**
+   * Finds the path from the root down to a node.
+   *
+   * @param {BinaryTreeNode | *} nodeOrValue - The node, or a value (first match in level order).
+   * @returns {BinaryTreeNode[] | null} The nodes from the root to the target inclusive,
+   *                                   or null if it is not in the tree.
+   */
+  pathTo(nodeOrValue) {
+    return this.#locate(nodeOrValue)?.path ?? null;
+  }
+
+  /**
+   * Finds the depth of a node, counting the root as depth 1.
+   *
+   * @param {BinaryTreeNode | *} nodeOrValue - The node, or a value (first match in level order).
+   * @returns {number | null} The depth, or null if the node is not in the tree.
+   */
+  depthOf(nodeOrValue) {
+    return this.#locate(nodeOrValue)?.depth ?? null;
+  }
+
+  /**
+   * Finds the parent of a node.
+   *
+   * @param {BinaryTreeNode | *} nodeOrValue - The node, or a value (first match in level order).
+   * @returns {BinaryTreeNode | null} The parent, or null if the node is the root or is not
+   *                                  in the tree (use `pathTo` to tell these apart).
+   */
+  parentOf(nodeOrValue) {
+    return this.#locate(nodeOrValue)?.parent ?? null;
+  }
+
+  /**
+   * Finds the first node, in pre-order, matching a predicate.
+   * Stops walking the tree as soon as a match is found.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @returns {BinaryTreeNode | null} The first matching node, or null if none matches.
+   */
+  find(predicate) {
+    for (const visit of this.preorder()) {
+      if (predicate(visit.node, visit)) return visit.node;
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether at least one node matches a predicate.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @returns {boolean} True if some node matches. False for an empty tree.
+   */
+  some(predicate) {
+    return this.find(predicate) !== null;
+  }
+
+  /**
+   * Checks whether every node matches a predicate.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @returns {boolean} True if all nodes match. True for an empty tree.
+   */
+  every(predicate) {
+    return !this.some((node, visit) => !predicate(node, visit));
+  }
+
+  /**
+   * Builds a new tree with the same shape whose values are transformed by `fn`.
+   * The original tree is left unchanged; the new tree shares this tree's logger.
+   *
+   * @param {function(*, BinaryTreeNode, Object): *} fn - Called as fn(value, node, visit);
+   *                                                      returns the value for the copied node.
+   * @returns {BinaryTree} The new tree.
+   */
+  map(fn) {
+    const copies = new Map();
+    let newRoot = null;
+    for (const visit of this.preorder()) {
+      const { node, parent } = visit;
+      const copy = new BinaryTreeNode(fn(node.value, node, visit));
+      copies.set(node, copy);
+      if (!parent) newRoot = copy;
+      else if (parent.left === node) copies.get(parent).left = copy;
+      else copies.get(parent).right = copy;
+    }
+    return new BinaryTree(newRoot, { logger: this.#logger });
+  }
+
+  /**
+   * Groups the tree's values by depth.
+   *
+   * @returns {Array<Array<*>>} One array per level, from the root down, each read left
+   *                            to right; empty for an empty tree.
+   */
+  levels() {
+    return valuesByLevel(this.#root, binaryChildren, (node) => node.value);
+  }
+
+  /**
+   * Groups the tree's values by depth, alternating direction: the root's level is
+   * read left to right, the next right to left, and so on.
+   *
+   * @returns {Array<Array<*>>} One array per level, from the root down.
+   */
+  zigzagLevels() {
+    return this.levels().map((level, i) => (i % 2 ? level.reverse() : level));
+  }
+
+  /**
+   * Lists the values seen from the left: the first node of each level.
+   *
+   * @returns {Array<*>} One value per level, from the root down.
+   */
+  leftView() {
+    return this.levels().map((level) => level[0]);
+  }
+
+  /**
+   * Lists the values seen from the right: the last node of each level.
+   *
+   * @returns {Array<*>} One value per level, from the root down.
+   */
+  rightView() {
+    return this.levels().map((level) => level[level.length - 1]);
+  }
+
+  /**
+   * Summarizes the values of each level.
+   *
+   * @returns {Array<{count: number, sum: *, average: number, min: *, max: *}>} One summary
+   *          per level, from the root down.
+   */
+  levelAggregates() {
+    return aggregateLevels(this.levels());
+  }
+
+  /**
+   * A private helper that groups values by column (horizontal distance from the root:
+   * one step left for a left child, one step right for a right child).
+   *
+   * @returns {Array<Array<*>>} One array per column, leftmost first, each in level order.
+   */
+  #columns() {
+    const columnOf = new Map();
+    const columns = new Map();
+    for (const { node, parent } of this.levelOrder()) {
+      const column = parent
+        ? columnOf.get(parent) + (parent.left === node ? -1 : 1)
+        : 0;
+      columnOf.set(node, column);
+      if (!columns.has(column)) columns.set(column, []);
+      columns.get(column).push(node.value);
+    }
+    return [...columns.keys()]
+      .sort((a, b) => a - b)
+      .map((column) => columns.get(column));
+  }
+
+  /**
+   * Groups the values by column, leftmost column first. Within a column, values come
+   * from the top down, and left to right within a level.
+   *
+   * @returns {Array<Array<*>>} One array per column.
+   */
+  verticalOrder() {
+    return this.#columns();
+  }
+
+  /**
+   * Lists the values seen from above: the topmost node of each column (the leftmost
+   * one if several share that depth).
+   *
+   * @returns {Array<*>} One value per column, leftmost first.
+   */
+  topView() {
+    return this.#columns().map((column) => column[0]);
+  }
+
+  /**
+   * Lists the values seen from below: the bottommost node of each column (the
+   * rightmost one if several share that depth).
+   *
+   * @returns {Array<*>} One value per column, leftmost first.
+   */
+  bottomView() {
+    return this.#columns().map((column) => column[column.length - 1]);
+  }
+
+  /**
+   * Lists the values on the tree's outline, anticlockwise from the root: the root,
+   * the left boundary down (the path that keeps left where it can, leaves excluded),
+   * every leaf from left to right, then the right boundary back up.
+   *
+   * @returns {Array<*>} The boundary values, each node once; empty for an empty tree.
+   */
+  boundaryTraversal() {
+    const root = this.#root;
+    if (!root) return [];
+    const isLeaf = (node) => !node.left && !node.right;
+    const boundary = [root.value];
+    if (isLeaf(root)) return boundary;
+
+    for (let node = root.left; node && !isLeaf(node); ) {
+      boundary.push(node.value);
+      node = node.left ?? node.right;
+    }
+    for (const { node } of this.preorder()) {
+      if (node !== root && isLeaf(node)) boundary.push(node.value);
+    }
+    const rightSide = [];
+    for (let node = root.right; node && !isLeaf(node); ) {
+      rightSide.push(node.value);
+      node = node.right ?? node.left;
+    }
+    return boundary.concat(rightSide.reverse());
+  }
+
+  /**
+   * Copies the tree: new nodes holding the same values, in the same shape.
+   * Like `map`, the copy is a plain BinaryTree sharing this tree's logger.
+   *
+   * @returns {BinaryTree} The copy.
+   */
+  clone() {
+    return this.map((value) => value);
+  }
+
+  /**
+   * Hook called before a transform reshapes this tree in place (e.g. `mirror` with
+   * `inPlace: true`). Does nothing here; subclasses whose nodes must keep an ordering
+   * or balance override it to throw.
+   *
+   * @param {string} method - Name of the transform.
+   */
+  checkInPlace(method) {}
+
+  /**
+   * A private helper that picks what a transform works on: this tree when in place,
+   * after checking with `checkInPlace`, or else a fresh copy.
+   *
+   * @param {string} method - Name of the transform.
+   * @param {boolean} inPlace - True to transform this tree.
+   * @returns {BinaryTree} The tree to transform.
+   */
+  #transformTarget(method, inPlace) {
+    if (!inPlace) return this.clone();
+    this.checkInPlace(method);
+    return this;
+  }
+
+  /**
+   * Mirrors the tree, swapping the left and right children of every node.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.inPlace=false] - True to mirror this tree's own nodes.
+   * @returns {BinaryTree} The mirrored tree: a copy, or this tree when in place.
+   */
+  mirror({ inPlace = false } = {}) {
+    const target = this.#transformTarget("mirror", inPlace);
+    for (const { node } of target.preorder()) {
+      // The walk reads a node's children after yielding it, so it sees the swap.
+      [node.left, node.right] = [node.right, node.left];
+    }
+    target.invalidate();
+    return target;
+  }
+
+  /**
+   * Replaces every value with fn(value, node, visit), visiting in pre-order.
+   * Without `inPlace`, this is `map`.
+   *
+   * @param {function(*, BinaryTreeNode, Object): *} fn - Computes a node's new value.
+   * @param {Object} [options]
+   * @param {boolean} [options.inPlace=false] - True to update this tree's own nodes.
+   * @returns {BinaryTree} The tree with the new values: a copy, or this tree when in place.
+   */
+  mapValues(fn, { inPlace = false } = {}) {
+    if (!inPlace) return this.map(fn);
+    this.checkInPlace("mapValues");
+    for (const visit of this.preorder()) {
+      visit.node.value = fn(visit.node.value, visit.node, visit);
+    }
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Removes every subtree whose root matches a predicate. The predicate is called,
+   * in pre-order, on this tree's nodes, but not inside subtrees already removed.
+   *
+   * @param {function(BinaryTreeNode, Object): boolean} predicate - Called as predicate(node, visit).
+   * @param {Object} [options]
+   * @param {boolean} [options.inPlace=false] - True to detach the subtrees from this tree.
+   * @returns {BinaryTree} The pruned tree: a copy, or this tree when in place. Empty if
+   *                       the root matches.
+   */
+  prune(predicate, { inPlace = false } = {}) {
+    const removed = new Set();
+    for (const visit of this.preorder()) {
+      const { node, parent } = visit;
+      if (removed.has(parent)) removed.add(node);
+      else if (predicate(node, visit)) removed.add(node);
+    }
+
+    if (!inPlace) {
+      const copies = new Map();
+      let newRoot = null;
+      for (const { node, parent } of this.preorder()) {
+        if (removed.has(node)) continue;
+        const copy = new BinaryTreeNode(node.value);
+        copies.set(node, copy);
+        if (!parent) newRoot = copy;
+        else if (parent.left === node) copies.get(parent).left = copy;
+        else copies.get(parent).right = copy;
+      }
+      return new BinaryTree(newRoot, { logger: this.#logger });
+    }
+
+    this.checkInPlace("prune");
+    for (const { node, parent } of this.levelOrder()) {
+      // Detaching the top of a removed subtree takes the rest of it along.
+      if (!removed.has(node) || removed.has(parent)) continue;
+      if (!parent) this[replaceRoot](null);
+      else if (parent.left === node) parent.left = null;
+      else if (parent.right === node) parent.right = null;
+    }
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Removes every node deeper than a given depth (the root is at depth 1).
+   *
+   * @param {number} depth - The deepest level to keep; 0 leaves the tree empty.
+   * @param {Object} [options]
+   * @param {boolean} [options.inPlace=false] - True to detach the nodes from this tree.
+   * @returns {BinaryTree} The trimmed tree: a copy, or this tree when in place.
+   * @throws {RangeError} If depth is not a non-negative integer.
+   */
+  trimToDepth(depth, options) {
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new RangeError(
+        `Depth must be a non-negative integer, got ${depth}`
+      );
+    }
+    return this.prune((node, visit) => visit.depth > depth, options);
+  }
+
+  /**
+   * Flattens the tree into a linked list in pre-order: every node keeps its value,
+   * loses its left child, and has the next node as its right child.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.inPlace=false] - True to relink this tree's own nodes.
+   * @returns {BinaryTree} The flattened tree: a copy, or this tree when in place.
+   */
+  flatten({ inPlace = false } = {}) {
+    const target = this.#transformTarget("flatten", inPlace);
+    const nodes = [...target.preorder()].map(({ node }) => node);
+    nodes.forEach((node, i) => {
+      node.left = null;
+      node.right = nodes[i + 1] ?? null;
+    });
+    target.invalidate();
+    return target;
+  }
+
+  /**
+   * Checks whether another binary tree has the same shape and the same values.
+   * Values match as Map keys do: NaN matches NaN, 0 matches -0.
+   *
+   * @param {BinaryTree} other - The tree to compare with.
+   * @returns {boolean} True if the trees are equal.
+   */
+  equals(other) {
+    return (
+      diffNodes(this.#root, other.root, { ...binaryShape, limit: 1 }).length ===
+      0
+    );
+  }
+
+  /**
+   * Checks whether another binary tree is the mirror image of this one: equal
+   * once every node's left and right children are swapped.
+   *
+   * @param {BinaryTree} other - The tree to compare with.
+   * @returns {boolean} True if the trees mirror each other.
+   */
+  isMirror(other) {
+    return BinaryTree.#mirrors(this.#root, other.root);
+  }
+
+  /**
+   * Checks whether the tree is symmetric around its center: its left subtree
+   * mirrors its right subtree. An empty tree is symmetric.
+   *
+   * @returns {boolean} True if the tree is its own mirror image.
+   */
+  isSymmetric() {
+    return (
+      !this.#root || BinaryTree.#mirrors(this.#root.left, this.#root.right)
+    );
+  }
+
+  /**
+   * A private helper that checks, without recursion, whether two subtrees mirror each other.
+   *
+   * @param {BinaryTreeNode | null} a - The root of one subtree.
+   * @param {BinaryTreeNode | null} b - The root of the other.
+   * @returns {boolean} True if they mirror each other.
+   */
+  static #mirrors(a, b) {
+    const stack = [[a, b]];
+    while (stack.length > 0) {
+      const [left, right] = stack.pop();
+      if (!left && !right) continue;
+      if (!left || !right || !sameValue(left.value, right.value)) return false;
+      stack.push([left.left, right.right], [left.right, right.left]);
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether another binary tree occurs in this one as a whole subtree: some
+   * node's subtree, down to the leaves, equals the other tree. An empty tree occurs
+   * in every tree.
+   * Runs in O(n + m) by numbering the distinct subtree shapes of both trees.
+   *
+   * @param {BinaryTree} other - The tree to look for.
+   * @returns {boolean} True if it occurs.
+   */
+  isSubtree(other) {
+    if (!other.root) return true;
+    const table = createShapeTable();
+    const target = numberShapes(other.root, table, binaryShape).get(other.root);
+    for (const id of numberShapes(this.#root, table, binaryShape).values()) {
+      if (id === target) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Lists the differences between this tree and another, position by position.
+   * Render them with `getVisualDiffString` from the visualizer.
+   *
+   * @param {BinaryTree} other - The tree to compare with (the "after" side).
+   * @returns {TreeChange[]} The added, removed and value-changed nodes, by path
+   *          (e.g. "left.right"), in pre-order; empty if the trees are equal.
+   */
+  diff(other) {
+    return diffNodes(this.#root, other.root, binaryShape);
+  }
+
+  /**
+   * Checks whether the tree satisfies the binary search tree ordering:
+   * every value is strictly greater than all values in its left subtree
+   * and strictly less than all values in its right subtree.
+   * Uses an iterative in-order walk, which must produce strictly increasing values.
+   *
+   * @param {function(*, *): number} [compare=defaultCompare] - Ordering of the values.
+   * @returns {boolean} True if the tree is a valid BST. True for an empty tree.
+   */
+  isValidBST(compare = defaultCompare) {
+    let previous = null;
+    for (const { node } of this.inorder()) {
+      if (previous && compare(previous.value, node.value) >= 0) return false;
+      previous = node;
+    }
+    return true;
   }
 
   /**
-   * A private helper method for traversing the tree using Breadth-First Search (BFS).
-   * BFS explores the tree level by level.
-   * Intended for internal use by other methods within the BinaryTree class.
+   * Reports the tree's shape and value statistics in one walk: size, height, leaf and
+   * internal counts, level widths, branching histogram, the balanced / complete /
+   * full / perfect flags, and the min, max and sum of the values.
    *
-   * @param {function} callback - A function to be executed for each node visited during traversal.
-   *                              This callback function receives an object containing:
-   *                              { node: BinaryTreeNode, depth: number, parent: BinaryTreeNode | null }.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {TreeStats} The statistics; see tree-stats.js for each field.
    */
-  #traverse(callback) {
-    // If the tree is empty, there's nothing to traverse.
-    if (!this.#root) return;
-
-    // We use a queue to keep track of nodes to visit for BFS.
-    // Each item stores the node, its depth, and its parent.
-    const queue = [
-      {
-        node: this.#root, // Start traversal with the root node.
-        depth: 1, // The depth of the root node is conventionally 1.
-        parent: null, // The root node has no parent.
-      },
-    ];
-
-    // Continue the traversal as long as there are nodes in the queue to visit.
-    while (queue.length > 0) {
-      // Dequeue and extract node, depth, and parent from the next item.
-      const { node, depth, parent } = queue.shift();
-
-      // Execute the provided callback function with the current node's information.
-      callback({ node, depth, parent });
-
-      // If the current node has a left child, add it to the queue.
-      if (node.left) {
-        queue.push({
-          node: node.left,
-          depth: depth + 1, // The child's depth is one more than its parent's.
-          parent: node, // The current node is the parent of its left child.
-        });
-      }
-
-      // If the current node has a right child, add it to the queue.
-      if (node.right) {
-        queue.push({
-          node: node.right,
-          depth: depth + 1,
-          parent: node,
-        });
-      }
-    }
+  stats(options) {
+    const stats = computeTreeStats(this.#root, binaryShape);
+    this.#emit(
+      options,
+      "stats",
+      `stats - result (size: ${stats.size}, height: ${stats.height})`,
+      stats
+    );
+    return stats;
   }
 
   /**
@@ -97,79 +847,56 @@ class BinaryTree {
    * A leaf node is a node that has no children.
    * This method uses Breadth-First Search (BFS).
    *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {number} The minimum depth of the tree. Returns 0 if the tree is empty.
    */
-  minDepth() {
-    let visualString;
+  minDepth(options) {
     if (!this.#root) {
-      visualString = getVisualTreeString(
-        // Use imported function
-        this.#root, // Pass this.#root
-        "minDepth - result (empty tree)"
-      );
-      console.log(visualString);
+      this.#emit(options, "minDepth", "minDepth - result (empty tree)", 0);
       return 0;
     }
 
-    const queue = [{ node: this.#root, depth: 1, path: [this.#root] }];
     let resultPath = [];
     let minDepthValue = 0;
 
-    while (queue.length > 0) {
-      const { node, depth, path } = queue.shift();
+    for (const visit of this.levelOrder()) {
+      const { node, depth } = visit;
       if (!node.left && !node.right) {
         minDepthValue = depth;
-        resultPath = path;
+        resultPath = visit.path;
         break; // Found the shortest path to a leaf
       }
-      if (node.left) {
-        queue.push({
-          node: node.left,
-          depth: depth + 1,
-          path: [...path, node.left],
-        });
-      }
-      if (node.right) {
-        queue.push({
-          node: node.right,
-          depth: depth + 1,
-          path: [...path, node.right],
-        });
-      }
     }
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
+    this.#emit(
+      options,
+      "minDepth",
       `minDepth - result (depth: ${minDepthValue})`,
+      minDepthValue,
       new Set(resultPath)
     );
-    console.log(visualString);
     return minDepthValue;
   }
 
   /**
    * Finds the maximum depth of the tree.
    * The maximum depth is the length of the longest path from the root node to any leaf node.
-   * This method utilizes the private #traverse (BFS) helper method.
+   * This method walks the tree with the levelOrder (BFS) iterator.
    *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {number} The maximum depth of the tree. Returns 0 if the tree is empty.
    */
-  maxDepth() {
-    let visualString;
+  maxDepth(options) {
     if (!this.#root) {
-      visualString = getVisualTreeString(
-        // Use imported function
-        this.#root, // Pass this.#root
-        "maxDepth - result (empty tree)"
-      );
-      console.log(visualString);
+      this.#emit(options, "maxDepth", "maxDepth - result (empty tree)", 0);
       return 0;
     }
 
     let maxDepthValue = 0;
     const nodesAtMaxDepth = new Set();
 
-    this.#traverse(({ node, depth }) => {
+    for (const { node, depth } of this.levelOrder()) {
       if (depth > maxDepthValue) {
         maxDepthValue = depth;
         nodesAtMaxDepth.clear();
@@ -177,14 +904,14 @@ class BinaryTree {
       } else if (depth === maxDepthValue) {
         nodesAtMaxDepth.add(node);
       }
-    });
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
+    }
+    this.#emit(
+      options,
+      "maxDepth",
       `maxDepth - result (depth: ${maxDepthValue})`,
+      maxDepthValue,
       nodesAtMaxDepth
     );
-    console.log(visualString);
     return maxDepthValue;
   }
 
@@ -193,25 +920,24 @@ class BinaryTree {
    * This method performs a Breadth-First Search (BFS).
    *
    * @param {number} lowerBound - The value to compare against.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {number | null} The smallest value found that is greater than 'lowerBound', or null if none exists.
    */
-  nextLarger(lowerBound) {
-    let visualString;
+  nextLarger(lowerBound, options) {
     if (!this.#root) {
-      visualString = getVisualTreeString(
-        // Use imported function
-        this.#root, // Pass this.#root
-        `nextLarger - result for ${lowerBound} (empty tree)`
+      this.#emit(
+        options,
+        "nextLarger",
+        `nextLarger - result for ${lowerBound} (empty tree)`,
+        null
       );
-      console.log(visualString);
       return null;
     }
 
     let smallestLargerNode = null;
-    const queue = [this.#root];
 
-    while (queue.length > 0) {
-      const node = queue.shift();
+    for (const { node } of this.levelOrder()) {
       if (node.value > lowerBound) {
         if (
           smallestLargerNode === null ||
@@ -220,273 +946,416 @@ class BinaryTree {
           smallestLargerNode = node;
         }
       }
-      if (node.left) queue.push(node.left);
-      if (node.right) queue.push(node.right);
     }
 
     const highlights = new Set();
     if (smallestLargerNode) highlights.add(smallestLargerNode);
     const resultValue = smallestLargerNode ? smallestLargerNode.value : null;
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
+    this.#emit(
+      options,
+      "nextLarger",
       `nextLarger - result for ${lowerBound} (found: ${resultValue})`,
+      resultValue,
       highlights
     );
-    console.log(visualString);
     return resultValue;
   }
 
+  /**
+   * A private helper that walks the tree depth-first, without recursion, calling
+   * `enter` on the way down (pre-order) and `leave` on the way back up (post-order).
+   * Bottom-up computations read their children's results in `leave`; top-down ones
+   * push state in `enter` and pop it in `leave`.
+   *
+   * @param {Object} hooks
+   * @param {function(BinaryTreeNode): void} [hooks.enter] - Called before the node's subtrees.
+   * @param {function(BinaryTreeNode): void} [hooks.leave] - Called after the node's subtrees.
+   */
+  #depthFirst({ enter = () => {}, leave = () => {} }) {
+    if (!this.#root) return;
+    const stack = [{ node: this.#root, entered: false }];
+    while (stack.length > 0) {
+      const current = stack[stack.length - 1];
+      const { node } = current;
+      if (!current.entered) {
+        current.entered = true;
+        enter(node);
+        // Pushed right first so the left subtree is walked first.
+        if (node.right) stack.push({ node: node.right, entered: false });
+        if (node.left) stack.push({ node: node.left, entered: false });
+      } else {
+        stack.pop();
+        leave(node);
+      }
+    }
+  }
+
+  /**
+   * A private helper that computes a summary of every subtree, bottom-up.
+   *
+   * @param {function(BinaryTreeNode, *, *): *} combine - Called as combine(node, leftSummary,
+   *        rightSummary), with undefined for a missing child; returns the node's summary.
+   * @returns {Map<BinaryTreeNode, *>} Each node's summary.
+   */
+  #summarize(combine) {
+    const summaries = new Map();
+    this.#depthFirst({
+      leave: (node) =>
+        summaries.set(
+          node,
+          combine(node, summaries.get(node.left), summaries.get(node.right))
+        ),
+    });
+    return summaries;
+  }
+
+  /**
+   * A private helper that finds the path with the largest sum. For every node it
+   * records the best downward path starting there (the node plus its better child's
+   * path, when that adds something), and the best path peaking there (the node plus
+   * both children's paths, where positive).
+   *
+   * @returns {{sum: number, path: BinaryTreeNode[]}} The sum and nodes of the best path.
+   */
+  #bestSumPath() {
+    let best = null;
+    const summaries = this.#summarize((node, left, right) => {
+      const leftSum = left ? Math.max(0, left.sum) : 0;
+      const rightSum = right ? Math.max(0, right.sum) : 0;
+      const peakSum = node.value + leftSum + rightSum;
+      if (best === null || peakSum > best.sum) {
+        best = { sum: peakSum, peak: node, leftSum, rightSum };
+      }
+      // Ties go left, so the leftmost of equally good paths is reported.
+      if (leftSum > 0 && leftSum >= rightSum) {
+        return { sum: node.value + leftSum, next: node.left };
+      }
+      if (rightSum > 0) return { sum: node.value + rightSum, next: node.right };
+      return { sum: node.value, next: null };
+    });
+    if (best === null) return { sum: 0, path: [] };
+
+    const descend = (node) => {
+      const branch = [];
+      for (let current = node; current; current = summaries.get(current).next) {
+        branch.push(current);
+      }
+      return branch;
+    };
+    const { peak } = best;
+    const leftBranch = best.leftSum > 0 ? descend(peak.left) : [];
+    const rightBranch = best.rightSum > 0 ? descend(peak.right) : [];
+    return {
+      sum: best.sum,
+      path: [...leftBranch.reverse(), peak, ...rightBranch],
+    };
+  }
+
   /**
    * Finds the maximum sum of a path in the binary tree.
    * A "path" can start and end at any node. It can "turn" at a node
    * (e.g., left child -> node -> right child).
-   * Uses iterative post-order traversal.
-   * Post-order (Left, Right, Node) is chosen because when evaluating a node,
-   * max path sums from its children (needed for calculation) are already computed.
+   * Use `maxSumPath` to get the path itself.
    *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {number} The maximum path sum. Returns 0 if empty.
    *                   If all nodes are negative, returns the largest (least negative) node value.
    */
-  maxSum() {
-    let visualString;
+  maxSum(options) {
     if (!this.#root) {
-      visualString = getVisualTreeString(
-        this.#root,
-        "maxSum - result (empty tree)"
-      ); // Use imported function
-      console.log(visualString);
+      this.#emit(options, "maxSum", "maxSum - result (empty tree)", 0);
       return 0;
     }
+    const { sum, path } = this.#bestSumPath();
+    this.#emit(
+      options,
+      "maxSum",
+      `maxSum - result (sum: ${sum})`,
+      sum,
+      new Set(path)
+    );
+    return sum;
+  }
 
-    // sums stores { sum: max path sum ending at this node and going downwards }
-    const sums = new WeakMap();
-    let overallMaxSum = -Infinity;
-    // bestPathInfo stores details about the path that currently yields overallMaxSum
-    let bestPathInfo = {
-      peakNode: null, // The "highest" node in the max sum path, or the node where the path "turns"
-      leftPathSum: 0, // The sum of the path extending leftwards from peakNode (if positive)
-      rightPathSum: 0, // The sum of the path extending rightwards from peakNode (if positive)
-    };
-
-    const phases = { visitLeft: 0, visitRight: 1, processNode: 2 };
-    const stack = [{ node: this.#root, phase: phases.visitLeft }];
-
-    while (stack.length > 0) {
-      const current = stack[stack.length - 1];
-      const node = current.node;
-      if (current.phase === phases.visitLeft) {
-        current.phase = phases.visitRight;
-        if (node.left) stack.push({ node: node.left, phase: phases.visitLeft });
-      } else if (current.phase === phases.visitRight) {
-        current.phase = phases.processNode;
-        if (node.right)
-          stack.push({ node: node.right, phase: phases.visitLeft });
-      } else {
-        stack.pop();
-        const leftData = node.left ? sums.get(node.left) : null;
-        const rightData = node.right ? sums.get(node.right) : null;
-
-        // Max sum of a path ending at node.left/right and going downwards
-        const leftDownwardSum = leftData ? leftData.sum : 0;
-        const rightDownwardSum = rightData ? rightData.sum : 0;
-
-        // Max sum of a path that "turns" at `node`
-        const sumThroughNode =
-          node.value +
-          Math.max(0, leftDownwardSum) +
-          Math.max(0, rightDownwardSum);
-
-        if (sumThroughNode > overallMaxSum) {
-          overallMaxSum = sumThroughNode;
-          bestPathInfo = {
-            peakNode: node,
-            leftPathSum: Math.max(0, leftDownwardSum),
-            rightPathSum: Math.max(0, rightDownwardSum),
-          };
-        }
-
-        // Handle cases where all nodes are negative; overallMaxSum should be the largest single node value.
-        // This check ensures that if sumThroughNode is less than a single node's value (e.g. all negative tree),
-        // the single node value is considered.
-        if (node.value > overallMaxSum) {
-          overallMaxSum = node.value;
-          bestPathInfo = { peakNode: node, leftPathSum: 0, rightPathSum: 0 };
-        }
+  /**
+   * Finds the path with the maximum sum, as `maxSum` does, and returns its nodes too.
+   * When several paths share the maximum sum, the first found in post-order wins.
+   *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {{sum: number, path: BinaryTreeNode[]}} The sum and the path's nodes, in order
+   *          from one end to the other (left side first); { sum: 0, path: [] } if empty.
+   */
+  maxSumPath(options) {
+    const result = this.#bestSumPath();
+    this.#emit(
+      options,
+      "maxSumPath",
+      `maxSumPath - result (sum: ${result.sum}, length: ${result.path.length})`,
+      result,
+      new Set(result.path)
+    );
+    return result;
+  }
 
-        // Max sum of a path ending at `node` (and going downwards, for parent's calculation)
-        const sumForParent =
-          node.value + Math.max(0, leftDownwardSum, rightDownwardSum);
-        sums.set(node, { sum: sumForParent });
+  /**
+   * Checks whether some root-to-leaf path adds up to a target sum.
+   *
+   * @param {number} target - The sum to look for.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {boolean} True if such a path exists; false for an empty tree.
+   */
+  hasPathSum(target, options) {
+    // Running sums from the root, kept for the inner nodes; the walk stops at the
+    // first matching leaf, whose path is the only one ever built.
+    const sums = new Map();
+    let match = null;
+    for (const visit of this.preorder()) {
+      const { node, parent } = visit;
+      const sum = (parent ? sums.get(parent) : 0) + node.value;
+      if (node.left || node.right) {
+        sums.set(node, sum);
+      } else if (sum === target) {
+        match = visit;
+        break;
       }
     }
+    const found = match !== null;
+    this.#emit(
+      options,
+      "hasPathSum",
+      `hasPathSum - result for ${target} (${found})`,
+      found,
+      new Set(found ? match.path : [])
+    );
+    return found;
+  }
+
+  /**
+   * Lists every root-to-leaf path, leftmost first.
+   *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {BinaryTreeNode[][]} One array of nodes per leaf, from the root down.
+   */
+  allRootToLeafPaths(options) {
+    const paths = this.#rootToLeafPaths().map(({ path }) => path);
+    this.#emit(
+      options,
+      "allRootToLeafPaths",
+      `allRootToLeafPaths - result (${paths.length} paths)`,
+      paths
+    );
+    return paths;
+  }
 
-    const highlightedPathNodes = new Set();
-    if (bestPathInfo.peakNode) {
-      highlightedPathNodes.add(bestPathInfo.peakNode);
-
-      // Helper to trace a single downward path that contributes positively
-      const traceSingleDownwardPath = (nodeToStartTrace, pathSet) => {
-        let current = nodeToStartTrace;
-        while (current) {
-          pathSet.add(current);
-          const nodeData = sums.get(current);
-          // nodeData.sum is current.value + max(0, best_grandchild_branch_L, best_grandchild_branch_R)
-
-          // If nodeData.sum is just current.value, it means no positive children path
-          if (!nodeData || nodeData.sum <= current.value) {
-            break;
-          }
-
-          const leftChild = current.left;
-          const rightChild = current.right;
-          // Get the sum of the best downward path starting from leftChild/rightChild
-          const leftChildBranchSum =
-            leftChild && sums.has(leftChild)
-              ? sums.get(leftChild).sum
-              : -Infinity; // Use -Infinity to correctly compare
-          const rightChildBranchSum =
-            rightChild && sums.has(rightChild)
-              ? sums.get(rightChild).sum
-              : -Infinity;
-
-          // We need to choose the child that contributed to nodeData.sum
-          // nodeData.sum = current.value + Math.max(0, leftChildBranchSum, rightChildBranchSum)
-          // So, if leftChildBranchSum was chosen and > 0:
-          if (
-            leftChildBranchSum > 0 &&
-            leftChildBranchSum >= rightChildBranchSum
-          ) {
-            current = leftChild;
-          } else if (rightChildBranchSum > 0) {
-            // If rightChildBranchSum was chosen and > 0
-            current = rightChild;
-          } else {
-            break; // No positive child branch contributed
-          }
+  /**
+   * A private helper that collects every root-to-leaf path with its sum.
+   *
+   * @returns {{path: BinaryTreeNode[], sum: number}[]} The paths, leftmost first.
+   */
+  #rootToLeafPaths() {
+    const paths = [];
+    const current = [];
+    const sums = [0];
+    this.#depthFirst({
+      enter: (node) => {
+        current.push(node);
+        sums.push(sums[sums.length - 1] + node.value);
+        if (!node.left && !node.right) {
+          paths.push({ path: [...current], sum: sums[sums.length - 1] });
         }
-      };
+      },
+      leave: () => {
+        current.pop();
+        sums.pop();
+      },
+    });
+    return paths;
+  }
 
-      // If leftPathSum (which is max(0, leftDownwardSum from peak's left child)) is > 0,
-      // it means the left child and its best downward path contributed.
-      if (bestPathInfo.leftPathSum > 0 && bestPathInfo.peakNode.left) {
-        traceSingleDownwardPath(
-          bestPathInfo.peakNode.left,
-          highlightedPathNodes
-        );
-      }
-      // Similarly for the right path
-      if (bestPathInfo.rightPathSum > 0 && bestPathInfo.peakNode.right) {
-        traceSingleDownwardPath(
-          bestPathInfo.peakNode.right,
-          highlightedPathNodes
-        );
-      }
-    }
+  /**
+   * Counts the downward paths adding up to a target sum. A downward path starts at
+   * any node and ends at the same node or any node below it.
+   * Runs in O(n): walking down, it keeps a count of every prefix sum on the current
+   * root path, so the paths ending at a node are those whose start prefix equals
+   * the node's prefix minus the target.
+   *
+   * @param {number} target - The sum to look for.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {number} The number of such paths.
+   */
+  countPathsWithSum(target, options) {
+    let count = 0;
+    const prefixCounts = new Map([[0, 1]]);
+    const sums = [0];
+    const ends = new Set();
+    this.#depthFirst({
+      enter: (node) => {
+        const sum = sums[sums.length - 1] + node.value;
+        const ending = prefixCounts.get(sum - target) ?? 0;
+        if (ending > 0) ends.add(node);
+        count += ending;
+        prefixCounts.set(sum, (prefixCounts.get(sum) ?? 0) + 1);
+        sums.push(sum);
+      },
+      leave: () => {
+        const sum = sums.pop();
+        prefixCounts.set(sum, prefixCounts.get(sum) - 1);
+      },
+    });
+    this.#emit(
+      options,
+      "countPathsWithSum",
+      `countPathsWithSum - result for ${target} (${count} paths)`,
+      count,
+      ends
+    );
+    return count;
+  }
 
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
-      `maxSum - result (sum: ${overallMaxSum})`,
-      highlightedPathNodes
+  /**
+   * Finds the diameter of the tree: its longest path, counted in edges.
+   * When several paths are equally long, the first found in post-order wins.
+   *
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @returns {{length: number, endpoints: BinaryTreeNode[]}} The number of edges and the
+   *          two end nodes (left side first; both the root for a single node);
+   *          { length: 0, endpoints: [] } if empty.
+   */
+  diameter(options) {
+    let best = { length: 0, endpoints: [] };
+    this.#summarize((node, left, right) => {
+      const leftHeight = left ? left.height : 0;
+      const rightHeight = right ? right.height : 0;
+      if (
+        best.endpoints.length === 0 ||
+        leftHeight + rightHeight > best.length
+      ) {
+        best = {
+          length: leftHeight + rightHeight,
+          endpoints: [left ? left.deepest : node, right ? right.deepest : node],
+        };
+      }
+      // Height in edges from the node down to its deepest descendant, plus one edge
+      // up to the parent; ties go left.
+      const deeper = rightHeight > leftHeight ? right : left;
+      return {
+        height: Math.max(leftHeight, rightHeight) + 1,
+        deepest: deeper ? deeper.deepest : node,
+      };
+    });
+    this.#emit(
+      options,
+      "diameter",
+      `diameter - result (length: ${best.length})`,
+      best,
+      new Set(best.endpoints)
     );
-    console.log(visualString);
-    return overallMaxSum;
+    return best;
   }
 
   /**
    * Checks if two nodes in the tree are "cousins".
    * Cousin nodes are at the same depth but have different parents.
+   * Nodes may also be given by value; each value stands for its first match in level order.
    *
-   * @param {BinaryTreeNode} node1 - The first node.
-   * @param {BinaryTreeNode} node2 - The second node.
+   * @param {BinaryTreeNode | *} node1 - The first node, or its value.
+   * @param {BinaryTreeNode | *} node2 - The second node, or its value.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {boolean} True if cousins, false otherwise.
    */
-  areCousins(node1, node2) {
+  areCousins(node1, node2, options) {
+    const visit1 = this.#locate(node1);
+    const visit2 = this.#locate(node2);
     const highlights = new Set();
-    if (node1) highlights.add(node1);
-    if (node2) highlights.add(node2);
-    let visualString;
+    if (visit1) highlights.add(visit1.node);
+    if (visit2) highlights.add(visit2.node);
     if (
-      !this.#root ||
-      node1 === this.#root ||
-      node2 === this.#root ||
-      node1 === node2
+      !visit1 ||
+      !visit2 ||
+      visit1.parent === null ||
+      visit2.parent === null ||
+      visit1.node === visit2.node
     ) {
-      visualString = getVisualTreeString(
-        // Use imported function
-        this.#root, // Pass this.#root
+      this.#emit(
+        options,
+        "areCousins",
         "areCousins - result (false due to basic checks)",
+        false,
         highlights
       );
-      console.log(visualString);
       return false;
     }
-    const info = { depth1: null, parent1: null, depth2: null, parent2: null };
-    this.#traverse(({ node, depth, parent }) => {
-      if (node === node1) {
-        info.depth1 = depth;
-        info.parent1 = parent;
-      } else if (node === node2) {
-        info.depth2 = depth;
-        info.parent2 = parent;
-      }
-    });
     const areTheyCousins =
-      info.depth1 !== null &&
-      info.depth2 !== null &&
-      info.depth1 === info.depth2 &&
-      info.parent1 !== info.parent2;
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
+      visit1.depth === visit2.depth && visit1.parent !== visit2.parent;
+    this.#emit(
+      options,
+      "areCousins",
       `areCousins - result (${areTheyCousins})`,
+      areTheyCousins,
       highlights
     );
-    console.log(visualString);
     return areTheyCousins;
   }
 
   /**
    * Finds the Lowest Common Ancestor (LCA) of two given nodes.
    * The LCA is the deepest node that has both node1 and node2 as descendants.
+   * Nodes may also be given by value; each value stands for its first match in level order.
+   * Takes O(log n) with `useAncestorIndex`; the logged highlights are then limited to
+   * the two nodes and their LCA. The index does not see direct edits: after setting
+   * `left` or `right` by hand, call `invalidate()` first, or the answer may be stale.
    *
-   * @param {BinaryTreeNode} node1 - The first node.
-   * @param {BinaryTreeNode} node2 - The second node.
+   * @param {BinaryTreeNode | *} node1 - The first node, or its value.
+   * @param {BinaryTreeNode | *} node2 - The second node, or its value.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
    * @returns {BinaryTreeNode | null} The LCA node, or null if not found or nodes are not in the tree.
    */
-  lowestCommonAncestor(node1, node2) {
-    const findPath = (targetNode) => {
-      if (!this.#root) return null;
-      const queue = [{ node: this.#root, path: [this.#root] }];
-
-      while (queue.length > 0) {
-        const { node, path } = queue.shift();
-        if (node === targetNode) return path;
-        if (node.left)
-          queue.push({ node: node.left, path: [...path, node.left] });
-        if (node.right)
-          queue.push({ node: node.right, path: [...path, node.right] });
-      }
-      return null;
-    };
+  lowestCommonAncestor(node1, node2, options) {
+    const indexed = this.#indexed(node1, node2);
+    if (indexed) {
+      const [first, second] = indexed.nodes;
+      const lcaNode =
+        first && second
+          ? indexed.index.lowestCommonAncestor(first, second)
+          : null;
+      // Highlighting the full paths would cost the O(log n) bound, so only the
+      // endpoints and the result are marked.
+      const highlights = new Set([first, second, lcaNode].filter(Boolean));
+      this.#emit(
+        options,
+        "lowestCommonAncestor",
+        lcaNode
+          ? `lowestCommonAncestor - result (LCA: ${lcaNode.value})`
+          : "lowestCommonAncestor - result (one or both nodes not found)",
+        lcaNode,
+        highlights
+      );
+      return lcaNode;
+    }
 
-    const pathToNode1 = findPath(node1);
-    const pathToNode2 = findPath(node2);
+    const pathToNode1 = this.pathTo(node1);
+    const pathToNode2 = this.pathTo(node2);
 
     const highlights = new Set();
     if (pathToNode1) pathToNode1.forEach((node) => highlights.add(node));
     if (pathToNode2) pathToNode2.forEach((node) => highlights.add(node));
 
-    let visualString;
     if (!pathToNode1 || !pathToNode2) {
-      visualString = getVisualTreeString(
-        // Use imported function
-        this.#root, // Pass this.#root
+      this.#emit(
+        options,
+        "lowestCommonAncestor",
         "lowestCommonAncestor - result (one or both nodes not found)",
+        null,
         highlights
       );
-      console.log(visualString);
       return null;
     }
 
@@ -500,16 +1369,98 @@ class BinaryTree {
     }
 
     const lcaValue = lcaNode ? lcaNode.value : null;
-    visualString = getVisualTreeString(
-      // Use imported function
-      this.#root, // Pass this.#root
+    this.#emit(
+      options,
+      "lowestCommonAncestor",
       `lowestCommonAncestor - result (LCA: ${lcaValue})`,
+      lcaNode,
       highlights
     );
-    console.log(visualString);
     return lcaNode;
   }
 
+  /**
+   * Finds the ancestor k levels above a node: its parent for k = 1, the node itself for k = 0.
+   * Takes O(log n) with `useAncestorIndex`, O(n) otherwise. With the index, call
+   * `invalidate()` after setting `left` or `right` by hand, or the answer may be stale.
+   *
+   * @param {BinaryTreeNode | *} nodeOrValue - The node, or a value (first match in level order).
+   * @param {number} k - How many levels to climb; a non-negative integer.
+   * @returns {BinaryTreeNode | null} The ancestor, or null if the node is not in the tree
+   *                                  or k climbs past the root.
+   * @throws {RangeError} If k is not a non-negative integer.
+   */
+  kthAncestor(nodeOrValue, k) {
+    if (!Number.isInteger(k) || k < 0) {
+      throw new RangeError(`k must be a non-negative integer, got ${k}`);
+    }
+    const indexed = this.#indexed(nodeOrValue);
+    if (indexed) {
+      const [node] = indexed.nodes;
+      return node ? indexed.index.kthAncestor(node, k) : null;
+    }
+    const path = this.pathTo(nodeOrValue);
+    return path?.[path.length - 1 - k] ?? null;
+  }
+
+  /**
+   * Checks whether one node is a proper ancestor of another (a node is not its own ancestor).
+   * Takes O(log n) with `useAncestorIndex`, O(n) otherwise. With the index, call
+   * `invalidate()` after setting `left` or `right` by hand, or the answer may be stale.
+   *
+   * @param {BinaryTreeNode | *} ancestor - The candidate ancestor, or its value.
+   * @param {BinaryTreeNode | *} descendant - The candidate descendant, or its value.
+   * @returns {boolean} True if `ancestor` lies strictly above `descendant`; false otherwise,
+   *                    including when either is not in the tree.
+   */
+  isAncestor(ancestor, descendant) {
+    const indexed = this.#indexed(ancestor, descendant);
+    if (indexed) {
+      const [upper, lower] = indexed.nodes;
+      if (!upper || !lower) return false;
+      const { index } = indexed;
+      const levels = index.depthOf(lower) - index.depthOf(upper);
+      return levels > 0 && index.kthAncestor(lower, levels) === upper;
+    }
+    const upper = this.findNode(ancestor);
+    const path = this.pathTo(descendant);
+    if (!upper || !path) return false;
+    const at = path.indexOf(upper);
+    return at !== -1 && at < path.length - 1;
+  }
+
+  /**
+   * Counts the edges on the path between two nodes, through their lowest common ancestor.
+   * Takes O(log n) with `useAncestorIndex`, O(n) otherwise. With the index, call
+   * `invalidate()` after setting `left` or `right` by hand, or the answer may be stale.
+   *
+   * @param {BinaryTreeNode | *} node1 - The first node, or its value.
+   * @param {BinaryTreeNode | *} node2 - The second node, or its value.
+   * @returns {number | null} The distance (0 for the same node), or null if either
+   *                          node is not in the tree.
+   */
+  distance(node1, node2) {
+    const indexed = this.#indexed(node1, node2);
+    if (indexed) {
+      const [first, second] = indexed.nodes;
+      if (!first || !second) return null;
+      const { index } = indexed;
+      const lca = index.lowestCommonAncestor(first, second);
+      return (
+        index.depthOf(first) + index.depthOf(second) - 2 * index.depthOf(lca)
+      );
+    }
+    const path1 = this.pathTo(node1);
+    const path2 = this.pathTo(node2);
+    if (!path1 || !path2) return null;
+    let shared = 0;
+    while (shared < Math.min(path1.length, path2.length)) {
+      if (path1[shared] !== path2[shared]) break;
+      shared++;
+    }
+    return path1.length + path2.length - 2 * shared;
+  }
+
   /**
    * Converts the binary tree into a plain object representation.
    * The resulting object mirrors the structure of the tree, with each node represented as an object
@@ -519,142 +1470,455 @@ class BinaryTree {
    */
   toObject() {
     if (!this.#root) return null;
+    const objects = new Map();
     const result = {};
-    this.#_buildObjectRecursive(this.#root, result, "root");
+    // Built top-down in pre-order, so each node's parent object already exists.
+    for (const { node, parent } of this.preorder()) {
+      const object = { value: node.value };
+      objects.set(node, object);
+      if (!parent) {
+        result.root = object;
+      } else {
+        const slot = parent.left === node ? "left" : "right";
+        (objects.get(parent).children ??= {})[slot] = object;
+      }
+    }
     return result;
   }
 
   /**
-   * @private
-   * A recursive helper method for `toObject`.
-   * Builds the object representation of the tree by traversing it and adding each node's data
-   * to the provided result object.
+   * Returns the label drawn for a node when the tree is visualized.
+   * Subclasses override it to show node metadata alongside the value.
    *
-   * @param {BinaryTreeNode} node - The current node being visited.
-   * @param {Object} result - The object where the tree's data is being accumulated.
-   * @param {string} nodeName - The name/key for the current node in the result object.
+   * @param {BinaryTreeNode} node - The node to label.
+   * @returns {string} The label.
    */
-  #_buildObjectRecursive(node, result, nodeName) {
-    if (!node) return;
-    result[nodeName] = { value: node.value };
-    if (node.left || node.right) {
-      result[nodeName].children = {};
-      if (node.left) {
-        this.#_buildObjectRecursive(
-          node.left,
-          result[nodeName].children,
-          "left"
-        );
-      }
-      if (node.right) {
-        this.#_buildObjectRecursive(
-          node.right,
-          result[nodeName].children,
-          "right"
-        );
-      }
-    }
+  formatNodeLabel(node) {
+    return String(node.value);
   }
 
   /**
    * Visualizes the tree structure in the console using the centered-slash style.
+   *
+   * @param {Object} [options] - Rendering options, as for `getVisualTreeString`. Labels
+   *                             default to `formatNodeLabel`.
    */
-  visualize() {
-    const visualString = getVisualTreeString(this.#root, "Visualization"); // Use imported function
+  visualize(options = {}) {
+    const visualString = getVisualTreeString(
+      this.#root,
+      "Visualization",
+      new Set(),
+      { formatLabel: (node) => this.formatNodeLabel(node), ...options }
+    ); // Use imported function
     console.log(visualString);
   }
 
+  /**
+   * Exports the tree as a Graphviz DOT digraph, e.g. for design documents.
+   *
+   * @param {Object} [options] - Export options, as for `toDot` in tree-export.js. Labels
+   *                             default to `formatNodeLabel`.
+   * @returns {string} The DOT source.
+   */
+  toDot(options = {}) {
+    return toDot(this.#root, {
+      formatLabel: (node) => this.formatNodeLabel(node),
+      ...options,
+    });
+  }
+
+  /**
+   * Exports the tree as a Mermaid flowchart, e.g. for design documents.
+   *
+   * @param {Object} [options] - Export options, as for `toMermaid` in tree-export.js.
+   *                             Labels default to `formatNodeLabel`.
+   * @returns {string} The Mermaid source.
+   */
+  toMermaid(options = {}) {
+    return toMermaid(this.#root, {
+      formatLabel: (node) => this.formatNodeLabel(node),
+      ...options,
+    });
+  }
+
   /**
    * Serializes (converts) the binary tree into a string format.
-   * Uses level-order traversal (BFS). Null nodes are represented as 'null'.
+   * Uses level-order traversal (BFS). The output is a JSON array in which missing
+   * nodes are `null`; values that are null, objects or arrays are wrapped as
+   * {"value": ...} so they cannot be mistaken for a missing node, and negative
+   * zero is kept as -0. `deserialize` reverses it exactly.
    *
    * @param {BinaryTree} tree - The binary tree to be serialized.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Overrides the tree's diagnostics logger for this call.
+   * @param {{encode: function(*): *, decode: function(*): *}} [options.codec] - Converts node values
+   *        to JSON-serializable data (`encode`) and back (`deserialize` uses `decode`).
    * @returns {string} The serialized string representation of the tree.
+   * @throws {TreeFormatError} If a node value (after encoding) has no JSON representation.
    */
-  static serialize(tree) {
+  static serialize(tree, options) {
+    const codec = options?.codec ?? identityCodec;
+    let serializedString = "[]";
     if (tree && tree.#root) {
-      // Check if tree and root exist
-      console.log(getVisualTreeString(tree.#root, "serialize - input tree"));
-    } else {
-      console.log("\n--- serialize - input tree ---");
-      console.log(
-        !tree || !(tree instanceof BinaryTree) || !tree.#root // More robust check
-          ? "<empty tree or invalid tree object>"
-          : "Tree object provided, but _getVisualTreeString not available." // This message might be obsolete
-      );
-      console.log("------------------------------------------");
-    }
-    if (!tree || !tree.#root) return "[]";
-    const result = [];
-    const queue = [tree.#root];
-
-    while (queue.length > 0) {
-      const node = queue.shift();
-      if (node) {
-        result.push(node.value);
-        queue.push(node.left);
-        queue.push(node.right);
-      } else {
-        result.push(null);
+      const result = [];
+      const queue = new Queue([tree.#root]);
+
+      while (queue.size > 0) {
+        const node = queue.dequeue();
+        if (node) {
+          result.push(encodeValue(node.value, codec, result.length));
+          queue.enqueue(node.left);
+          queue.enqueue(node.right);
+        } else {
+          result.push("null");
+        }
+      }
+
+      // Remove trailing nulls for a cleaner output
+      while (result.length > 0 && result[result.length - 1] === "null") {
+        result.pop();
       }
-    }
 
-    // Remove trailing nulls for a cleaner output
-    while (result.length > 0 && result[result.length - 1] === null) {
-      result.pop();
+      serializedString = `[${result.join(",")}]`;
     }
 
-    const serializedString = JSON.stringify(result);
-    console.log(`--- serialize - output string: ${serializedString} ---`);
+    // A missing tree has no logger of its own, so only a per-call logger applies.
+    (tree ?? new BinaryTree()).#emit(
+      options,
+      "serialize",
+      `serialize - result (${serializedString})`,
+      serializedString
+    );
     return serializedString;
   }
 
   /**
    * Rebuilds (deserializes) a binary tree from its string representation.
-   * Expects format from `serialize` (level-order with 'null' for missing children).
+   * Expects format from `serialize` (a JSON array in level order with null for missing children).
    *
    * @param {string} serialized - The serialized string representation of the tree.
+   * @param {Object} [options] - Per-call options.
+   * @param {*} [options.logger] - Diagnostics logger for this call. The returned tree itself is silent.
+   * @param {{encode: function(*): *, decode: function(*): *}} [options.codec] - The codec given to `serialize`.
    * @returns {BinaryTree} The deserialized binary tree.
+   * @throws {TypeError} If `serialized` is not a string.
+   * @throws {TreeFormatError} If the input is malformed; its `position` locates the problem.
    */
-  static deserialize(serialized) {
-    console.log(`\n--- Deserializing input: ${serialized} ---`);
-    if (serialized === "[]") return new BinaryTree();
-    const contentWithoutBrackets = serialized.slice(1, -1);
-    const stringValuesArray = contentWithoutBrackets.split(",");
-    const values = stringValuesArray.map((valueStr) => {
-      if (valueStr === "null" || valueStr === "") return null;
-      return Number(valueStr);
-    });
-    if (values.length === 0 || values[0] === null) return new BinaryTree();
-    const rootNode = new BinaryTreeNode(values[0]);
-    const tree = new BinaryTree(rootNode);
-    const buildQueue = [rootNode];
-    let parentIdx = 0,
-      valueIdx = 1;
-    const numValuesToProcess = values.length;
-    while (valueIdx < numValuesToProcess && parentIdx < buildQueue.length) {
-      const parentNode = buildQueue[parentIdx++];
-      if (valueIdx < numValuesToProcess) {
-        const leftVal = values[valueIdx++];
-        if (leftVal !== null) {
-          parentNode.left = new BinaryTreeNode(leftVal);
-          buildQueue.push(parentNode.left);
+  static deserialize(serialized, options) {
+    const tree = new BinaryTree(
+      BinaryTree.#buildFromString(serialized, options?.codec ?? identityCodec)
+    );
+    tree.#emit(
+      options,
+      "deserialize",
+      `deserialize - result for ${serialized}`,
+      tree
+    );
+    return tree;
+  }
+
+  /**
+   * A private helper that parses the level-order string produced by `serialize` and
+   * links up the nodes.
+   *
+   * @param {string} serialized - The serialized string representation of the tree.
+   * @param {{decode: function(*): *}} codec - Turns stored values back into node values.
+   * @returns {BinaryTreeNode | null} The root of the rebuilt tree, or null if it is empty.
+   */
+  static #buildFromString(serialized, codec) {
+    const elements = parseJson(serialized);
+    if (!Array.isArray(elements)) {
+      throw new TreeFormatError(
+        "Malformed serialized tree: expected a JSON array",
+        0
+      );
+    }
+    return BinaryTree.#buildFromLevelOrder(elements, (element, index) =>
+      decodeValue(element, codec, index)
+    );
+  }
+
+  /**
+   * A private helper that links up the nodes of a level-order array (null or undefined
+   * for missing children).
+   *
+   * @param {Array} elements - The level-order elements.
+   * @param {function(*, number): *} toValue - Turns a present element (and its index) into a node value.
+   * @returns {BinaryTreeNode | null} The root of the rebuilt tree, or null if it is empty.
+   * @throws {TreeFormatError} If an element has no parent to attach to.
+   */
+  static #buildFromLevelOrder(elements, toValue) {
+    const isHole = (element) => element === null || element === undefined;
+    // Surplus trailing holes are harmless; a surplus value has nowhere to go.
+    const rejectOrphansFrom = (firstUnused, reason) => {
+      for (let index = firstUnused; index < elements.length; index++) {
+        if (!isHole(elements[index])) {
+          throw new TreeFormatError(
+            `Malformed tree at element ${index}: ${reason}`,
+            index
+          );
         }
       }
+    };
+
+    if (elements.length === 0) return null;
+    if (isHole(elements[0])) {
+      rejectOrphansFrom(1, "the tree has no root, so it cannot have children");
+      return null;
+    }
+
+    const toNode = (index) =>
+      isHole(elements[index])
+        ? null
+        : new BinaryTreeNode(toValue(elements[index], index));
+
+    const rootNode = toNode(0);
+    const buildQueue = new Queue([rootNode]);
+    let valueIdx = 1;
+    const numValuesToProcess = elements.length;
+    while (valueIdx < numValuesToProcess && buildQueue.size > 0) {
+      const parentNode = buildQueue.dequeue();
+      parentNode.left = toNode(valueIdx++);
+      if (parentNode.left) buildQueue.enqueue(parentNode.left);
       if (valueIdx < numValuesToProcess) {
-        const rightVal = values[valueIdx++];
-        if (rightVal !== null) {
-          parentNode.right = new BinaryTreeNode(rightVal);
-          buildQueue.push(parentNode.right);
+        parentNode.right = toNode(valueIdx++);
+        if (parentNode.right) buildQueue.enqueue(parentNode.right);
+      }
+    }
+    rejectOrphansFrom(valueIdx, "no parent is left to attach it to");
+    return rootNode;
+  }
+
+  /**
+   * Builds a tree from a level-order array, as produced by walking the tree
+   * breadth-first and writing null (or leaving undefined) for each missing child.
+   * Unlike `deserialize`, takes a real array of values rather than a string.
+   *
+   * @param {Array} values - The level-order values, e.g. [1, 2, 3, null, 4].
+   * @param {Object} [options] - Constructor options (e.g. logger).
+   * @returns {BinaryTree} The new tree.
+   * @throws {TreeFormatError} If a value has no parent to attach to; `position` is its index.
+   */
+  static fromLevelOrderArray(values, options) {
+    BinaryTree.#checkArray(values, "values");
+    return new this(
+      BinaryTree.#buildFromLevelOrder(values, (value) => value),
+      options
+    );
+  }
+
+  /**
+   * A private helper that throws a TypeError unless `value` is an array.
+   *
+   * @param {*} value - The argument to check.
+   * @param {string} name - The argument's name, for the message.
+   */
+  static #checkArray(value, name) {
+    if (!Array.isArray(value)) {
+      throw new TypeError(`Expected ${name} to be an array`);
+    }
+  }
+
+  /**
+   * A private helper that checks that two traversal sequences can describe the same
+   * tree: equal length, unique values (otherwise the tree is ambiguous) and the same
+   * set of values.
+   *
+   * @param {Array} order - The preorder or postorder sequence.
+   * @param {Array} inorderValues - The inorder sequence.
+   * @param {string} orderName - Name of the first sequence, for messages.
+   * @throws {TreeFormatError} Explaining the first inconsistency found.
+   */
+  static #checkTraversalPair(order, inorderValues, orderName) {
+    BinaryTree.#checkArray(order, orderName);
+    BinaryTree.#checkArray(inorderValues, "inorder");
+    if (order.length !== inorderValues.length) {
+      throw new TreeFormatError(
+        `${orderName} has ${order.length} values but inorder has ${inorderValues.length}`
+      );
+    }
+    const seen = new Set();
+    inorderValues.forEach((value, index) => {
+      if (seen.has(value)) {
+        throw new TreeFormatError(
+          `inorder value ${String(
+            value
+          )} at index ${index} is a duplicate; values must be unique`,
+          index
+        );
+      }
+      seen.add(value);
+    });
+    const seenInOrder = new Set();
+    order.forEach((value, index) => {
+      if (!seen.has(value) || seenInOrder.has(value)) {
+        throw new TreeFormatError(
+          `${orderName} value ${String(
+            value
+          )} at index ${index} does not match any unused inorder value`,
+          index
+        );
+      }
+      seenInOrder.add(value);
+    });
+  }
+
+  /**
+   * A private helper that confirms that a tree built from traversal sequences really
+   * produces them. Two sequences over the same values can still contradict each
+   * other, in which case the construction yields some other tree.
+   *
+   * @param {BinaryTree} tree - The built tree.
+   * @param {Object<string, Array>} expected - Sequences keyed by traversal name ("preorder", ...).
+   * @throws {TreeFormatError} Naming the first position where the tree disagrees.
+   */
+  static #checkTraversals(tree, expected) {
+    for (const [name, values] of Object.entries(expected)) {
+      let index = 0;
+      for (const { node } of tree[name]()) {
+        if (!Object.is(node.value, values[index])) {
+          throw new TreeFormatError(
+            `Inconsistent sequences: no tree has this ${name}, it diverges at index ${index}`,
+            index
+          );
         }
+        index++;
+      }
+    }
+  }
+
+  /**
+   * Builds the unique tree with the given preorder and inorder sequences.
+   * Runs iteratively in O(n): each value is pushed and popped once on a stack of
+   * nodes still waiting for their right child.
+   *
+   * @param {Array} preorderValues - Values in preorder (Node, Left, Right).
+   * @param {Array} inorderValues - The same values in inorder (Left, Node, Right); must be unique.
+   * @param {Object} [options] - Constructor options (e.g. logger).
+   * @returns {BinaryTree} The new tree.
+   * @throws {TreeFormatError} If the sequences are inconsistent, saying why and where.
+   */
+  static fromPreorderInorder(preorderValues, inorderValues, options) {
+    BinaryTree.#checkTraversalPair(preorderValues, inorderValues, "preorder");
+    let rootNode = null;
+    const stack = [];
+    let inorderIdx = 0;
+    for (const value of preorderValues) {
+      const node = new BinaryTreeNode(value);
+      let parent = null;
+      // Nodes whose inorder turn has come are complete on the left; the last one
+      // popped gets the new node as its right child.
+      while (
+        stack.length > 0 &&
+        Object.is(stack[stack.length - 1].value, inorderValues[inorderIdx])
+      ) {
+        parent = stack.pop();
+        inorderIdx++;
       }
+      if (parent) parent.right = node;
+      else if (stack.length > 0) stack[stack.length - 1].left = node;
+      else if (!rootNode) rootNode = node;
+      else
+        throw new TreeFormatError(
+          "Inconsistent sequences: preorder continues after the whole inorder sequence is used"
+        );
+      stack.push(node);
     }
-    if (tree.#root) {
-      // Check if tree and root exist
-      console.log(getVisualTreeString(tree.#root, "deserialize - output tree"));
+
+    const tree = new this(rootNode, options);
+    BinaryTree.#checkTraversals(tree, {
+      preorder: preorderValues,
+      inorder: inorderValues,
+    });
+    return tree;
+  }
+
+  /**
+   * Builds the unique tree with the given postorder and inorder sequences.
+   * The mirror image of `fromPreorderInorder`: walks both sequences backwards,
+   * building right subtrees first.
+   *
+   * @param {Array} postorderValues - Values in postorder (Left, Right, Node).
+   * @param {Array} inorderValues - The same values in inorder (Left, Node, Right); must be unique.
+   * @param {Object} [options] - Constructor options (e.g. logger).
+   * @returns {BinaryTree} The new tree.
+   * @throws {TreeFormatError} If the sequences are inconsistent, saying why and where.
+   */
+  static fromPostorderInorder(postorderValues, inorderValues, options) {
+    BinaryTree.#checkTraversalPair(postorderValues, inorderValues, "postorder");
+    let rootNode = null;
+    const stack = [];
+    let inorderIdx = inorderValues.length - 1;
+    for (let i = postorderValues.length - 1; i >= 0; i--) {
+      const node = new BinaryTreeNode(postorderValues[i]);
+      let parent = null;
+      while (
+        stack.length > 0 &&
+        Object.is(stack[stack.length - 1].value, inorderValues[inorderIdx])
+      ) {
+        parent = stack.pop();
+        inorderIdx--;
+      }
+      if (parent) parent.left = node;
+      else if (stack.length > 0) stack[stack.length - 1].right = node;
+      else if (!rootNode) rootNode = node;
+      else
+        throw new TreeFormatError(
+          "Inconsistent sequences: postorder continues after the whole inorder sequence is used"
+        );
+      stack.push(node);
     }
+
+    const tree = new this(rootNode, options);
+    BinaryTree.#checkTraversals(tree, {
+      postorder: postorderValues,
+      inorder: inorderValues,
+    });
     return tree;
   }
+
+  /**
+   * Builds a height-balanced tree from sorted values: the middle value becomes the
+   * root and each half is built the same way, so the depths of any node's two
+   * subtrees differ by at most one. An in-order walk of the result yields `values`.
+   *
+   * @param {Array} values - Values in strictly ascending order.
+   * @param {Object} [options] - Constructor options (e.g. logger).
+   * @param {function(*, *): number} [options.compare=defaultCompare] - Ordering used to check the input.
+   * @returns {BinaryTree} The new tree.
+   * @throws {TreeFormatError} If the values are not strictly ascending; `position` is the first offender.
+   */
+  static fromSortedArray(values, options) {
+    BinaryTree.#checkArray(values, "values");
+    const compare = options?.compare ?? defaultCompare;
+    for (let i = 1; i < values.length; i++) {
+      if (compare(values[i - 1], values[i]) >= 0) {
+        throw new TreeFormatError(
+          `Values are not strictly ascending: index ${i} (${String(
+            values[i]
+          )}) does not come after index ${i - 1} (${String(values[i - 1])})`,
+          i
+        );
+      }
+    }
+
+    // Each pending range of values hangs from `parent` on `side`.
+    let rootNode = null;
+    const pending = [
+      { lo: 0, hi: values.length - 1, parent: null, side: null },
+    ];
+    while (pending.length > 0) {
+      const { lo, hi, parent, side } = pending.pop();
+      if (lo > hi) continue;
+      const mid = Math.floor((lo + hi) / 2);
+      const node = new BinaryTreeNode(values[mid]);
+      if (parent) parent[side] = node;
+      else rootNode = node;
+      pending.push({ lo, hi: mid - 1, parent: node, side: "left" });
+      pending.push({ lo: mid + 1, hi, parent: node, side: "right" });
+    }
+    return new this(rootNode, options);
+  }
 }
 
-module.exports = { BinaryTree, BinaryTreeNode };
+module.exports = { BinaryTree, BinaryTreeNode, defaultCompare, replaceRoot };
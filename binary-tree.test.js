@@ -1,4 +1,14 @@
 const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+const { TreeFormatError } = require("./tree-serialization");
+const {
+  getVisualTreeString,
+  getOutlineTreeString,
+  getSidewaysTreeString,
+  getVisualDiffString,
+  stripAnsi,
+  supportsColor
+} = require("./tree-visualizer");
+const { BinarySearchTree } = require("./binary-search-tree");
 
 let smallTree;
 let largeTree;
@@ -220,3 +230,1540 @@ describe("lowestCommonAncestor", function() {
     expect(tree.lowestCommonAncestor(right_left, right_right)).toBe(right);
   });
 });
+
+describe("diagnostics logger", function() {
+  afterEach(function() {
+    jest.restoreAllMocks();
+  });
+
+  it("is silent by default", function() {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    largeTree.minDepth();
+    largeTree.maxSum();
+    BinaryTree.deserialize(BinaryTree.serialize(largeTree));
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  it("collects structured events into an array", function() {
+    const events = [];
+    const leftLeaf = new BinaryTreeNode(5);
+    const root = new BinaryTreeNode(6, leftLeaf);
+    const tree = new BinaryTree(root, { logger: events });
+
+    expect(tree.minDepth()).toBe(2);
+    expect(tree.nextLarger(5)).toBe(6);
+
+    expect(events.map(event => event.method)).toEqual([
+      "minDepth",
+      "nextLarger"
+    ]);
+    expect(events[0].result).toBe(2);
+    expect(events[0].highlighted).toEqual(new Set([root, leftLeaf]));
+    expect(events[1].result).toBe(6);
+    expect(events[1].visual).toContain("6 (*)");
+  });
+
+  it("lets a per-call logger override the instance logger", function() {
+    const instanceEvents = [];
+    const callEvents = [];
+    const tree = new BinaryTree(new BinaryTreeNode(1), {
+      logger: instanceEvents
+    });
+
+    tree.maxDepth({ logger: callEvents });
+    tree.maxDepth({ logger: "silent" });
+
+    expect(instanceEvents).toHaveLength(0);
+    expect(callEvents).toHaveLength(1);
+    expect(callEvents[0].method).toBe("maxDepth");
+  });
+
+  it("supports callbacks and objects with a log method", function() {
+    const callback = jest.fn();
+    const sink = { log: jest.fn() };
+
+    const leaf = new BinaryTreeNode(5);
+    new BinaryTree(new BinaryTreeNode(6, leaf)).areCousins(leaf, leaf, {
+      logger: callback
+    });
+    BinaryTree.serialize(smallTree, { logger: sink });
+
+    expect(callback).toHaveBeenCalledWith(
+      expect.objectContaining({ method: "areCousins", result: false })
+    );
+    expect(sink.log).toHaveBeenCalledWith(
+      expect.objectContaining({ method: "serialize", result: "[6,5,5]" })
+    );
+  });
+
+  it("prints the visualization with the console logger", function() {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    emptyTree.maxSum({ logger: "console" });
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(logSpy.mock.calls[0][0]).toContain("maxSum - result (empty tree)");
+  });
+
+  it("rejects unsupported loggers", function() {
+    expect(() => new BinaryTree(null, { logger: 42 })).toThrow(TypeError);
+  });
+});
+
+describe("traversal iterators", function() {
+  const values = iterator => [...iterator].map(({ node }) => node.value);
+
+  it("walks in preorder, inorder, postorder and level order", function() {
+    expect(values(largeTree.preorder())).toEqual([6, 5, 5, 3, 2, 1, 1]);
+    expect(values(largeTree.inorder())).toEqual([5, 6, 2, 3, 1, 5, 1]);
+    expect(values(largeTree.postorder())).toEqual([5, 2, 1, 3, 1, 5, 6]);
+    expect(values(largeTree.levelOrder())).toEqual([6, 5, 5, 3, 1, 2, 1]);
+  });
+
+  it("yields depth, parent and path for each node", function() {
+    for (const { node, depth, parent, path } of largeTree.inorder()) {
+      expect(path).toHaveLength(depth);
+      expect(path[path.length - 1]).toBe(node);
+      expect(depth === 1 ? null : path[path.length - 2]).toBe(parent);
+    }
+  });
+
+  it("yields nothing for an empty tree", function() {
+    expect([...emptyTree.preorder()]).toEqual([]);
+    expect([...emptyTree.inorder()]).toEqual([]);
+    expect([...emptyTree.postorder()]).toEqual([]);
+    expect([...emptyTree.levelOrder()]).toEqual([]);
+  });
+});
+
+describe("query API", function() {
+  it("reduces, counts and filters", function() {
+    expect(largeTree.reduce((total, node) => total + node.value, 0)).toBe(23);
+    expect(largeTree.count(node => node.value === 5)).toBe(2);
+    expect(largeTree.filter(node => node.value < 3).map(n => n.value)).toEqual([
+      2,
+      1,
+      1
+    ]);
+    expect(largeTree.findAll(node => node.value > 10)).toEqual([]);
+  });
+
+  it("finds, and answers some and every", function() {
+    expect(largeTree.find(node => node.value === 3).left.value).toBe(2);
+    expect(largeTree.find(node => node.value === 4)).toBe(null);
+    expect(largeTree.some((node, { depth }) => depth === 4)).toBe(true);
+    expect(largeTree.every(node => node.value > 0)).toBe(true);
+    expect(emptyTree.some(() => true)).toBe(false);
+  });
+
+  it("maps into a new tree of the same shape", function() {
+    const negated = largeTree.map(value => -value);
+    expect(negated).toBeInstanceOf(BinaryTree);
+    expect(BinaryTree.serialize(negated)).toBe(
+      "[-6,-5,-5,null,null,-3,-1,-2,-1]"
+    );
+    expect(BinaryTree.serialize(largeTree)).toBe("[6,5,5,null,null,3,1,2,1]");
+  });
+});
+
+describe("serialization format", function() {
+  const roundTrip = (tree, options) =>
+    BinaryTree.deserialize(BinaryTree.serialize(tree, options), options);
+
+  it("round-trips arbitrary JSON values", function() {
+    const values = [
+      "a,b",
+      true,
+      null,
+      { nested: [1, "x"] },
+      [1, 2],
+      -0,
+      "null",
+      { value: 3 }
+    ];
+    const root = new BinaryTreeNode(values[0]);
+    root.left = new BinaryTreeNode(values[1], new BinaryTreeNode(values[3]));
+    root.right = new BinaryTreeNode(
+      values[2],
+      null,
+      new BinaryTreeNode(values[4])
+    );
+    root.left.left.left = new BinaryTreeNode(values[5]);
+    root.right.right.right = new BinaryTreeNode(values[6]);
+    root.left.left.right = new BinaryTreeNode(values[7]);
+    const tree = new BinaryTree(root);
+
+    const result = roundTrip(tree);
+    expect(result.toObject()).toEqual(tree.toObject());
+    expect(Object.is(result.root.left.left.left.value, -0)).toBe(true);
+    expect(result.root.right.value).toBe(null);
+    expect(result.root.right.left).toBe(null);
+  });
+
+  it("keeps the compact form for plain values", function() {
+    expect(BinaryTree.serialize(smallTree)).toBe("[6,5,5]");
+    expect(BinaryTree.serialize(emptyTree)).toBe("[]");
+    expect(BinaryTree.serialize(new BinaryTree(new BinaryTreeNode(null)))).toBe(
+      '[{"value":null}]'
+    );
+  });
+
+  it("uses a custom value codec", function() {
+    const tree = new BinaryTree(
+      new BinaryTreeNode(new Date(0), null, new BinaryTreeNode(new Date(1000)))
+    );
+    const codec = {
+      encode: date => date.getTime(),
+      decode: time => new Date(time)
+    };
+
+    expect(BinaryTree.serialize(tree, { codec })).toBe("[0,null,1000]");
+    expect(roundTrip(tree, { codec }).root.right.value).toEqual(new Date(1000));
+  });
+
+  it("rejects values without a JSON representation", function() {
+    const tree = new BinaryTree(new BinaryTreeNode(1, new BinaryTreeNode(NaN)));
+    expect(() => BinaryTree.serialize(tree)).toThrow(TreeFormatError);
+    expect(() =>
+      BinaryTree.serialize(new BinaryTree(new BinaryTreeNode(undefined)))
+    ).toThrow("undefined");
+  });
+
+  it("reports malformed input with its position", function() {
+    const errorFor = serialized => {
+      try {
+        BinaryTree.deserialize(serialized);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(errorFor("[1,2")).toBeInstanceOf(TreeFormatError);
+    expect(errorFor("[1,2").position).toBe(4);
+    expect(errorFor('[1,"two').position).toBe(7);
+    expect(errorFor("[1,x]").position).toBe(3);
+    expect(errorFor("[1,,2]").position).toBe(3);
+    expect(errorFor("[1,tru]").position).toBe(6);
+    expect(errorFor('[1,{"value" 2}]').position).toBe(12);
+    expect(errorFor("[1,2] 3").position).toBe(6);
+    expect(errorFor('{"a":1}').message).toMatch("expected a JSON array");
+    expect(errorFor("[null,1]").position).toBe(1);
+    expect(errorFor("[1,[2]]").position).toBe(1);
+    expect(errorFor("[1,null,null,4]").position).toBe(3);
+    expect(() => BinaryTree.deserialize(42)).toThrow(TypeError);
+  });
+
+  it("tolerates surplus trailing nulls", function() {
+    const tree = BinaryTree.deserialize("[1,2,null,null,null,null,null]");
+    expect(BinaryTree.serialize(tree)).toBe("[1,2]");
+  });
+});
+
+describe("builders", function() {
+  const sequences = tree => ({
+    preorder: [...tree.preorder()].map(({ node }) => node.value),
+    inorder: [...tree.inorder()].map(({ node }) => node.value),
+    postorder: [...tree.postorder()].map(({ node }) => node.value)
+  });
+
+  let tree;
+
+  beforeEach(function() {
+    //        1
+    //      /   \
+    //     2     3
+    //      \   / \
+    //       4 5   6
+    //            /
+    //           7
+    tree = BinaryTree.fromLevelOrderArray([1, 2, 3, null, 4, 5, 6, 7]);
+  });
+
+  it("builds from level-order arrays", function() {
+    expect(BinaryTree.serialize(tree)).toBe("[1,2,3,null,4,5,6,7]");
+    expect(BinaryTree.fromLevelOrderArray([]).root).toBe(null);
+    expect(
+      BinaryTree.serialize(BinaryTree.fromLevelOrderArray([1, undefined, 2]))
+    ).toBe("[1,null,2]");
+    expect(() => BinaryTree.fromLevelOrderArray([1, null, null, 2])).toThrow(
+      TreeFormatError
+    );
+    expect(() => BinaryTree.fromLevelOrderArray("[1]")).toThrow(TypeError);
+  });
+
+  it("builds from preorder and inorder", function() {
+    const { preorder, inorder } = sequences(tree);
+    const result = BinaryTree.fromPreorderInorder(preorder, inorder);
+    expect(result.toObject()).toEqual(tree.toObject());
+    expect(BinaryTree.fromPreorderInorder([], []).root).toBe(null);
+  });
+
+  it("builds from postorder and inorder", function() {
+    const { postorder, inorder } = sequences(tree);
+    const result = BinaryTree.fromPostorderInorder(postorder, inorder);
+    expect(result.toObject()).toEqual(tree.toObject());
+  });
+
+  it("builds degenerate chains", function() {
+    const chain = BinaryTree.fromPreorderInorder([1, 2, 3], [3, 2, 1]);
+    expect(BinaryTree.serialize(chain)).toBe("[1,2,null,3]");
+    const rightChain = BinaryTree.fromPostorderInorder([3, 2, 1], [1, 2, 3]);
+    expect(BinaryTree.serialize(rightChain)).toBe("[1,null,2,null,3]");
+  });
+
+  it("explains inconsistent sequences", function() {
+    expect(() => BinaryTree.fromPreorderInorder([1, 2], [1])).toThrow(
+      "preorder has 2 values but inorder has 1"
+    );
+    expect(() => BinaryTree.fromPreorderInorder([1, 1], [1, 1])).toThrow(
+      "duplicate"
+    );
+    expect(() => BinaryTree.fromPreorderInorder([1, 4], [1, 2])).toThrow(
+      "does not match"
+    );
+    // Inorder makes 3 the left and 2 the right child of 1, so preorder must be 1, 3, 2.
+    expect(() => BinaryTree.fromPreorderInorder([1, 2, 3], [3, 1, 2])).toThrow(
+      "diverges at index 1"
+    );
+    expect(() => BinaryTree.fromPostorderInorder([1, 2, 3], [2, 3, 1])).toThrow(
+      TreeFormatError
+    );
+  });
+
+  it("builds height-balanced trees from sorted arrays", function() {
+    const values = Array.from({ length: 100 }, (_, i) => i * 2);
+    const balanced = BinaryTree.fromSortedArray(values);
+    expect(sequences(balanced).inorder).toEqual(values);
+    expect(balanced.maxDepth()).toBe(7);
+    expect(balanced.maxDepth() - balanced.minDepth()).toBeLessThanOrEqual(1);
+    expect(BinaryTree.fromSortedArray([]).root).toBe(null);
+  });
+
+  it("rejects unsorted arrays", function() {
+    let error;
+    try {
+      BinaryTree.fromSortedArray([1, 2, 2, 3]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(TreeFormatError);
+    expect(error.position).toBe(2);
+  });
+});
+
+describe("value-based lookups", function() {
+  // largeTree:     6
+  //              /   \
+  //             5     5
+  //                  / \
+  //                 3   1
+  //                / \
+  //               2   1
+  let root;
+  let left5;
+  let right5;
+  let node3;
+
+  beforeEach(function() {
+    root = largeTree.root;
+    left5 = root.left;
+    right5 = root.right;
+    node3 = right5.left;
+  });
+
+  it("finds the first match in level order", function() {
+    expect(largeTree.findNode(5)).toBe(left5);
+    expect(largeTree.findNode(1)).toBe(right5.right);
+    expect(largeTree.findNode((node, { depth }) => depth === 3)).toBe(node3);
+    expect(largeTree.findNode(42)).toBe(null);
+    expect(emptyTree.findNode(1)).toBe(null);
+  });
+
+  it("finds all matches in pre-order, as filter does", function() {
+    expect(largeTree.findAll(5)).toEqual([left5, right5]);
+    expect(largeTree.findAll(1)).toEqual([node3.right, right5.right]);
+    const isLarge = node => node.value > 4;
+    expect(largeTree.findAll(isLarge)).toEqual(largeTree.filter(isLarge));
+  });
+
+  it("treats null and undefined targets as not found", function() {
+    const holes = new BinaryTree(
+      new BinaryTreeNode(0, new BinaryTreeNode(null), new BinaryTreeNode())
+    );
+    expect(holes.findNode(null)).toBe(null);
+    expect(holes.findAll(undefined)).toEqual([]);
+    expect(holes.pathTo(null)).toBe(null);
+    expect(holes.areCousins(null, undefined)).toBe(false);
+    expect(holes.lowestCommonAncestor(undefined, 0)).toBe(null);
+    expect(holes.findNode(node => node.value === null)).toBe(holes.root.left);
+  });
+
+  it("answers path, depth and parent queries by node or value", function() {
+    expect(largeTree.pathTo(node3.left)).toEqual([
+      root,
+      right5,
+      node3,
+      node3.left
+    ]);
+    expect(largeTree.pathTo(3)).toEqual([root, right5, node3]);
+    expect(largeTree.pathTo(new BinaryTreeNode(3))).toBe(null);
+    expect(largeTree.depthOf(2)).toBe(4);
+    expect(largeTree.depthOf(root)).toBe(1);
+    expect(largeTree.depthOf(42)).toBe(null);
+    expect(largeTree.parentOf(3)).toBe(right5);
+    expect(largeTree.parentOf(root)).toBe(null);
+  });
+
+  it("accepts values in areCousins and lowestCommonAncestor", function() {
+    expect(largeTree.lowestCommonAncestor(2, 1)).toBe(right5);
+    expect(largeTree.lowestCommonAncestor(2, node3.right)).toBe(node3);
+    expect(largeTree.lowestCommonAncestor(2, 42)).toBe(null);
+
+    // 3 and the first 1 in level order share the parent 5.
+    expect(largeTree.areCousins(3, 1)).toBe(false);
+    expect(largeTree.areCousins(left5, 1)).toBe(false);
+    expect(largeTree.areCousins(2, 42)).toBe(false);
+
+    const tree = BinaryTree.fromLevelOrderArray([1, 2, 3, 4, null, null, 5]);
+    expect(tree.areCousins(4, 5)).toBe(true);
+  });
+});
+
+describe("ancestor queries", function() {
+  // tree:        1
+  //            /   \
+  //           2     3
+  //          / \     \
+  //         4   5     6
+  //            /
+  //           7
+  let tree;
+
+  beforeEach(function() {
+    tree = BinaryTree.fromLevelOrderArray([
+      1,
+      2,
+      3,
+      4,
+      5,
+      null,
+      6,
+      null,
+      null,
+      7
+    ]);
+  });
+
+  it("answers kthAncestor, isAncestor and distance without an index", function() {
+    expect(tree.kthAncestor(7, 0).value).toBe(7);
+    expect(tree.kthAncestor(7, 2).value).toBe(2);
+    expect(tree.kthAncestor(7, 3).value).toBe(1);
+    expect(tree.kthAncestor(7, 4)).toBe(null);
+    expect(tree.kthAncestor(42, 1)).toBe(null);
+    expect(() => tree.kthAncestor(7, -1)).toThrow(RangeError);
+    expect(() => tree.kthAncestor(7, 1.5)).toThrow(RangeError);
+
+    expect(tree.isAncestor(2, 7)).toBe(true);
+    expect(tree.isAncestor(1, 6)).toBe(true);
+    expect(tree.isAncestor(7, 2)).toBe(false);
+    expect(tree.isAncestor(3, 7)).toBe(false);
+    expect(tree.isAncestor(7, 7)).toBe(false);
+    expect(tree.isAncestor(42, 7)).toBe(false);
+
+    expect(tree.distance(7, 6)).toBe(5);
+    expect(tree.distance(4, 5)).toBe(2);
+    expect(tree.distance(2, 7)).toBe(2);
+    expect(tree.distance(3, 3)).toBe(0);
+    expect(tree.distance(3, 42)).toBe(null);
+  });
+
+  it("gives the same answers with an index", function() {
+    const values = [1, 2, 3, 4, 5, 6, 7, 42];
+    const expected = [];
+    for (const a of values) {
+      for (const b of values) {
+        expected.push([
+          tree.lowestCommonAncestor(a, b),
+          tree.isAncestor(a, b),
+          tree.distance(a, b),
+          tree.kthAncestor(a, b % 4)
+        ]);
+      }
+    }
+
+    expect(tree.useAncestorIndex()).toBe(tree);
+    const actual = [];
+    for (const a of values) {
+      for (const b of values) {
+        actual.push([
+          tree.lowestCommonAncestor(a, b),
+          tree.isAncestor(a, b),
+          tree.distance(a, b),
+          tree.kthAncestor(a, b % 4)
+        ]);
+      }
+    }
+    expect(actual).toEqual(expected);
+  });
+
+  it("handles deep trees", function() {
+    let root = null;
+    const nodes = [];
+    for (let value = 0; value < 5000; value++) {
+      root = new BinaryTreeNode(value, root, new BinaryTreeNode(-value));
+      nodes.push(root);
+    }
+    const deep = new BinaryTree(root).useAncestorIndex();
+    expect(deep.lowestCommonAncestor(0, -3)).toBe(nodes[3]);
+    expect(deep.kthAncestor(0, 4999)).toBe(root);
+    expect(deep.distance(-10, -4000)).toBe(3992);
+    expect(deep.isAncestor(4999, 0)).toBe(true);
+  });
+
+  it("rebuilds the index only when told the tree changed", function() {
+    tree.useAncestorIndex();
+    expect(tree.distance(7, 6)).toBe(5);
+
+    // Changes made by hand are not noticed until invalidate().
+    const node8 = new BinaryTreeNode(8);
+    tree.findNode(6).left = node8;
+    expect(tree.kthAncestor(node8, 2)).toBe(null);
+    tree.invalidate();
+    expect(tree.kthAncestor(node8, 2).value).toBe(3);
+
+    const node5 = tree.findNode(5);
+    tree.findNode(2).right = null;
+    node8.right = node5;
+    // A moved node keeps its old ancestors until then.
+    expect(tree.isAncestor(node8, node5)).toBe(false);
+    tree.invalidate();
+    expect(tree.isAncestor(node8, node5)).toBe(true);
+    expect(tree.distance(7, 4)).toBe(7);
+    expect(tree.isAncestor(3, 7)).toBe(true);
+  });
+
+  it("gives the same answers for absent values and predicates", function() {
+    const targets = [
+      42,
+      null,
+      undefined,
+      new BinaryTreeNode(1),
+      node => node.value === 1,
+      node => node.value > 5,
+      node => node.value > 100
+    ];
+    const answers = () => {
+      const results = [];
+      for (const a of targets) {
+        for (const b of [...targets, 2, 7]) {
+          results.push([
+            tree.lowestCommonAncestor(a, b),
+            tree.isAncestor(a, b),
+            tree.distance(a, b),
+            tree.kthAncestor(a, 1)
+          ]);
+        }
+      }
+      return results;
+    };
+
+    const expected = answers();
+    tree.useAncestorIndex();
+    expect(answers()).toEqual(expected);
+    expect(tree.lowestCommonAncestor(node => node.value === 6, 7).value).toBe(
+      1
+    );
+  });
+
+  it("highlights only the endpoints and the LCA when indexed", function() {
+    const events = [];
+    tree.useAncestorIndex();
+    const lca = tree.lowestCommonAncestor(7, 4, { logger: events });
+    expect(lca.value).toBe(2);
+    expect(events[0].result).toBe(lca);
+    expect(events[0].context).toBe("lowestCommonAncestor - result (LCA: 2)");
+    expect([...events[0].highlighted].map(node => node.value).sort()).toEqual([
+      2,
+      4,
+      7
+    ]);
+  });
+});
+
+describe("path sums", function() {
+  // tree:       5
+  //           /   \
+  //          4     8
+  //         /     / \
+  //        11    13  4
+  //       /  \      / \
+  //      7    2    5   1
+  let tree;
+  const values = path => path.map(node => node.value);
+
+  beforeEach(function() {
+    tree = BinaryTree.fromLevelOrderArray([
+      5,
+      4,
+      8,
+      11,
+      null,
+      13,
+      4,
+      7,
+      2,
+      null,
+      null,
+      5,
+      1
+    ]);
+  });
+
+  it("returns the maximum sum path with its nodes", function() {
+    expect(tree.maxSumPath()).toEqual({
+      sum: 48,
+      path: tree
+        .pathTo(7)
+        .reverse()
+        .concat(tree.pathTo(13).slice(1))
+    });
+    expect(values(tree.maxSumPath().path)).toEqual([7, 11, 4, 5, 8, 13]);
+    expect(tree.maxSum()).toBe(48);
+    expect(emptyTree.maxSumPath()).toEqual({ sum: 0, path: [] });
+
+    const negative = BinaryTree.fromLevelOrderArray([-3, -1, -2]);
+    expect(values(negative.maxSumPath().path)).toEqual([-1]);
+    expect(negative.maxSum()).toBe(-1);
+  });
+
+  it("checks root-to-leaf sums", function() {
+    expect(tree.hasPathSum(22)).toBe(true);
+    expect(tree.hasPathSum(26)).toBe(true);
+    expect(tree.hasPathSum(18)).toBe(true);
+    expect(tree.hasPathSum(5)).toBe(false);
+    expect(tree.hasPathSum(9)).toBe(false); // 5 -> 4 does not end at a leaf
+    expect(emptyTree.hasPathSum(0)).toBe(false);
+  });
+
+  it("stops at the first matching leaf and highlights its path", function() {
+    const events = [];
+    expect(tree.hasPathSum(22, { logger: events })).toBe(true);
+    expect(values([...events[0].highlighted])).toEqual([5, 4, 11, 2]);
+
+    // Reading the right subtree would throw, so the walk must stop before it.
+    const unread = new BinaryTreeNode();
+    Object.defineProperty(unread, "value", {
+      get() {
+        throw new Error("read past the match");
+      }
+    });
+    const early = new BinaryTree(
+      new BinaryTreeNode(1, new BinaryTreeNode(2), unread)
+    );
+    expect(early.hasPathSum(3)).toBe(true);
+  });
+
+  it("lists root-to-leaf paths leftmost first", function() {
+    expect(tree.allRootToLeafPaths().map(values)).toEqual([
+      [5, 4, 11, 7],
+      [5, 4, 11, 2],
+      [5, 8, 13],
+      [5, 8, 4, 5],
+      [5, 8, 4, 1]
+    ]);
+    expect(emptyTree.allRootToLeafPaths()).toEqual([]);
+  });
+
+  it("counts downward paths with a sum", function() {
+    // 5-4-11-2, 4-11-7 and 5-8-4-5.
+    expect(tree.countPathsWithSum(22)).toBe(3);
+    // The two single-node paths 4.
+    expect(tree.countPathsWithSum(4)).toBe(2);
+    expect(tree.countPathsWithSum(1000)).toBe(0);
+    expect(emptyTree.countPathsWithSum(0)).toBe(0);
+
+    const zeros = BinaryTree.fromLevelOrderArray([0, 0, 0]);
+    expect(zeros.countPathsWithSum(0)).toBe(5);
+  });
+
+  it("finds the diameter and its endpoints", function() {
+    const { length, endpoints } = tree.diameter();
+    expect(length).toBe(6);
+    expect(values(endpoints)).toEqual([7, 5]);
+    expect(endpoints[1]).toBe(tree.root.right.right.left);
+
+    const single = new BinaryTree(new BinaryTreeNode(1));
+    expect(single.diameter()).toEqual({
+      length: 0,
+      endpoints: [single.root, single.root]
+    });
+    expect(emptyTree.diameter()).toEqual({ length: 0, endpoints: [] });
+
+    // The longest path need not pass through the root.
+    const lopsided = BinaryTree.fromLevelOrderArray([
+      1,
+      2,
+      null,
+      3,
+      4,
+      5,
+      null,
+      null,
+      6
+    ]);
+    expect(lopsided.diameter().length).toBe(4);
+    expect(values(lopsided.diameter().endpoints)).toEqual([5, 6]);
+  });
+
+  it("reports the path to the logger", function() {
+    const events = [];
+    tree.maxSumPath({ logger: events });
+    expect(events[0].method).toBe("maxSumPath");
+    expect(events[0].highlighted.size).toBe(6);
+  });
+});
+
+describe("comparison", function() {
+  it("checks equality", function() {
+    expect(
+      largeTree.equals(BinaryTree.deserialize(BinaryTree.serialize(largeTree)))
+    ).toBe(true);
+    expect(emptyTree.equals(new BinaryTree())).toBe(true);
+    expect(largeTree.equals(smallTree)).toBe(false);
+
+    // A lone left child is not a lone right child.
+    const leftOnly = BinaryTree.fromLevelOrderArray([1, 2]);
+    const rightOnly = BinaryTree.fromLevelOrderArray([1, null, 2]);
+    expect(leftOnly.equals(rightOnly)).toBe(false);
+
+    expect(
+      BinaryTree.fromLevelOrderArray([NaN, 0]).equals(
+        BinaryTree.fromLevelOrderArray([NaN, -0])
+      )
+    ).toBe(true);
+  });
+
+  it("checks mirrors and symmetry", function() {
+    const tree = BinaryTree.fromLevelOrderArray([1, 2, 3, 4, null, null, 5]);
+    const mirror = BinaryTree.fromLevelOrderArray([1, 3, 2, 5, null, null, 4]);
+    expect(tree.isMirror(mirror)).toBe(true);
+    expect(mirror.isMirror(tree)).toBe(true);
+    expect(tree.isMirror(tree)).toBe(false);
+    expect(emptyTree.isMirror(new BinaryTree())).toBe(true);
+
+    expect(
+      BinaryTree.fromLevelOrderArray([1, 2, 2, 3, 4, 4, 3]).isSymmetric()
+    ).toBe(true);
+    expect(
+      BinaryTree.fromLevelOrderArray([1, 2, 2, null, 3, null, 3]).isSymmetric()
+    ).toBe(false);
+    expect(smallTree.isSymmetric()).toBe(true);
+    expect(emptyTree.isSymmetric()).toBe(true);
+  });
+
+  it("finds whole subtrees", function() {
+    // largeTree's right subtree is 5(3(2, 1), 1).
+    expect(largeTree.isSubtree(BinaryTree.fromLevelOrderArray([3, 2, 1]))).toBe(
+      true
+    );
+    expect(
+      largeTree.isSubtree(BinaryTree.fromLevelOrderArray([5, 3, 1, 2, 1]))
+    ).toBe(true);
+    expect(largeTree.isSubtree(largeTree)).toBe(true);
+    expect(largeTree.isSubtree(new BinaryTree())).toBe(true);
+    // 3(2) stops short of the leaves, so it is not a whole subtree.
+    expect(largeTree.isSubtree(BinaryTree.fromLevelOrderArray([3, 2]))).toBe(
+      false
+    );
+    expect(emptyTree.isSubtree(smallTree)).toBe(false);
+  });
+
+  it("diffs trees by path and renders the diff", function() {
+    const before = BinaryTree.fromLevelOrderArray([1, 2, 3, 4]);
+    const after = BinaryTree.fromLevelOrderArray([
+      1,
+      2,
+      30,
+      null,
+      null,
+      null,
+      5
+    ]);
+    const changes = before.diff(after);
+    expect(changes.map(({ type, path }) => `${type} ${path}`)).toEqual([
+      "removed left.left",
+      "changed right",
+      "added right.right"
+    ]);
+    expect(changes[1].before).toBe(before.root.right);
+    expect(changes[1].after).toBe(after.root.right);
+    expect(before.diff(before)).toEqual([]);
+
+    const visual = getVisualDiffString(before.root, after.root, changes);
+    expect(visual).toContain("--- Tree diff: before ---");
+    expect(visual).toContain("--- Tree diff: after ---");
+    expect(visual).toContain("4 (-)");
+    expect(visual).toContain("3 (~)");
+    expect(visual).toContain("30 (~)");
+    expect(visual).toContain("5 (+)");
+    expect(visual).not.toContain("2 (");
+  });
+});
+
+describe("transforms", function() {
+  const levels = tree => BinaryTree.serialize(tree);
+
+  it("clones into new nodes", function() {
+    const copy = largeTree.clone();
+    expect(copy.equals(largeTree)).toBe(true);
+    expect(copy.root).not.toBe(largeTree.root);
+    expect(emptyTree.clone().root).toBe(null);
+  });
+
+  it("mirrors into a copy or in place", function() {
+    const mirrored = largeTree.mirror();
+    expect(levels(mirrored)).toBe("[6,5,5,1,3,null,null,null,null,1,2]");
+    expect(mirrored.isMirror(largeTree)).toBe(true);
+    expect(levels(largeTree)).toBe("[6,5,5,null,null,3,1,2,1]");
+
+    const root = largeTree.root;
+    expect(largeTree.mirror({ inPlace: true })).toBe(largeTree);
+    expect(largeTree.root).toBe(root);
+    expect(largeTree.equals(mirrored)).toBe(true);
+  });
+
+  it("maps values into a copy or in place", function() {
+    expect(levels(largeTree.mapValues(value => value * 10))).toBe(
+      "[60,50,50,null,null,30,10,20,10]"
+    );
+    const root = largeTree.root;
+    largeTree.mapValues((value, node, { depth }) => depth, { inPlace: true });
+    expect(largeTree.root).toBe(root);
+    expect(levels(largeTree)).toBe("[1,2,2,null,null,3,3,4,4]");
+  });
+
+  it("prunes subtrees into a copy or in place", function() {
+    const calls = [];
+    const pruned = largeTree.prune(node => {
+      calls.push(node.value);
+      return node.value === 3;
+    });
+    expect(levels(pruned)).toBe("[6,5,5,null,null,null,1]");
+    // 3's children are never asked about.
+    expect(calls).toEqual([6, 5, 5, 3, 1]);
+    expect(largeTree.count(() => true)).toBe(7);
+
+    const node3 = largeTree.root.right.left;
+    largeTree.prune(node => node === node3, { inPlace: true });
+    expect(levels(largeTree)).toBe("[6,5,5,null,null,null,1]");
+    // The removed subtree is left intact.
+    expect(node3.left.value).toBe(2);
+
+    expect(largeTree.prune(() => true).root).toBe(null);
+    largeTree.prune(() => true, { inPlace: true });
+    expect(largeTree.root).toBe(null);
+  });
+
+  it("trims to a depth", function() {
+    expect(levels(largeTree.trimToDepth(2))).toBe("[6,5,5]");
+    expect(largeTree.trimToDepth(0).root).toBe(null);
+    expect(largeTree.trimToDepth(10).equals(largeTree)).toBe(true);
+    expect(() => largeTree.trimToDepth(-1)).toThrow(RangeError);
+    largeTree.trimToDepth(3, { inPlace: true });
+    expect(levels(largeTree)).toBe("[6,5,5,null,null,3,1]");
+  });
+
+  it("flattens into a right-leaning list in pre-order", function() {
+    const preorderValues = [...largeTree.preorder()].map(
+      ({ node }) => node.value
+    );
+    const flat = largeTree.flatten();
+    expect([...flat.preorder()].map(({ node }) => node.value)).toEqual(
+      preorderValues
+    );
+    expect(flat.find(node => node.left !== null)).toBe(null);
+    expect(flat.maxDepth()).toBe(7);
+
+    const root = largeTree.root;
+    largeTree.flatten({ inPlace: true });
+    expect(largeTree.root).toBe(root);
+    expect(largeTree.equals(flat)).toBe(true);
+  });
+
+  it("refuses to reshape search trees in place", function() {
+    const bst = BinarySearchTree.from([2, 1, 3]);
+    expect(() => bst.mirror({ inPlace: true })).toThrow(TypeError);
+    expect(() => bst.prune(() => false, { inPlace: true })).toThrow(
+      "BinarySearchTree cannot prune in place; use the copying form"
+    );
+    const mirrored = bst.mirror();
+    expect(mirrored).not.toBeInstanceOf(BinarySearchTree);
+    expect(levels(mirrored)).toBe("[2,3,1]");
+    expect(bst.isValidBST()).toBe(true);
+  });
+});
+
+describe("stats", function() {
+  it("reports shape and values in one call", function() {
+    expect(largeTree.stats()).toEqual({
+      size: 7,
+      height: 4,
+      leafCount: 4,
+      internalCount: 3,
+      levelWidths: [1, 2, 2, 2],
+      maxWidth: 2,
+      branchingHistogram: [4, 0, 3],
+      isBalanced: false,
+      isComplete: false,
+      isFull: true,
+      isPerfect: false,
+      min: 1,
+      max: 6,
+      sum: 23
+    });
+  });
+
+  it("tells complete, full and perfect trees apart", function() {
+    const flags = values => {
+      const stats = BinaryTree.fromLevelOrderArray(values).stats();
+      return [
+        stats.isBalanced,
+        stats.isComplete,
+        stats.isFull,
+        stats.isPerfect
+      ];
+    };
+    expect(flags([1, 2, 3, 4, 5, 6, 7])).toEqual([true, true, true, true]);
+    expect(flags([1, 2, 3, 4, 5, 6])).toEqual([true, true, false, false]);
+    expect(flags([1, 2, 3, 4, 5])).toEqual([true, true, true, false]);
+    expect(flags([1, 2, 3, null, 4])).toEqual([true, false, false, false]);
+    expect(flags([1, 2, null, 3])).toEqual([false, false, false, false]);
+    expect(flags([1])).toEqual([true, true, true, true]);
+  });
+
+  it("handles empty trees", function() {
+    expect(emptyTree.stats()).toMatchObject({
+      size: 0,
+      height: 0,
+      levelWidths: [],
+      maxWidth: 0,
+      branchingHistogram: [],
+      isBalanced: true,
+      isPerfect: true,
+      min: null,
+      max: null,
+      sum: 0
+    });
+  });
+});
+
+describe("level views", function() {
+  // tree:        1
+  //            /   \
+  //           2     3
+  //          / \     \
+  //         4   5     6
+  //            / \
+  //           7   8
+  let tree;
+
+  beforeEach(function() {
+    tree = BinaryTree.fromLevelOrderArray([
+      1,
+      2,
+      3,
+      4,
+      5,
+      null,
+      6,
+      null,
+      null,
+      7,
+      8
+    ]);
+  });
+
+  it("groups values by level", function() {
+    expect(tree.levels()).toEqual([[1], [2, 3], [4, 5, 6], [7, 8]]);
+    expect(tree.zigzagLevels()).toEqual([[1], [3, 2], [4, 5, 6], [8, 7]]);
+    expect(tree.leftView()).toEqual([1, 2, 4, 7]);
+    expect(tree.rightView()).toEqual([1, 3, 6, 8]);
+    expect(emptyTree.levels()).toEqual([]);
+    expect(emptyTree.rightView()).toEqual([]);
+  });
+
+  it("aggregates each level", function() {
+    expect(tree.levelAggregates()[2]).toEqual({
+      count: 3,
+      sum: 15,
+      average: 5,
+      min: 4,
+      max: 6
+    });
+    expect(tree.levelAggregates().map(({ max }) => max)).toEqual([1, 3, 6, 8]);
+  });
+
+  it("groups values by column", function() {
+    expect(tree.verticalOrder()).toEqual([[4], [2, 7], [1, 5], [3, 8], [6]]);
+    expect(tree.topView()).toEqual([4, 2, 1, 3, 6]);
+    expect(tree.bottomView()).toEqual([4, 7, 5, 8, 6]);
+    expect(emptyTree.verticalOrder()).toEqual([]);
+  });
+
+  it("walks the boundary anticlockwise", function() {
+    expect(tree.boundaryTraversal()).toEqual([1, 2, 4, 7, 8, 6, 3]);
+    expect(
+      BinaryTree.fromLevelOrderArray([1, null, 2, 3, 4]).boundaryTraversal()
+    ).toEqual([1, 3, 4, 2]);
+    expect(BinaryTree.fromLevelOrderArray([1]).boundaryTraversal()).toEqual([
+      1
+    ]);
+    expect(emptyTree.boundaryTraversal()).toEqual([]);
+  });
+});
+
+describe("very deep trees", function() {
+  const DEPTH = 100000;
+  let chain;
+  let deepest;
+
+  beforeEach(function() {
+    // A zigzag chain: 0 -left-> 1 -right-> 2 -left-> 3 ...
+    const root = new BinaryTreeNode(0);
+    deepest = root;
+    for (let value = 1; value < DEPTH; value++) {
+      const child = new BinaryTreeNode(value);
+      if (value % 2) deepest.left = child;
+      else deepest.right = child;
+      deepest = child;
+    }
+    chain = new BinaryTree(root);
+  });
+
+  it("measures and queries without overflowing the stack", function() {
+    expect(chain.maxDepth()).toBe(DEPTH);
+    expect(chain.minDepth()).toBe(DEPTH);
+    expect(chain.diameter().length).toBe(DEPTH - 1);
+    expect(chain.maxSum()).toBe(((DEPTH - 1) * DEPTH) / 2);
+    expect(chain.stats()).toMatchObject({ height: DEPTH, maxWidth: 1 });
+    expect(chain.levels()).toHaveLength(DEPTH);
+    expect(chain.pathTo(DEPTH - 1)).toHaveLength(DEPTH);
+    expect(chain.isValidBST()).toBe(false);
+  });
+
+  it("converts to nested objects and back through serialization", function() {
+    let object = chain.toObject().root;
+    let depth = 1;
+    while (object.children) {
+      object = object.children.left ?? object.children.right;
+      depth++;
+    }
+    expect(depth).toBe(DEPTH);
+    expect(object.value).toBe(DEPTH - 1);
+
+    const copy = BinaryTree.deserialize(BinaryTree.serialize(chain));
+    expect(copy.equals(chain)).toBe(true);
+  });
+
+  it("compares and transforms", function() {
+    expect(chain.equals(chain.clone())).toBe(true);
+    expect(chain.mirror().isMirror(chain)).toBe(true);
+    expect(chain.isSubtree(chain.clone())).toBe(true);
+    const changed = chain.mapValues(value =>
+      value === DEPTH - 1 ? -1 : value
+    );
+    expect(chain.diff(changed)).toEqual([
+      expect.objectContaining({ type: "changed", before: deepest })
+    ]);
+    expect(chain.flatten().maxDepth()).toBe(DEPTH);
+    expect(chain.trimToDepth(10).maxDepth()).toBe(10);
+  });
+
+  it("answers ancestor queries with and without the index", function() {
+    expect(chain.distance(0, DEPTH - 1)).toBe(DEPTH - 1);
+    expect(chain.isAncestor(0, deepest)).toBe(true);
+    chain.useAncestorIndex();
+    expect(chain.kthAncestor(deepest, DEPTH - 1).value).toBe(0);
+    expect(chain.lowestCommonAncestor(DEPTH - 1, DEPTH - 3).value).toBe(
+      DEPTH - 3
+    );
+  });
+
+  it("draws a chain with one connector row per edge", function() {
+    const lines = getVisualTreeString(chain.root, "Deep", new Set(), {
+      layout: "tidy"
+    }).split("\n");
+    // A blank line and the header, the nodes and connectors, then the footer.
+    expect(lines).toHaveLength(2 + (2 * DEPTH - 1) + 1);
+    expect(lines[lines.length - 2].trim()).toBe(String(DEPTH - 1));
+  });
+
+  it("stops indenting outlines and sideways views past 32 levels", function() {
+    const options = { showHeader: false, connectors: "ascii" };
+    const outline = getOutlineTreeString(
+      chain.root,
+      "Deep",
+      new Set(),
+      options
+    ).split("\n");
+    expect(outline).toHaveLength(DEPTH);
+    expect(outline[31]).toBe(`${" ".repeat(4 * 30)}\`-- L: 31`);
+    expect(outline[32]).toBe("[33] `-- R: 32");
+    expect(outline[DEPTH - 1]).toBe(`[${DEPTH}] \`-- L: ${DEPTH - 1}`);
+
+    const sideways = getSidewaysTreeString(
+      chain.root,
+      "Deep",
+      new Set(),
+      options
+    ).split("\n");
+    expect(sideways).toHaveLength(DEPTH);
+    expect(sideways.every(line => line.length < 4 * 32 + 10)).toBe(true);
+  });
+
+  it("caps the classic layout's offsets instead of overflowing", function() {
+    const lines = getVisualTreeString(chain.root, "Deep", new Set(), {
+      layout: "classic"
+    }).split("\n");
+    // The first 12 edges run down 4096, 2048, ..., 2 rows; the others take one.
+    const extraRows = 2 * 4096 - 2 - 12;
+    expect(lines).toHaveLength(2 + (2 * DEPTH - 1) + extraRows + 1);
+    expect(lines[lines.length - 2].trim()).toBe(String(DEPTH - 1));
+  });
+});
+
+describe("visualization options", function() {
+  let tree;
+
+  beforeEach(function() {
+    tree = BinaryTree.fromLevelOrderArray([1, 2, 3]);
+  });
+
+  const render = (options, highlighted = new Set()) =>
+    getVisualTreeString(tree.root, "Options", highlighted, {
+      showHeader: false,
+      ...options
+    }).split("\n");
+
+  it("can leave out the header and footer", function() {
+    expect(render({})).toEqual(["   1", "  / \\", " /   \\", " 2   3"]);
+    const framed = getVisualTreeString(tree.root, "Options").split("\n");
+    expect(framed.slice(0, 2)).toEqual(["", "--- Options ---"]);
+    expect(framed[framed.length - 1]).toMatch(/^-+$/);
+    expect(
+      getVisualTreeString(null, "Empty", new Set(), { showHeader: false })
+    ).toBe("<empty tree>");
+  });
+
+  it("marks named highlight groups after the default highlight", function() {
+    const { root } = tree;
+    const [top, , , bottom] = render(
+      {
+        highlightGroups: {
+          path: { nodes: [root, root.right], marker: "p" },
+          lca: { nodes: new Set([root]) }
+        }
+      },
+      new Set([root.right])
+    );
+    expect(top.trim()).toBe("1 (p) (lca)");
+    expect(bottom.trim()).toBe("3 (*) (p)");
+  });
+
+  it("cuts long labels with an ellipsis", function() {
+    const lines = render({
+      formatLabel: node => `value ${node.value}`,
+      maxLabelWidth: 4
+    });
+    expect(lines[0].trim()).toBe("val…");
+    expect(() => render({ maxLabelWidth: 0 })).toThrow(RangeError);
+  });
+
+  it("draws edges with the chosen connectors", function() {
+    expect(render({ connectors: "unicode" }).slice(1, 3)).toEqual([
+      "  ╱ ╲",
+      " ╱   ╲"
+    ]);
+    expect(render({ connectors: { left: "." } })[1]).toBe("  . \\");
+    expect(() => render({ connectors: "fancy" })).toThrow(TypeError);
+    expect(() => render({ connectors: { vertical: "||" } })).toThrow(TypeError);
+  });
+
+  it("passes the options through visualize and diff renderings", function() {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    tree.visualize({ showHeader: false });
+    expect(logSpy).toHaveBeenCalledWith("   1\n  / \\\n /   \\\n 2   3");
+    logSpy.mockRestore();
+
+    const after = tree.mapValues(value => (value === 3 ? 4 : value));
+    const visual = getVisualDiffString(
+      tree.root,
+      after.root,
+      tree.diff(after),
+      {
+        showHeader: false
+      }
+    );
+    expect(visual).not.toContain("---");
+    expect(visual).toContain("3 (~)");
+  });
+});
+
+describe("visualization layouts", function() {
+  const render = (root, options) =>
+    getVisualTreeString(root, "Layout", new Set(), {
+      showHeader: false,
+      ...options
+    }).split("\n");
+
+  it("packs subtrees by their labels in the tidy layout", function() {
+    const tree = BinaryTree.fromLevelOrderArray([10, 5, 15, 3, 7, null, 20]);
+    expect(render(tree.root, { layout: "tidy" })).toEqual([
+      "     10__",
+      "    /    \\",
+      "   5     15",
+      "  / \\     |",
+      " 3   7   20"
+    ]);
+  });
+
+  it("keeps skewed trees narrow", function() {
+    // A left spine of 12 nodes, each with a right leaf.
+    let root = null;
+    for (let value = 12; value >= 1; value--) {
+      root = new BinaryTreeNode(value, root, new BinaryTreeNode(-value));
+    }
+    const width = lines => Math.max(...lines.map(line => line.length));
+    const tidy = render(root, { layout: "tidy" });
+    expect(tidy).toHaveLength(2 * 13 - 1);
+    expect(width(tidy)).toBeLessThan(80);
+    expect(width(render(root))).toBeGreaterThan(1000);
+  });
+
+  it("applies the rendering options to the tidy layout", function() {
+    const tree = BinaryTree.fromLevelOrderArray([1, 2, 3]);
+    const { root } = tree;
+    const tidy = (options, highlighted) =>
+      getVisualTreeString(root, "Layout", highlighted, {
+        showHeader: false,
+        layout: "tidy",
+        ...options
+      }).split("\n");
+    expect(tidy({})).toEqual(["   1", "  / \\", " 2   3"]);
+    expect(
+      tidy(
+        {
+          highlightGroups: { path: { nodes: [root, root.right], marker: "p" } }
+        },
+        new Set([root.right])
+      )
+    ).toEqual(["   1 (p)", "  /     \\", " 2   3 (*) (p)"]);
+    expect(
+      tidy({ formatLabel: node => `value ${node.value}`, maxLabelWidth: 4 })[2]
+    ).toBe(" val…   val…");
+    expect(tidy({ connectors: "unicode" })[1]).toBe("  ╱ ╲");
+  });
+
+  it("draws the classic layout by default", function() {
+    const tree = BinaryTree.fromLevelOrderArray([1, 2, 3]);
+    expect(render(tree.root)).toEqual(render(tree.root, { layout: "classic" }));
+    expect(render(tree.root)).toEqual(["   1", "  / \\", " /   \\", " 2   3"]);
+    expect(() => render(tree.root, { layout: "radial" })).toThrow(TypeError);
+  });
+});
+
+describe("outline and sideways renderers", function() {
+  let tree;
+
+  beforeEach(function() {
+    //      1
+    //     / \
+    //    2   3
+    //   / \   \
+    //  4   5   6
+    //     /
+    //    7
+    tree = BinaryTree.fromLevelOrderArray([
+      1,
+      2,
+      3,
+      4,
+      5,
+      null,
+      6,
+      null,
+      null,
+      7
+    ]);
+  });
+
+  it("draws an indented outline", function() {
+    const visual = getOutlineTreeString(tree.root, "Outline", new Set(), {
+      showHeader: false
+    });
+    expect(visual.split("\n")).toEqual([
+      "1",
+      "├── 2",
+      "│   ├── 4",
+      "│   └── 5",
+      "│       └── L: 7",
+      "└── 3",
+      "    └── R: 6"
+    ]);
+    expect(
+      getOutlineTreeString(tree.root, "Outline", new Set(), {
+        showHeader: false,
+        connectors: "ascii"
+      }).split("\n")[3]
+    ).toBe("|   `-- 5");
+  });
+
+  it("tags lone children with their side in the outline", function() {
+    const chain = BinaryTree.fromLevelOrderArray([1, 2, null, null, 3, 4]);
+    const visual = getOutlineTreeString(chain.root, "Outline", new Set(), {
+      showHeader: false,
+      connectors: "ascii"
+    });
+    expect(visual.split("\n")).toEqual([
+      "1",
+      "`-- L: 2",
+      "    `-- R: 3",
+      "        `-- L: 4"
+    ]);
+  });
+
+  it("draws the tree sideways, right subtrees on top", function() {
+    const visual = getSidewaysTreeString(tree.root, "Sideways", new Set(), {
+      showHeader: false
+    });
+    expect(visual.split("\n")).toEqual([
+      "    ┌── 6",
+      "┌── 3",
+      "1",
+      "│   ┌── 5",
+      "│   │   └── 7",
+      "└── 2",
+      "    └── 4"
+    ]);
+  });
+
+  it("shares highlights, labels and framing with the slash diagram", function() {
+    const { root } = tree;
+    for (const render of [getOutlineTreeString, getSidewaysTreeString]) {
+      const visual = render(root, "Answer", new Set([root.left]), {
+        highlightGroups: { path: { nodes: [root, root.left], marker: "p" } },
+        formatLabel: node => `#${node.value}`
+      });
+      const lines = visual.split("\n");
+      expect(lines[1]).toBe("--- Answer ---");
+      expect(visual).toContain("#1 (p)");
+      expect(visual).toContain("#2 (*) (p)");
+      expect(() =>
+        render(root, "Answer", new Set(), { connectors: "fancy" })
+      ).toThrow(TypeError);
+    }
+    expect(
+      getSidewaysTreeString(null, "Empty", new Set(), { showHeader: false })
+    ).toBe("<empty tree>");
+  });
+});
+
+describe("color output", function() {
+  let tree;
+
+  beforeEach(function() {
+    tree = BinaryTree.fromLevelOrderArray([1, 2, 3, 4]);
+  });
+
+  const yellow = text => `\x1b[33m${text}\x1b[39m`;
+
+  it("colors highlighted nodes and the edges between them", function() {
+    const { root } = tree;
+    const highlighted = new Set([root, root.left]);
+    const visual = getVisualTreeString(root, "Color", highlighted, {
+      showHeader: false,
+      layout: "tidy",
+      color: true
+    });
+    const lines = visual.split("\n");
+    expect(lines[0]).toContain(yellow("1"));
+    expect(lines[1]).toContain(yellow("/"));
+    expect(lines[1]).not.toContain(yellow("\\"));
+    expect(lines[2]).toContain(yellow("2"));
+    expect(lines[2]).not.toContain(yellow("3"));
+    expect(stripAnsi(visual)).toBe(
+      getVisualTreeString(root, "Color", new Set(), {
+        showHeader: false,
+        layout: "tidy"
+      })
+    );
+  });
+
+  it("colors the outline, sideways and classic renderings too", function() {
+    const { root } = tree;
+    const highlighted = new Set([root, root.left]);
+    const renderers = [
+      getOutlineTreeString,
+      getSidewaysTreeString,
+      (...args) =>
+        getVisualTreeString(...args.slice(0, 3), {
+          ...args[3],
+          layout: "classic"
+        })
+    ];
+    for (const render of renderers) {
+      const visual = render(root, "Color", highlighted, { color: true });
+      expect(visual).toContain(yellow("2"));
+      expect(stripAnsi(visual)).toBe(render(root, "Color", new Set(), {}));
+    }
+    expect(
+      getOutlineTreeString(root, "Color", highlighted, { color: true })
+    ).toContain(yellow("├── "));
+  });
+
+  it("gives highlight groups their own colors", function() {
+    const { root } = tree;
+    const visual = getVisualTreeString(root, "Color", new Set(), {
+      color: true,
+      highlightGroups: {
+        path: { nodes: [root, root.right], color: "green" },
+        leaves: { nodes: [root.left.left] }
+      }
+    });
+    expect(visual).toContain("\x1b[32m3\x1b[39m");
+    expect(visual).toContain("\x1b[35m4\x1b[39m");
+    expect(() =>
+      getVisualTreeString(root, "Color", new Set(), {
+        color: true,
+        highlightGroups: { path: { nodes: [root], color: "purple" } }
+      })
+    ).toThrow(TypeError);
+    expect(() =>
+      getVisualTreeString(root, "Color", new Set(), { color: "always" })
+    ).toThrow(TypeError);
+  });
+
+  it("turns itself off outside terminals and when NO_COLOR is set", function() {
+    expect(supportsColor({ isTTY: true }, {})).toBe(true);
+    expect(supportsColor({ isTTY: true }, { NO_COLOR: "1" })).toBe(false);
+    expect(supportsColor({ isTTY: true }, { NO_COLOR: "" })).toBe(true);
+    expect(supportsColor({}, {})).toBe(false);
+
+    const previous = process.env.NO_COLOR;
+    process.env.NO_COLOR = "1";
+    try {
+      const visual = getVisualTreeString(
+        tree.root,
+        "Color",
+        new Set([tree.root]),
+        { color: "auto" }
+      );
+      expect(visual).toContain("1 (*)");
+      expect(visual).not.toContain("\x1b[");
+    } finally {
+      if (previous === undefined) delete process.env.NO_COLOR;
+      else process.env.NO_COLOR = previous;
+    }
+  });
+});
+
+describe("diagram export", function() {
+  let tree;
+
+  beforeEach(function() {
+    //    1
+    //   / \
+    //  2   3
+    //   \
+    //    4
+    tree = BinaryTree.fromLevelOrderArray([1, 2, 3, null, 4]);
+  });
+
+  it("exports Graphviz DOT with sides and placeholders", function() {
+    const { root } = tree;
+    expect(tree.toDot({ highlighted: new Set([root.left]) })).toBe(
+      [
+        'digraph "tree" {',
+        "  graph [ordering=out];",
+        '  n0 [label="1"];',
+        '  n1 [label="2", style=filled, fillcolor="yellow", class="highlighted"];',
+        '  n1_left [label="", style=invis];',
+        '  n2 [label="4"];',
+        '  n3 [label="3"];',
+        '  n0 -> n1 [label="left"];',
+        '  n0 -> n3 [label="right"];',
+        "  n1 -> n1_left [style=invis];",
+        '  n1 -> n2 [label="right"];',
+        "}"
+      ].join("\n")
+    );
+    expect(emptyTree.toDot({ name: "empty" })).toBe(
+      'digraph "empty" {\n  graph [ordering=out];\n}'
+    );
+  });
+
+  it("exports Mermaid flowcharts with highlight classes", function() {
+    const { root } = tree;
+    const mermaid = tree.toMermaid({
+      highlightGroups: {
+        path: { nodes: [root, root.left, root.left.right], color: "#fc6" }
+      },
+      formatLabel: node => `<${node.value}>`
+    });
+    expect(mermaid.split("\n")).toEqual([
+      "flowchart TD",
+      '  n0["#lt;1#gt;"]',
+      '  n1["#lt;2#gt;"]',
+      '  n1_left[" "]',
+      '  n2["#lt;4#gt;"]',
+      '  n3["#lt;3#gt;"]',
+      "  n0 -->|left| n1",
+      "  n0 -->|right| n3",
+      "  n1 ~~~ n1_left",
+      "  n1 -->|right| n2",
+      "  classDef path fill:#fc6",
+      "  class n0,n1,n2 path",
+      "  classDef placeholder fill:none,stroke:none",
+      "  class n1_left placeholder"
+    ]);
+    expect(() =>
+      tree.toMermaid({ highlightGroups: { "a b": { nodes: [root] } } })
+    ).toThrow(TypeError);
+  });
+
+  it("rejects group names the exporters or Mermaid reserve", function() {
+    const { root } = tree;
+    for (const name of ["highlighted", "placeholder", "end", "classDef"]) {
+      const highlightGroups = { [name]: { nodes: [root] } };
+      expect(() => tree.toMermaid({ highlightGroups })).toThrow(TypeError);
+      expect(() => tree.toDot({ highlightGroups })).toThrow(TypeError);
+    }
+    expect(
+      tree.toMermaid({ highlightGroups: { ending: { nodes: [root] } } })
+    ).toContain("class n0 ending");
+  });
+
+  it("rejects group colors that cannot be written unquoted", function() {
+    const { root } = tree;
+    for (const color of ["light blue", "rgb(1,2,3)", "red;stroke:0", 42]) {
+      const highlightGroups = { path: { nodes: [root], color } };
+      expect(() => tree.toMermaid({ highlightGroups })).toThrow(TypeError);
+      expect(() => tree.toDot({ highlightGroups })).toThrow(TypeError);
+    }
+    expect(
+      tree.toMermaid({
+        highlightGroups: { path: { nodes: [root], color: "LightBlue" } }
+      })
+    ).toContain("classDef path fill:LightBlue");
+  });
+
+  it("labels nodes with formatNodeLabel by default", function() {
+    class LabelledTree extends BinaryTree {
+      formatNodeLabel(node) {
+        return `v${node.value}`;
+      }
+    }
+    const labelled = new LabelledTree(tree.root);
+    expect(labelled.toDot()).toContain('n3 [label="v3"];');
+    expect(labelled.toMermaid()).toContain('n3["v3"]');
+  });
+});
@@ -0,0 +1,262 @@
+const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+const { postorder } = require("./tree-traversal");
+
+/**
+ * The nodes created (and frozen) by persistent trees. Only these are shared between
+ * trees as they are: any other node may still be changed by whoever holds it.
+ */
+const sealedNodes = new WeakSet();
+
+/**
+ * Creates a frozen node.
+ * @param {*} value - The node's value.
+ * @param {BinaryTreeNode | null} left - The left child, already sealed.
+ * @param {BinaryTreeNode | null} right - The right child, already sealed.
+ * @returns {BinaryTreeNode} The frozen node.
+ */
+function sealedNode(value, left, right) {
+  const node = Object.freeze(new BinaryTreeNode(value, left, right));
+  sealedNodes.add(node);
+  return node;
+}
+
+/**
+ * Makes a subtree safe to share: nodes that are not sealed yet are copied into frozen
+ * nodes, bottom-up; sealed subtrees are reused as they are.
+ *
+ * @param {BinaryTreeNode | null} root - The root of the subtree.
+ * @returns {BinaryTreeNode | null} The sealed subtree.
+ */
+function sealSubtree(root) {
+  if (!root || sealedNodes.has(root)) return root;
+  const copies = new Map();
+  const unsealedChildren = (node) =>
+    sealedNodes.has(node) ? [] : [node.left, node.right].filter(Boolean);
+  for (const { node } of postorder(root, unsealedChildren)) {
+    const copy = sealedNodes.has(node)
+      ? node
+      : sealedNode(
+          node.value,
+          node.left ? copies.get(node.left) : null,
+          node.right ? copies.get(node.right) : null
+        );
+    copies.set(node, copy);
+  }
+  return copies.get(root);
+}
+
+/**
+ * Splits a path such as "left.right" into its steps; "root" has none.
+ * @param {string} path - The path of a slot, as in TreeChange paths.
+ * @returns {Array<"left" | "right">} The steps from the root.
+ * @throws {TypeError} If the path is not "root" or a dotted list of "left" and "right".
+ */
+function parsePath(path) {
+  if (path === "root") return [];
+  const steps = typeof path === "string" ? path.split(".") : [];
+  if (
+    steps.length === 0 ||
+    !steps.every((step) => step === "left" || step === "right")
+  ) {
+    throw new TypeError(
+      `Expected a path such as "root" or "left.right", got ${path}`
+    );
+  }
+  return steps;
+}
+
+/**
+ * A binary tree that never changes once built.
+ *
+ * `insert`, `update` and `remove` return a new tree instead of changing this one. Only
+ * the nodes on the path to the edited slot are copied; every other subtree is shared
+ * with the previous version, so an edit costs O(depth) time and memory. Nodes are
+ * frozen, so the tree (or any node handed out by its queries) can be given to other
+ * code without it being changed behind the tree's back. Values themselves are not
+ * frozen.
+ *
+ * Each tree also remembers the versions it was edited from, so `undo` and `redo` move
+ * through the history, again returning trees rather than changing this one.
+ */
+class PersistentBinaryTree extends BinaryTree {
+  /** Constructor options, passed on to later versions. */
+  #options;
+  /** Earlier roots, most recent first, as a linked list: { root, next }. */
+  #past = null;
+  /** Undone roots, the next to redo first, as a linked list: { root, next }. */
+  #future = null;
+
+  /**
+   * Creates a new persistent binary tree. The given nodes are copied (and the copies
+   * frozen), so later changes to them do not reach the tree.
+   *
+   * @param {BinaryTreeNode | null} rootNode - The root node of the tree. Defaults to null for an empty tree.
+   * @param {Object} [options] - Constructor options (logger), as for BinaryTree.
+   */
+  constructor(rootNode = null, options = {}) {
+    super(sealSubtree(rootNode), options);
+    this.#options = options;
+  }
+
+  /**
+   * The root node of the tree, or null if it is empty. Frozen, like all its nodes.
+   * @type {BinaryTreeNode | null}
+   */
+  get root() {
+    return super.root;
+  }
+
+  set root(node) {
+    throw new TypeError(
+      `${this.constructor.name} cannot replace its root; use insert, update or remove`
+    );
+  }
+
+  /**
+   * Rejects in-place transforms (mirror, prune, ...), since the nodes are frozen. The
+   * copying forms still work and return plain BinaryTrees.
+   *
+   * @param {string} method - Name of the transform.
+   * @throws {TypeError} Always.
+   */
+  checkInPlace(method) {
+    throw new TypeError(
+      `${this.constructor.name} cannot ${method} in place; use the copying form`
+    );
+  }
+
+  /** @type {boolean} Whether there is an earlier version to go back to. */
+  get canUndo() {
+    return this.#past !== null;
+  }
+
+  /** @type {boolean} Whether there is an undone version to go forward to. */
+  get canRedo() {
+    return this.#future !== null;
+  }
+
+  /**
+   * Adds a leaf holding `value` at an empty slot.
+   *
+   * @param {string} path - Where to add it, e.g. "root" for an empty tree or "left.right".
+   * @param {*} value - The value of the new leaf.
+   * @returns {PersistentBinaryTree} The new version.
+   * @throws {Error} If the slot is taken, or its parent does not exist.
+   */
+  insert(path, value) {
+    return this.#edit(path, (node) => {
+      if (node) throw new Error(`There is already a node at ${path}`);
+      return sealedNode(value, null, null);
+    });
+  }
+
+  /**
+   * Replaces the value of a node, keeping its children.
+   *
+   * @param {string} path - The node's path, e.g. "root" or "left.right".
+   * @param {*} value - The new value.
+   * @returns {PersistentBinaryTree} The new version.
+   * @throws {Error} If there is no node at the path.
+   */
+  update(path, value) {
+    return this.#edit(path, (node) => {
+      if (!node) throw new Error(`There is no node at ${path}`);
+      return sealedNode(value, node.left, node.right);
+    });
+  }
+
+  /**
+   * Removes a node along with its whole subtree.
+   *
+   * @param {string} path - The node's path, e.g. "root" or "left.right".
+   * @returns {PersistentBinaryTree} The new version.
+   * @throws {Error} If there is no node at the path.
+   */
+  remove(path) {
+    return this.#edit(path, (node) => {
+      if (!node) throw new Error(`There is no node at ${path}`);
+      return null;
+    });
+  }
+
+  /**
+   * Goes back to the version this one was edited from.
+   *
+   * @returns {PersistentBinaryTree} The previous version, which can redo back to this one.
+   * @throws {Error} If there is nothing to undo.
+   */
+  undo() {
+    if (!this.#past) throw new Error("Nothing to undo");
+    return this.#version(this.#past.root, this.#past.next, {
+      root: this.root,
+      next: this.#future,
+    });
+  }
+
+  /**
+   * Goes forward to the version most recently undone.
+   *
+   * @returns {PersistentBinaryTree} The next version.
+   * @throws {Error} If there is nothing to redo.
+   */
+  redo() {
+    if (!this.#future) throw new Error("Nothing to redo");
+    return this.#version(
+      this.#future.root,
+      { root: this.root, next: this.#past },
+      this.#future.next
+    );
+  }
+
+  /**
+   * A private helper that creates another version sharing this tree's options.
+   *
+   * @param {BinaryTreeNode | null} root - The sealed root of the version.
+   * @param {Object | null} past - Its earlier roots.
+   * @param {Object | null} future - Its undone roots.
+   * @returns {PersistentBinaryTree} The version.
+   */
+  #version(root, past, future) {
+    const tree = new this.constructor(root, this.#options);
+    tree.#past = past;
+    tree.#future = future;
+    return tree;
+  }
+
+  /**
+   * A private helper that replaces the subtree at a path and copies the nodes above
+   * it, sharing everything else. The edit becomes the new version's last step, and
+   * clears anything that could be redone.
+   *
+   * @param {string} path - The slot to edit.
+   * @param {function(BinaryTreeNode | null): BinaryTreeNode | null} replace - Given the
+   *        node in the slot (null if empty), returns the sealed subtree to put there.
+   * @returns {PersistentBinaryTree} The new version.
+   * @throws {Error} If the path runs past a missing node.
+   */
+  #edit(path, replace) {
+    const steps = parsePath(path);
+    // ancestors[i] is the node reached after i steps.
+    const ancestors = [this.root];
+    for (let i = 0; i < steps.length; i++) {
+      const node = ancestors[i];
+      if (!node) {
+        const missing = steps.slice(0, i).join(".") || "root";
+        throw new Error(`There is no node at ${missing}`);
+      }
+      ancestors.push(node[steps[i]]);
+    }
+
+    let subtree = replace(ancestors[steps.length]);
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const parent = ancestors[i];
+      subtree =
+        steps[i] === "left"
+          ? sealedNode(parent.value, subtree, parent.right)
+          : sealedNode(parent.value, parent.left, subtree);
+    }
+    return this.#version(subtree, { root: this.root, next: this.#past }, null);
+  }
+}
+
+module.exports = { PersistentBinaryTree };
@@ -0,0 +1,111 @@
+const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+const { PersistentBinaryTree } = require("./persistent-binary-tree");
+
+let tree;
+
+beforeEach(function() {
+  //      1
+  //     / \
+  //    2   3
+  //   /
+  //  4
+  tree = PersistentBinaryTree.fromLevelOrderArray([1, 2, 3, 4]);
+});
+
+describe("PersistentBinaryTree", function() {
+  it("copies and freezes the nodes it is given", function() {
+    const left = new BinaryTreeNode(2);
+    const root = new BinaryTreeNode(1, left);
+    const persistent = new PersistentBinaryTree(root);
+
+    left.value = 99;
+    root.right = new BinaryTreeNode(3);
+    expect(persistent.levels()).toEqual([[1], [2]]);
+    expect(persistent.root).not.toBe(root);
+    for (const { node } of persistent.preorder()) {
+      expect(Object.isFrozen(node)).toBe(true);
+    }
+  });
+
+  it("returns new versions and leaves the old one untouched", function() {
+    const inserted = tree.insert("right.left", 5);
+    const updated = inserted.update("left", 20);
+    const removed = updated.remove("left.left");
+
+    expect(tree.levels()).toEqual([[1], [2, 3], [4]]);
+    expect(inserted.levels()).toEqual([[1], [2, 3], [4, 5]]);
+    expect(updated.levels()).toEqual([[1], [20, 3], [4, 5]]);
+    expect(removed.levels()).toEqual([[1], [20, 3], [5]]);
+    expect(removed).toBeInstanceOf(PersistentBinaryTree);
+    expect(new PersistentBinaryTree().insert("root", 7).levels()).toEqual([
+      [7]
+    ]);
+    expect(tree.remove("root").root).toBeNull();
+  });
+
+  it("shares the subtrees an edit does not touch", function() {
+    const edited = tree.insert("right.right", 6);
+    expect(edited.root).not.toBe(tree.root);
+    expect(edited.root.right).not.toBe(tree.root.right);
+    expect(edited.root.left).toBe(tree.root.left);
+
+    const updated = tree.update("left", 20);
+    expect(updated.root.left.left).toBe(tree.root.left.left);
+    expect(updated.root.right).toBe(tree.root.right);
+  });
+
+  it("rejects paths that do not lead to a suitable slot", function() {
+    expect(() => tree.insert("left", 5)).toThrow(
+      "There is already a node at left"
+    );
+    expect(() => tree.insert("right.left.left", 5)).toThrow(
+      "There is no node at right.left"
+    );
+    expect(() => tree.update("left.right", 5)).toThrow(
+      "There is no node at left.right"
+    );
+    expect(() => tree.remove("middle")).toThrow(TypeError);
+    expect(() => tree.remove("")).toThrow(TypeError);
+  });
+
+  it("undoes and redoes edits", function() {
+    const v1 = tree.insert("right.left", 5);
+    const v2 = v1.update("root", 10);
+    expect(tree.canUndo).toBe(false);
+    expect(v2.canUndo).toBe(true);
+    expect(v2.canRedo).toBe(false);
+
+    const back = v2.undo();
+    expect(back.equals(v1)).toBe(true);
+    expect(back.root).toBe(v1.root);
+    expect(back.canRedo).toBe(true);
+    expect(back.undo().equals(tree)).toBe(true);
+    expect(back.undo().canUndo).toBe(false);
+
+    const forward = back.undo().redo();
+    expect(forward.equals(v1)).toBe(true);
+    expect(forward.redo().equals(v2)).toBe(true);
+    expect(() => v2.redo()).toThrow("Nothing to redo");
+    expect(() => tree.undo()).toThrow("Nothing to undo");
+  });
+
+  it("starts a new branch of history after an edit", function() {
+    const v1 = tree.update("root", 10);
+    const branched = v1.undo().update("root", 20);
+    expect(branched.canRedo).toBe(false);
+    expect(branched.undo().equals(tree)).toBe(true);
+  });
+
+  it("refuses changes that would bypass versioning", function() {
+    expect(() => tree.mirror({ inPlace: true })).toThrow(TypeError);
+    expect(() => {
+      tree.root = null;
+    }).toThrow(TypeError);
+    expect(() => {
+      "use strict";
+      tree.root.value = 5;
+    }).toThrow(TypeError);
+    expect(tree.mirror()).toBeInstanceOf(BinaryTree);
+    expect(tree.levels()).toEqual([[1], [2, 3], [4]]);
+  });
+});
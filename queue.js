@@ -0,0 +1,85 @@
+/**
+ * A first-in, first-out queue backed by a ring buffer.
+ *
+ * Array#shift moves every remaining element, so a breadth-first walk that dequeues
+ * with it can take quadratic time on wide trees. Here both ends are tracked by
+ * index over a circular buffer: enqueue and dequeue are O(1) (amortized, as the
+ * buffer doubles when full), and dequeued slots are cleared so the queue only keeps
+ * what it still holds alive.
+ */
+class Queue {
+  /** The ring buffer; its length is always a power of two. */
+  #buffer = new Array(16);
+  /** Index of the oldest item in the buffer. */
+  #head = 0;
+  /** Number of items held. */
+  #size = 0;
+
+  /**
+   * Creates a queue, optionally filled with initial items.
+   * @param {Iterable<*>} [items=[]] - Items to enqueue, first to dequeue first.
+   */
+  constructor(items = []) {
+    for (const item of items) this.enqueue(item);
+  }
+
+  /** @type {number} The number of items in the queue. */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Adds an item at the back of the queue.
+   * @param {*} item - The item to add.
+   * @returns {number} The new size of the queue.
+   */
+  enqueue(item) {
+    if (this.#size === this.#buffer.length) this.#grow();
+    const mask = this.#buffer.length - 1;
+    this.#buffer[(this.#head + this.#size) & mask] = item;
+    return ++this.#size;
+  }
+
+  /**
+   * Removes the item at the front of the queue.
+   * @returns {*} The removed item, or undefined if the queue is empty.
+   */
+  dequeue() {
+    if (this.#size === 0) return undefined;
+    const item = this.#buffer[this.#head];
+    this.#buffer[this.#head] = undefined;
+    this.#head = (this.#head + 1) & (this.#buffer.length - 1);
+    this.#size--;
+    return item;
+  }
+
+  /**
+   * Returns the item at the front of the queue without removing it.
+   * @returns {*} The front item, or undefined if the queue is empty.
+   */
+  peek() {
+    return this.#size === 0 ? undefined : this.#buffer[this.#head];
+  }
+
+  /**
+   * Iterates over the items from front to back, without removing them.
+   * @yields {*}
+   */
+  *[Symbol.iterator]() {
+    const mask = this.#buffer.length - 1;
+    for (let i = 0; i < this.#size; i++) {
+      yield this.#buffer[(this.#head + i) & mask];
+    }
+  }
+
+  /** A private helper that doubles the buffer, unrolling the items to start at index 0. */
+  #grow() {
+    const grown = new Array(this.#buffer.length * 2);
+    let i = 0;
+    for (const item of this) grown[i++] = item;
+    this.#buffer = grown;
+    this.#head = 0;
+  }
+}
+
+module.exports = { Queue };
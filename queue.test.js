@@ -0,0 +1,43 @@
+const { Queue } = require("./queue");
+
+describe("Queue", function() {
+  it("dequeues in insertion order", function() {
+    const queue = new Queue([1, 2]);
+    expect(queue.enqueue(3)).toBe(3);
+    expect(queue.peek()).toBe(1);
+    expect([queue.dequeue(), queue.dequeue(), queue.dequeue()]).toEqual([
+      1,
+      2,
+      3
+    ]);
+    expect(queue.size).toBe(0);
+    expect(queue.dequeue()).toBe(undefined);
+    expect(queue.peek()).toBe(undefined);
+  });
+
+  it("keeps its order across wrap-around and growth", function() {
+    const queue = new Queue();
+    const expected = [];
+    let next = 0;
+    // Interleave so the head moves around the buffer while it grows.
+    for (let round = 0; round < 50; round++) {
+      for (let i = 0; i < 3; i++) {
+        queue.enqueue(next);
+        expected.push(next++);
+      }
+      expect(queue.dequeue()).toBe(expected.shift());
+    }
+    expect(queue.size).toBe(100);
+    expect([...queue]).toEqual(expected);
+  });
+
+  it("holds undefined and null like any other item", function() {
+    const queue = new Queue([null, undefined, 0]);
+    expect(queue.size).toBe(3);
+    expect([queue.dequeue(), queue.dequeue(), queue.dequeue()]).toEqual([
+      null,
+      undefined,
+      0
+    ]);
+  });
+});
@@ -0,0 +1,249 @@
+const { BinaryTreeNode, replaceRoot } = require("./binary-tree");
+const {
+  BinarySearchTree,
+  rotateLeft,
+  rotateRight,
+} = require("./binary-search-tree");
+
+const RED = "red";
+const BLACK = "black";
+
+/**
+ * Represents a node in a red-black tree.
+ * The color records whether the link from the node's parent is red (the node is
+ * glued to its parent, forming a 3-node) or black (an ordinary link).
+ */
+class RedBlackTreeNode extends BinaryTreeNode {
+  /**
+   * Creates a new red-black tree node. New nodes are red.
+   * @param {*} value - The data to be stored in the node.
+   * @param {"red" | "black"} [color="red"] - The node's color.
+   */
+  constructor(value, color = RED) {
+    super(value);
+    this.color = color;
+  }
+
+  /** @type {boolean} True if the node is red. */
+  get isRed() {
+    return this.color === RED;
+  }
+}
+
+RedBlackTreeNode.RED = RED;
+RedBlackTreeNode.BLACK = BLACK;
+
+/**
+ * Checks the color of a possibly-missing node; missing nodes count as black.
+ * @param {RedBlackTreeNode | null} node - The node.
+ * @returns {boolean} True if the node exists and is red.
+ */
+const isRed = (node) => node !== null && node.color === RED;
+
+/**
+ * Rotates left, handing the old root's color to the new root and marking the old root red.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {RedBlackTreeNode} The new root of the subtree.
+ */
+const rotateLeftColored = (node) => {
+  const pivot = rotateLeft(node);
+  pivot.color = node.color;
+  node.color = RED;
+  return pivot;
+};
+
+/**
+ * Rotates right, handing the old root's color to the new root and marking the old root red.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {RedBlackTreeNode} The new root of the subtree.
+ */
+const rotateRightColored = (node) => {
+  const pivot = rotateRight(node);
+  pivot.color = node.color;
+  node.color = RED;
+  return pivot;
+};
+
+/**
+ * Flips the colors of a node and both of its children (splitting or merging a 4-node).
+ * @param {RedBlackTreeNode} node - A node with two children.
+ */
+const flipColors = (node) => {
+  for (const target of [node, node.left, node.right]) {
+    target.color = target.color === RED ? BLACK : RED;
+  }
+};
+
+/**
+ * Restores the left-leaning invariants on the way back up from an update.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {RedBlackTreeNode} The new root of the subtree.
+ */
+const fixUp = (node) => {
+  if (isRed(node.right) && !isRed(node.left)) node = rotateLeftColored(node);
+  if (isRed(node.left) && isRed(node.left.left))
+    node = rotateRightColored(node);
+  if (isRed(node.left) && isRed(node.right)) flipColors(node);
+  return node;
+};
+
+/**
+ * Borrows from the right sibling so that the left child (or its left child) is red
+ * before descending left during deletion.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {RedBlackTreeNode} The new root of the subtree.
+ */
+const moveRedLeft = (node) => {
+  flipColors(node);
+  if (isRed(node.right.left)) {
+    node.right = rotateRightColored(node.right);
+    node = rotateLeftColored(node);
+    flipColors(node);
+  }
+  return node;
+};
+
+/**
+ * Borrows from the left sibling so that the right child (or its left child) is red
+ * before descending right during deletion.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {RedBlackTreeNode} The new root of the subtree.
+ */
+const moveRedRight = (node) => {
+  flipColors(node);
+  if (isRed(node.left.left)) {
+    node = rotateRightColored(node);
+    flipColors(node);
+  }
+  return node;
+};
+
+/**
+ * Detaches the minimum node of a subtree.
+ * @param {RedBlackTreeNode} node - The root of the subtree.
+ * @returns {{root: RedBlackTreeNode | null, min: RedBlackTreeNode}} The rebalanced
+ *          subtree and the detached node.
+ */
+const removeMin = (node) => {
+  if (!node.left) return { root: null, min: node };
+  if (!isRed(node.left) && !isRed(node.left.left)) node = moveRedLeft(node);
+  const { root, min } = removeMin(node.left);
+  node.left = root;
+  return { root: fixUp(node), min };
+};
+
+/**
+ * Represents a red-black tree, in its left-leaning form (Sedgewick's LLRB): a
+ * binary search tree encoding a 2-3 tree, where red links only lean left. Every
+ * root-to-leaf path crosses the same number of black nodes, which keeps the height
+ * within 2·log2(n + 1) even when values arrive in sorted order.
+ *
+ * Updates recurse along a single root-to-leaf path, so their depth is bounded by
+ * that logarithmic height.
+ */
+class RedBlackTree extends BinarySearchTree {
+  /** Balanced by rotations on every update, so never built from a given shape. */
+  static balancesItself = true;
+
+  /**
+   * Creates a new, empty red-black tree. Fill it with `insert` or `RedBlackTree.from(values)`.
+   * @param {null} [rootNode=null] - Must be null; arbitrary nodes carry no color metadata.
+   * @param {Object} [options] - Constructor options (logger, compare), as for BinarySearchTree.
+   * @throws {TypeError} If a root node is given.
+   */
+  constructor(rootNode = null, options) {
+    if (rootNode !== null) {
+      throw new TypeError(
+        "RedBlackTree must start empty; build it with insert() or RedBlackTree.from()"
+      );
+    }
+    super(null, options);
+  }
+
+  /**
+   * Inserts a value, then recolors and rotates on the way back up.
+   *
+   * @param {*} value - The value to insert.
+   * @returns {RedBlackTreeNode} The node holding the value; the existing node if it was already present.
+   */
+  insert(value) {
+    let inserted = null;
+    const insertInto = (node) => {
+      if (!node) {
+        inserted = new RedBlackTreeNode(value);
+        return inserted;
+      }
+      const order = this.compare(value, node.value);
+      if (order === 0) {
+        inserted = node;
+        return node;
+      }
+      if (order < 0) node.left = insertInto(node.left);
+      else node.right = insertInto(node.right);
+      return fixUp(node);
+    };
+
+    this[replaceRoot](insertInto(this.root));
+    this.root.color = BLACK;
+    return inserted;
+  }
+
+  /**
+   * Removes a value, pushing a red link down the search path so the removed node
+   * is never a lone black node, then fixing up on the way back. A node with two
+   * children is replaced by its relinked in-order successor, as in BinarySearchTree#delete.
+   *
+   * @param {*} value - The value to remove.
+   * @returns {boolean} True if the value was found and removed, false otherwise.
+   */
+  delete(value) {
+    if (!this.has(value)) return false;
+
+    const deleteFrom = (node) => {
+      if (this.compare(value, node.value) < 0) {
+        if (!isRed(node.left) && !isRed(node.left.left)) {
+          node = moveRedLeft(node);
+        }
+        node.left = deleteFrom(node.left);
+        return fixUp(node);
+      }
+      if (isRed(node.left)) node = rotateRightColored(node);
+      if (this.compare(value, node.value) === 0 && !node.right) {
+        return null;
+      }
+      if (!isRed(node.right) && !isRed(node.right.left)) {
+        node = moveRedRight(node);
+      }
+      if (this.compare(value, node.value) === 0) {
+        const { root, min } = removeMin(node.right);
+        min.left = node.left;
+        min.right = root;
+        min.color = node.color;
+        node.left = null;
+        node.right = null;
+        node = min;
+      } else {
+        node.right = deleteFrom(node.right);
+      }
+      return fixUp(node);
+    };
+
+    const root = this.root;
+    if (!isRed(root.left) && !isRed(root.right)) root.color = RED;
+    this[replaceRoot](deleteFrom(root));
+    if (this.root) this.root.color = BLACK;
+    return true;
+  }
+
+  /**
+   * Labels nodes with their value and color, e.g. "8 [B]".
+   *
+   * @param {RedBlackTreeNode} node - The node to label.
+   * @returns {string} The label.
+   */
+  formatNodeLabel(node) {
+    return `${node.value} [${node.color === RED ? "R" : "B"}]`;
+  }
+}
+
+module.exports = { RedBlackTree, RedBlackTreeNode };
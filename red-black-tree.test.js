@@ -0,0 +1,104 @@
+const { RedBlackTree, RedBlackTreeNode } = require("./red-black-tree");
+const {
+  inorderValues,
+  shuffled,
+  expectValidBalancedTree
+} = require("./balanced-tree-test-helpers");
+
+const { RED, BLACK } = RedBlackTreeNode;
+
+// Checks the ordering and the red-black invariants: black root, no red right
+// links, no two reds in a row, and the same black height on every path.
+function expectValidRedBlack(tree) {
+  const isRed = node => node !== null && node.color === RED;
+  expectValidBalancedTree(
+    tree,
+    node => isRed(node.right) || (isRed(node) && isRed(node.left))
+  );
+  if (!tree.root) return;
+  expect(tree.root.color).toBe(BLACK);
+
+  const blackHeights = new Set();
+  for (const { node, path } of tree.preorder()) {
+    if (!node.left || !node.right) {
+      blackHeights.add(path.filter(n => n.color === BLACK).length);
+    }
+  }
+  expect(blackHeights.size).toBe(1);
+}
+
+describe("RedBlackTree", function() {
+  it("stays balanced when values arrive in sorted order", function() {
+    const values = Array.from({ length: 1000 }, (_, i) => i);
+    const tree = RedBlackTree.from(values);
+
+    expectValidRedBlack(tree);
+    expect(inorderValues(tree)).toEqual(values);
+    expect(tree.maxDepth()).toBeLessThanOrEqual(2 * Math.log2(1001));
+    expect(tree.root).toBeInstanceOf(RedBlackTreeNode);
+  });
+
+  it("ignores duplicates", function() {
+    const tree = RedBlackTree.from([2, 1, 3]);
+    const existing = tree.find(3);
+    expect(tree.insert(3)).toBe(existing);
+    expect(inorderValues(tree)).toEqual([1, 2, 3]);
+  });
+
+  it("stays balanced through deletions", function() {
+    const values = shuffled(
+      Array.from({ length: 300 }, (_, i) => i),
+      7
+    );
+    const tree = RedBlackTree.from(values);
+
+    for (const value of values.slice(0, 200)) {
+      expect(tree.delete(value)).toBe(true);
+      expectValidRedBlack(tree);
+    }
+    expect(inorderValues(tree)).toEqual(
+      values.slice(200).sort((a, b) => a - b)
+    );
+    expect(tree.delete(values[0])).toBe(false);
+
+    for (const value of values.slice(200)) tree.delete(value);
+    expect(tree.root).toBe(null);
+  });
+
+  it("keeps the BinaryTree queries working", function() {
+    const tree = RedBlackTree.from([1, 2, 3, 4, 5, 6, 7]);
+    expect(tree.maxDepth()).toBeLessThanOrEqual(4);
+    expect(tree.minDepth()).toBeGreaterThanOrEqual(2);
+    const lca = tree.lowestCommonAncestor(tree.find(1), tree.find(7));
+    expect(lca).toBe(tree.root);
+  });
+
+  it("exposes colors to the visualizer", function() {
+    const events = [];
+    const tree = RedBlackTree.from([1, 2], { logger: events });
+    tree.maxDepth();
+    expect(events[0].visual).toContain("2 [B]");
+    expect(events[0].visual).toContain("1 [R]");
+  });
+
+  it("must start empty", function() {
+    expect(() => new RedBlackTree(new RedBlackTreeNode(1))).toThrow(TypeError);
+  });
+
+  it("builds from sorted arrays but not from given shapes", function() {
+    const tree = RedBlackTree.fromSortedArray([1, 2, 3, 4, 5]);
+    expect(tree).toBeInstanceOf(RedBlackTree);
+    expectValidRedBlack(tree);
+    expect(inorderValues(tree)).toEqual([1, 2, 3, 4, 5]);
+    expect(() => RedBlackTree.fromSortedArray([2, 1])).toThrow("ascending");
+    expect(() => RedBlackTree.fromLevelOrderArray([2, 1, 3])).toThrow(
+      TypeError
+    );
+    expect(() => RedBlackTree.fromPreorderInorder([2, 1], [1, 2])).toThrow(
+      TypeError
+    );
+    expect(() => RedBlackTree.fromPostorderInorder([1, 2], [1, 2])).toThrow(
+      TypeError
+    );
+  });
+});
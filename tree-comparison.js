@@ -0,0 +1,166 @@
+const { postorder } = require("./tree-traversal");
+
+/**
+ * Structural comparison helpers shared by Tree and BinaryTree.
+ *
+ * Nodes are compared slot by slot. A `getSlots(node)` function lists a node's child
+ * positions as [name, child] pairs: a binary node always has the two slots "left"
+ * and "right" (either may be empty), so a lone left child never matches a lone right
+ * child; a general node has one slot per child, "children[i]". Slot names joined
+ * with dots give a node's path, e.g. "left.right" or "children[0].children[2]"; the
+ * root's path is "root", as in TreeFormatError positions.
+ *
+ * Values match as Map keys do (SameValueZero): NaN matches NaN, 0 matches -0, and
+ * objects match only themselves.
+ */
+
+/**
+ * Checks whether two node values match.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if they are SameValueZero.
+ */
+const sameValue = (a, b) => a === b || (a !== a && b !== b);
+
+/**
+ * Lists the two slots of a binary tree node.
+ * @param {object} node - A node with `left` and `right` references.
+ * @returns {Array<[string, object | null]>} The "left" and "right" slots.
+ */
+const binarySlots = (node) => [
+  ["left", node.left],
+  ["right", node.right],
+];
+
+/**
+ * Lists the slots of a general tree node, one per child.
+ * @param {object} node - A node with a `children` array.
+ * @returns {Array<[string, object]>} The "children[i]" slots.
+ */
+const narySlots = (node) =>
+  node.children.map((child, index) => [`children[${index}]`, child]);
+
+/**
+ * @typedef {Object} TreeChange
+ * @property {"added" | "removed" | "changed"} type - What happened at the path: a subtree
+ *           appeared, a subtree disappeared, or the node's value differs.
+ * @property {string} path - Where, e.g. "root" or "left.right".
+ * @property {object | null} before - The node in the first tree (null if added).
+ * @property {object | null} after - The node in the second tree (null if removed).
+ */
+
+/**
+ * Compares two trees position by position. Nodes in the same slot are paired up;
+ * an added or removed subtree is reported once, at its root, and not descended into.
+ *
+ * @param {object | null} before - The root of the first tree.
+ * @param {object | null} after - The root of the second tree.
+ * @param {Object} shape
+ * @param {function(object): Array<[string, object | null]>} shape.getSlots - Lists a node's slots.
+ * @param {function(object): *} shape.getValue - Returns a node's value.
+ * @param {number} [shape.limit=Infinity] - Stop after this many changes.
+ * @returns {TreeChange[]} The changes, in pre-order; empty if the trees are equal.
+ */
+function diffNodes(before, after, { getSlots, getValue, limit = Infinity }) {
+  const changes = [];
+  // Paths are linked lists of slot names, only spelled out for reported changes.
+  const pathOf = (step) => {
+    const names = [];
+    for (let s = step; s; s = s.up) names.push(s.name);
+    return names.reverse().join(".") || "root";
+  };
+  const record = (type, pair) =>
+    changes.push({
+      type,
+      path: pathOf(pair.step),
+      before: pair.before,
+      after: pair.after,
+    });
+
+  const stack = [{ before, after, step: null }];
+  while (stack.length > 0 && changes.length < limit) {
+    const pair = stack.pop();
+    if (!pair.before && !pair.after) continue;
+    if (!pair.after) {
+      record("removed", pair);
+      continue;
+    }
+    if (!pair.before) {
+      record("added", pair);
+      continue;
+    }
+    if (!sameValue(getValue(pair.before), getValue(pair.after))) {
+      record("changed", pair);
+    }
+
+    const beforeSlots = getSlots(pair.before);
+    const afterSlots = getSlots(pair.after);
+    const slotCount = Math.max(beforeSlots.length, afterSlots.length);
+    // Pushed in reverse so the changes come out in pre-order.
+    for (let i = slotCount - 1; i >= 0; i--) {
+      const [name] = beforeSlots[i] ?? afterSlots[i];
+      stack.push({
+        before: beforeSlots[i]?.[1] ?? null,
+        after: afterSlots[i]?.[1] ?? null,
+        step: { name, up: pair.step },
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Creates a table numbering subtree shapes, so that two subtrees get the same number
+ * exactly when they are equal. Numbers are positive; 0 stands for an empty slot.
+ * Subtrees numbered with the same table can be compared in O(1).
+ *
+ * @returns {function(*, number[]): number} Numbers the shape made of a value and the
+ *          numbers of its children.
+ */
+function createShapeTable() {
+  const valueIds = new Map();
+  const shapeIds = new Map();
+  return (value, childIds) => {
+    if (!valueIds.has(value)) valueIds.set(value, valueIds.size);
+    const key = `${valueIds.get(value)}:${childIds.join(",")}`;
+    if (!shapeIds.has(key)) shapeIds.set(key, shapeIds.size + 1);
+    return shapeIds.get(key);
+  };
+}
+
+/**
+ * Numbers every subtree of a tree with a shape table, bottom-up.
+ *
+ * @param {object | null} root - The root node.
+ * @param {function(*, number[]): number} table - A table from `createShapeTable`.
+ * @param {Object} shape
+ * @param {function(object): Array<[string, object | null]>} shape.getSlots - Lists a node's slots.
+ * @param {function(object): *} shape.getValue - Returns a node's value.
+ * @param {boolean} [shape.unordered=false] - True to ignore the order of children, so that
+ *        subtrees get the same number when they are equal up to reordering children.
+ * @returns {Map<object, number>} Each node's shape number.
+ */
+function numberShapes(root, table, { getSlots, getValue, unordered = false }) {
+  const ids = new Map();
+  const getChildren = (node) =>
+    getSlots(node)
+      .map(([, child]) => child)
+      .filter(Boolean);
+  for (const { node } of postorder(root, getChildren)) {
+    const childIds = getSlots(node).map(([, child]) =>
+      child ? ids.get(child) : 0
+    );
+    if (unordered) childIds.sort((a, b) => a - b);
+    ids.set(node, table(getValue(node), childIds));
+  }
+  return ids;
+}
+
+module.exports = {
+  sameValue,
+  binarySlots,
+  narySlots,
+  diffNodes,
+  createShapeTable,
+  numberShapes,
+};
@@ -0,0 +1,128 @@
+const { Tree, TreeNode } = require("./tree");
+const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+
+/**
+ * Lossless conversion between general (n-ary) trees and binary trees, using the
+ * left-child right-sibling encoding: in the binary tree, a node's left child is its
+ * first child in the general tree, and its right child is its next sibling.
+ *
+ *        1                 1
+ *      / | \              /
+ *     2  3  4     <=>    2
+ *        |                \
+ *        5                 3
+ *                         / \
+ *                        5   4
+ *
+ * Values are copied as they are; the source tree is never modified.
+ * Both directions walk the trees iteratively, so deep trees are safe.
+ *
+ * In the encoding, the general-tree ancestors of a node are exactly the binary
+ * ancestors it reaches by leaving through a left link, so the binary root still
+ * holds the general root and subtrees stay contiguous. Other binary ancestors are
+ * earlier siblings, so binary answers can differ from general ones: the binary
+ * lowestCommonAncestor of two siblings is the earlier sibling, not their parent.
+ * `encodedLowestCommonAncestor` gives the general answer. To relate a result
+ * computed on one side to the other, pass a Map as `nodeMap`: it is filled with
+ * source node -> converted node pairs.
+ */
+
+/**
+ * Encodes a general Tree as a BinaryTree.
+ *
+ * @param {Tree} tree - The tree to convert.
+ * @param {Object} [options]
+ * @param {Map<TreeNode, BinaryTreeNode>} [options.nodeMap] - Filled with each TreeNode's counterpart.
+ * @returns {BinaryTree} The encoded tree; empty if `tree` is empty.
+ */
+function toBinaryTree(tree, { nodeMap = new Map() } = {}) {
+  const copies = new Map();
+  for (const { node } of tree.preorder()) {
+    copies.set(node, new BinaryTreeNode(node.val));
+    nodeMap.set(node, copies.get(node));
+  }
+
+  for (const [node, binaryNode] of copies) {
+    const { children } = node;
+    if (children.length === 0) continue;
+    binaryNode.left = copies.get(children[0]);
+    for (let i = 1; i < children.length; i++) {
+      copies.get(children[i - 1]).right = copies.get(children[i]);
+    }
+  }
+  // Maps iterate in insertion order, so the first copy is the root's.
+  const [root = null] = copies.values();
+  return new BinaryTree(root);
+}
+
+/**
+ * Decodes a BinaryTree in left-child right-sibling form back into a general Tree.
+ *
+ * @param {BinaryTree} binaryTree - The tree to convert.
+ * @param {Object} [options]
+ * @param {Map<BinaryTreeNode, TreeNode>} [options.nodeMap] - Filled with each BinaryTreeNode's counterpart.
+ * @returns {Tree} The decoded tree; empty if `binaryTree` is empty.
+ * @throws {Error} If the root has a right child: a root has no siblings, so no
+ *                 general tree encodes to such a binary tree.
+ */
+function toTree(binaryTree, { nodeMap = new Map() } = {}) {
+  const { root } = binaryTree;
+  if (!root) return new Tree();
+  if (root.right) {
+    throw new Error(
+      "Not a left-child right-sibling encoding: the root cannot have a right child (a sibling)"
+    );
+  }
+
+  const copies = new Map();
+  for (const { node } of binaryTree.preorder()) {
+    copies.set(node, new TreeNode(node.value));
+    nodeMap.set(node, copies.get(node));
+  }
+  for (const [binaryNode, node] of copies) {
+    // The children are the left child followed by its chain of right siblings.
+    for (let child = binaryNode.left; child; child = child.right) {
+      node.children.push(copies.get(child));
+    }
+  }
+  return new Tree(copies.get(root));
+}
+
+/**
+ * Finds the lowest common ancestor, in the general tree, of two nodes of its
+ * left-child right-sibling encoding. Starts from their binary lowest common
+ * ancestor: that is the answer if one node holds the other below its left link;
+ * otherwise it is the earlier of the two sibling subtrees holding the nodes, and
+ * the answer is its general parent, reached by climbing its chain of earlier
+ * siblings up to the first child and leaving through that left link.
+ *
+ * @param {BinaryTree} binaryTree - The encoded tree, as returned by toBinaryTree.
+ * @param {BinaryTreeNode | *} node1 - The first node, or its value.
+ * @param {BinaryTreeNode | *} node2 - The second node, or its value.
+ * @returns {BinaryTreeNode | null} The encoded node of their general lowest common
+ *          ancestor, or null if either is not in the tree. Map it back through the
+ *          `nodeMap` filled by toBinaryTree (or toTree) to get the TreeNode.
+ */
+function encodedLowestCommonAncestor(binaryTree, node1, node2) {
+  const path1 = binaryTree.pathTo(node1);
+  const path2 = binaryTree.pathTo(node2);
+  if (!path1 || !path2) return null;
+  // The binary lowest common ancestor is the last node both paths go through.
+  let last = 0;
+  while (path1[last + 1] && path1[last + 1] === path2[last + 1]) last++;
+  const lca = path1[last];
+
+  for (const [path, other] of [
+    [path1, path2],
+    [path2, path1],
+  ]) {
+    const below = other[last + 1];
+    if (path.length === last + 1 && (!below || below === lca.left)) return lca;
+  }
+
+  let first = last;
+  while (first > 0 && path1[first - 1].right === path1[first]) first--;
+  return first > 0 ? path1[first - 1] : null;
+}
+
+module.exports = { toBinaryTree, toTree, encodedLowestCommonAncestor };
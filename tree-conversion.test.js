@@ -0,0 +1,131 @@
+const { Tree, TreeNode } = require("./tree");
+const { BinaryTree, BinaryTreeNode } = require("./binary-tree");
+const {
+  toBinaryTree,
+  toTree,
+  encodedLowestCommonAncestor
+} = require("./tree-conversion");
+
+let tree;
+let n3;
+let n5;
+
+beforeEach(function() {
+  //      1
+  //    / | \
+  //   2  3  4
+  //      |
+  //      5
+  n5 = new TreeNode(5);
+  n3 = new TreeNode(3, [n5]);
+  tree = new Tree(new TreeNode(1, [new TreeNode(2), n3, new TreeNode(4)]));
+});
+
+describe("toBinaryTree", function() {
+  it("encodes first children on the left and siblings on the right", function() {
+    const binaryTree = toBinaryTree(tree);
+    expect(binaryTree).toBeInstanceOf(BinaryTree);
+    expect(binaryTree.toObject()).toEqual({
+      root: {
+        value: 1,
+        children: {
+          left: {
+            value: 2,
+            children: {
+              right: {
+                value: 3,
+                children: {
+                  left: { value: 5 },
+                  right: { value: 4 }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  it("fills the node map", function() {
+    const nodeMap = new Map();
+    const binaryTree = toBinaryTree(tree, { nodeMap });
+    expect(nodeMap.size).toBe(5);
+    expect(nodeMap.get(n3).left).toBe(nodeMap.get(n5));
+
+    // n5 hangs below n3 through a left link, so n3 is its binary LCA with n5.
+    const lca = binaryTree.lowestCommonAncestor(
+      nodeMap.get(n3),
+      nodeMap.get(n5)
+    );
+    expect(lca).toBe(nodeMap.get(n3));
+  });
+
+  it("converts empty trees", function() {
+    expect(toBinaryTree(new Tree()).root).toBe(null);
+  });
+
+  it("finds general lowest common ancestors through the encoding", function() {
+    const [n1] = [...tree.preorder()].map(({ node }) => node);
+    const [n2, , n4] = n1.children;
+    const n6 = tree.addChild(n4, 6);
+    const n7 = tree.addChild(n5, 7);
+    const n8 = tree.addChild(n3, 8);
+    const nodeMap = new Map();
+    const binaryTree = toBinaryTree(tree, { nodeMap });
+    const treeNodes = new Map(
+      [...nodeMap].map(([node, encoded]) => [encoded, node])
+    );
+    const lca = (a, b) =>
+      treeNodes.get(
+        encodedLowestCommonAncestor(binaryTree, nodeMap.get(a), nodeMap.get(b))
+      );
+
+    // The binary answer for siblings is the earlier sibling.
+    expect(
+      binaryTree.lowestCommonAncestor(nodeMap.get(n2), nodeMap.get(n4))
+    ).toBe(nodeMap.get(n2));
+    expect(lca(n2, n4)).toBe(n1);
+    expect(lca(n4, n2)).toBe(n1);
+    expect(lca(n5, n4)).toBe(n1);
+    expect(lca(n2, n5)).toBe(n1);
+    expect(lca(n5, n6)).toBe(n1);
+    expect(lca(n6, n2)).toBe(n1);
+    expect(lca(n7, n8)).toBe(n3);
+    expect(lca(n3, n5)).toBe(n3);
+    expect(lca(n5, n5)).toBe(n5);
+    expect(lca(n1, n4)).toBe(n1);
+    expect(
+      encodedLowestCommonAncestor(binaryTree, nodeMap.get(n2), 99)
+    ).toBeNull();
+  });
+});
+
+describe("toTree", function() {
+  it("round-trips through the binary encoding", function() {
+    expect(toTree(toBinaryTree(tree)).toObject()).toEqual(tree.toObject());
+  });
+
+  it("round-trips through BinaryTree serialization", function() {
+    const serialized = BinaryTree.serialize(toBinaryTree(tree));
+    const result = toTree(BinaryTree.deserialize(serialized));
+    expect(result.toObject()).toEqual(tree.toObject());
+  });
+
+  it("fills the node map", function() {
+    const binaryTree = toBinaryTree(tree);
+    const nodeMap = new Map();
+    const result = toTree(binaryTree, { nodeMap });
+    expect(nodeMap.get(binaryTree.root)).toBe(result.find(n => n.val === 1));
+  });
+
+  it("rejects a root with a right child", function() {
+    const binaryTree = new BinaryTree(
+      new BinaryTreeNode(1, null, new BinaryTreeNode(2))
+    );
+    expect(() => toTree(binaryTree)).toThrow("right child");
+  });
+
+  it("converts empty trees", function() {
+    expect(toTree(new BinaryTree()).size).toBe(0);
+  });
+});
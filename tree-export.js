@@ -0,0 +1,272 @@
+const { preorder } = require("./tree-traversal");
+const { GROUP_COLORS } = require("./tree-visualizer");
+
+/**
+ * Exports trees as diagram source for design documents: Graphviz DOT
+ * (`dot -Tsvg tree.dot`) and Mermaid flowcharts (rendered by Markdown viewers that
+ * support ```mermaid blocks).
+ *
+ * Both exporters take the same roots as getVisualTreeString: a BinaryTreeNode or a
+ * TreeNode. Binary edges are labelled "left" and "right", and a lone child is paired
+ * with an invisible placeholder on the other side, so it is still drawn on its own
+ * side. Highlighted nodes are filled with a color and given a class named after
+ * their highlight set ("highlighted" or the group's name), so the document can
+ * restyle them (in DOT, the class reaches SVG output only).
+ */
+
+/**
+ * Names a highlight group cannot take: the classes the exporters give highlighted
+ * nodes and placeholders themselves, and the words Mermaid reads as keywords.
+ */
+const RESERVED_GROUP_NAMES = new Set([
+  "highlighted",
+  "placeholder",
+  "default",
+  "end",
+  "graph",
+  "flowchart",
+  "subgraph",
+  "direction",
+  "class",
+  "classdef",
+  "style",
+  "linkstyle",
+  "click",
+  "call",
+  "href",
+]);
+
+/** A fill color both exporters can write unquoted: a color name or a hex code. */
+const COLOR_PATTERN = /^(?:[A-Za-z]+|#[0-9A-Fa-f]{3,8})$/;
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {function(object): string} [formatLabel] - Returns the label of a node;
+ *           defaults to its value (`value` or `val`), as in the visualizer.
+ * @property {Set<object>} [highlighted=new Set()] - Nodes to highlight, filled in yellow
+ *           with the class "highlighted".
+ * @property {Object<string, {nodes: Iterable<object>, color?: string}>} [highlightGroups]
+ *           - Further named groups of nodes to highlight, each filled with its color
+ *           (a Graphviz or CSS color name such as "lightblue", or a hex code such as
+ *           "#fc6"; cyan, magenta, green, blue and red in turn by default) and given
+ *           its name as class, so names must be identifiers other than those in
+ *           RESERVED_GROUP_NAMES. A node in several sets takes the style of the first;
+ *           `highlighted` comes first.
+ */
+
+/**
+ * Returns the children of a node for either shape, with the side of each for binary
+ * nodes. A binary node with a single child gets null on the other side.
+ *
+ * @param {object} node - A BinaryTreeNode or a TreeNode.
+ * @returns {Array<{child: object | null, side: "left" | "right" | null}>} Its slots, in order.
+ */
+function slotsOf(node) {
+  if ("left" in node && "right" in node) {
+    if (!node.left && !node.right) return [];
+    return [
+      { child: node.left, side: "left" },
+      { child: node.right, side: "right" },
+    ];
+  }
+  const children = Array.isArray(node.children) ? node.children : [];
+  return children.map((child) => ({ child, side: null }));
+}
+
+/**
+ * Describes the graph shared by both exporters: its nodes, in pre-order, each
+ * followed by the placeholders for its missing sides, and its edges, in each
+ * parent's child order.
+ *
+ * @param {object | null} rootNode - The root node of the tree.
+ * @param {ExportOptions} options - The exporter's options.
+ * @returns {{nodes: Object[], edges: Object[], styles: Object[]}} The graph. Nodes have
+ *          an id, a label and a style (or `placeholder: true`); edges have from, to and
+ *          a side label (or `placeholder: true`); styles are the highlight sets used.
+ * @throws {TypeError} If a group name cannot be used as a class name, or a group color
+ *         is not a color name or hex code.
+ */
+function describeGraph(
+  rootNode,
+  { formatLabel, highlighted = new Set(), highlightGroups = {} }
+) {
+  const highlights = [
+    { name: "highlighted", nodes: highlighted, color: "yellow" },
+    ...Object.entries(highlightGroups).map(([name, group], index) => {
+      if (
+        !/^[A-Za-z_][\w-]*$/.test(name) ||
+        RESERVED_GROUP_NAMES.has(name.toLowerCase())
+      ) {
+        throw new TypeError(
+          `Highlight group names must be identifiers other than reserved words: ${name}`
+        );
+      }
+      const color = group.color ?? GROUP_COLORS[index % GROUP_COLORS.length];
+      if (typeof color !== "string" || !COLOR_PATTERN.test(color)) {
+        throw new TypeError(
+          `Highlight group colors must be color names or hex codes: ${color}`
+        );
+      }
+      return { name, nodes: new Set(group.nodes), color };
+    }),
+  ];
+  const labelOf = (node) => {
+    if (formatLabel) return String(formatLabel(node));
+    const value = node.value !== undefined ? node.value : node.val;
+    return value === undefined ? "[?]" : String(value);
+  };
+
+  const ids = new Map();
+  const childrenOf = (node) =>
+    slotsOf(node)
+      .map(({ child }) => child)
+      .filter(Boolean);
+  for (const { node } of preorder(rootNode, childrenOf)) {
+    ids.set(node, `n${ids.size}`);
+  }
+
+  const nodes = [];
+  const edges = [];
+  const styles = new Set();
+  for (const [node, id] of ids) {
+    const style = highlights.find(({ nodes: set }) => set.has(node)) ?? null;
+    if (style) styles.add(style);
+    nodes.push({ id, label: labelOf(node), style });
+    for (const { child, side } of slotsOf(node)) {
+      if (child) {
+        edges.push({ from: id, to: ids.get(child), label: side });
+      } else {
+        const placeholder = `${id}_${side}`;
+        nodes.push({ id: placeholder, placeholder: true });
+        edges.push({ from: id, to: placeholder, placeholder: true });
+      }
+    }
+  }
+  return {
+    nodes,
+    edges,
+    styles: highlights.filter((highlight) => styles.has(highlight)),
+  };
+}
+
+/**
+ * Quotes a string for DOT.
+ * @param {string} text - The text.
+ * @returns {string} A double-quoted DOT string.
+ */
+function quoteDot(text) {
+  const escaped = text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+  return `"${escaped}"`;
+}
+
+/**
+ * Exports a tree as a Graphviz DOT digraph, top to bottom, children kept in order:
+ *
+ *     digraph "tree" {
+ *       graph [ordering=out];
+ *       n0 [label="1"];
+ *       n1 [label="2", style=filled, fillcolor="yellow", class="highlighted"];
+ *       n0 -> n1 [label="left"];
+ *       ...
+ *     }
+ *
+ * @param {object | null} rootNode - The root node of the tree (can be BinaryTreeNode or TreeNode).
+ * @param {ExportOptions & {name?: string}} [options] - Labels and highlights; `name` is
+ *        the name of the digraph ("tree" by default).
+ * @returns {string} The DOT source, without a trailing newline.
+ * @throws {TypeError} If a group name cannot be used as a class name, or a group color
+ *         is not a color name or hex code.
+ */
+function toDot(rootNode, { name = "tree", ...options } = {}) {
+  const { nodes, edges } = describeGraph(rootNode, options);
+  const lines = [`digraph ${quoteDot(name)} {`, "  graph [ordering=out];"];
+  for (const node of nodes) {
+    if (node.placeholder) {
+      lines.push(`  ${node.id} [label="", style=invis];`);
+      continue;
+    }
+    let attributes = `label=${quoteDot(node.label)}`;
+    if (node.style) {
+      const { color, name: className } = node.style;
+      attributes += `, style=filled, fillcolor=${quoteDot(color)}`;
+      attributes += `, class=${quoteDot(className)}`;
+    }
+    lines.push(`  ${node.id} [${attributes}];`);
+  }
+  for (const edge of edges) {
+    let attributes = "";
+    if (edge.placeholder) attributes = " [style=invis]";
+    else if (edge.label) attributes = ` [label=${quoteDot(edge.label)}]`;
+    lines.push(`  ${edge.from} -> ${edge.to}${attributes};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * Quotes a node label for Mermaid, writing characters that would end or confuse it
+ * as Mermaid entity codes.
+ * @param {string} text - The label.
+ * @returns {string} A double-quoted Mermaid label.
+ */
+function quoteMermaid(text) {
+  const escaped = text
+    .replace(/#/g, "#35;")
+    .replace(/"/g, "#quot;")
+    .replace(/</g, "#lt;")
+    .replace(/>/g, "#gt;")
+    .replace(/\n/g, "<br>");
+  return `"${escaped}"`;
+}
+
+/**
+ * Exports a tree as a Mermaid flowchart, top to bottom:
+ *
+ *     flowchart TD
+ *       n0["1"]
+ *       n1["2"]
+ *       n0 -->|left| n1
+ *       ...
+ *       classDef highlighted fill:yellow
+ *       class n1 highlighted
+ *
+ * Placeholders are joined by invisible links (`~~~`) and styled with the class
+ * "placeholder", which hides them.
+ *
+ * @param {object | null} rootNode - The root node of the tree (can be BinaryTreeNode or TreeNode).
+ * @param {ExportOptions} [options] - Labels and highlights.
+ * @returns {string} The Mermaid source, without a trailing newline.
+ * @throws {TypeError} If a group name cannot be used as a class name, or a group color
+ *         is not a color name or hex code.
+ */
+function toMermaid(rootNode, options = {}) {
+  const { nodes, edges, styles } = describeGraph(rootNode, options);
+  const lines = ["flowchart TD"];
+  for (const node of nodes) {
+    const label = node.placeholder ? '" "' : quoteMermaid(node.label);
+    lines.push(`  ${node.id}[${label}]`);
+  }
+  for (const edge of edges) {
+    if (edge.placeholder) lines.push(`  ${edge.from} ~~~ ${edge.to}`);
+    else if (edge.label) {
+      lines.push(`  ${edge.from} -->|${edge.label}| ${edge.to}`);
+    } else lines.push(`  ${edge.from} --> ${edge.to}`);
+  }
+  for (const { name, color } of styles) {
+    lines.push(`  classDef ${name} fill:${color}`);
+    const members = nodes.filter((node) => node.style?.name === name);
+    lines.push(`  class ${members.map(({ id }) => id).join(",")} ${name}`);
+  }
+  const placeholders = nodes.filter(({ placeholder }) => placeholder);
+  if (placeholders.length > 0) {
+    lines.push("  classDef placeholder fill:none,stroke:none");
+    const ids = placeholders.map(({ id }) => id).join(",");
+    lines.push(`  class ${ids} placeholder`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { toDot, toMermaid };
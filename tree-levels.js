@@ -0,0 +1,51 @@
+const { levelOrder } = require("./tree-traversal");
+
+/**
+ * Level-by-level views shared by Tree and BinaryTree.
+ */
+
+/**
+ * Groups the values of a tree by depth, each level read left to right.
+ *
+ * @param {object | null} root - The root node.
+ * @param {function(object): object[]} getChildren - Returns a node's children in order.
+ * @param {function(object): *} getValue - Returns a node's value.
+ * @returns {Array<Array<*>>} One array of values per level, the root's first; empty if
+ *          the tree is empty.
+ */
+function valuesByLevel(root, getChildren, getValue) {
+  const levels = [];
+  for (const { node, depth } of levelOrder(root, getChildren)) {
+    if (depth > levels.length) levels.push([]);
+    levels[depth - 1].push(getValue(node));
+  }
+  return levels;
+}
+
+/**
+ * Summarizes each level of values.
+ *
+ * @param {Array<Array<*>>} levels - Values per level, as from `valuesByLevel`.
+ * @returns {Array<{count: number, sum: *, average: number, min: *, max: *}>} One summary
+ *          per level. The sum adds values with `+`; min and max compare them with `<`
+ *          and `>`.
+ */
+function aggregateLevels(levels) {
+  return levels.map((values) => {
+    let [sum, min, max] = [values[0], values[0], values[0]];
+    for (let i = 1; i < values.length; i++) {
+      sum += values[i];
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    return {
+      count: values.length,
+      sum,
+      average: sum / values.length,
+      min,
+      max,
+    };
+  });
+}
+
+module.exports = { valuesByLevel, aggregateLevels };
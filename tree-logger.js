@@ -0,0 +1,108 @@
+const { getVisualTreeString } = require("./tree-visualizer");
+
+/**
+ * Diagnostics channel for tree operations.
+ *
+ * Tree methods describe what they did as a structured event and hand it to a logger.
+ * A logger is a plain function receiving that event; `resolveLogger` turns the
+ * friendlier forms accepted by the public API ("silent", "console", an array to
+ * collect into, a callback, or an object with a `log` method) into that function.
+ */
+
+/**
+ * @typedef {Object} TreeEvent
+ * @property {string} method - Name of the tree method that produced the event (e.g. "minDepth").
+ * @property {string} context - Human-readable description, used as the visualization header.
+ * @property {*} result - The value the method returned.
+ * @property {object | null} root - The root node the method operated on.
+ * @property {Set<object>} highlighted - Nodes the method considers part of its answer.
+ * @property {string} visual - ASCII rendering of the tree with `highlighted` marked.
+ *                             Computed lazily, so sinks that never read it pay nothing.
+ * @property {function(object=): string} render - Renders the tree again with further
+ *           getVisualTreeString options, e.g. `render({ color: "auto" })`.
+ */
+
+/**
+ * Creates a structured event describing the outcome of a tree method.
+ * @param {Object} details
+ * @param {string} details.method - Name of the method.
+ * @param {string} details.context - Description of the outcome.
+ * @param {*} details.result - The method's return value.
+ * @param {object | null} details.root - Root node of the tree.
+ * @param {Set<object>} [details.highlighted=new Set()] - Nodes to highlight.
+ * @param {function(object): string} [details.formatLabel] - Label for each node in the visualization.
+ * @returns {TreeEvent} The event.
+ */
+function createTreeEvent({
+  method,
+  context,
+  result,
+  root,
+  highlighted = new Set(),
+  formatLabel,
+}) {
+  let visual;
+  return {
+    method,
+    context,
+    result,
+    root,
+    highlighted,
+    get visual() {
+      visual ??= this.render();
+      return visual;
+    },
+    render(options = {}) {
+      return getVisualTreeString(root, context, highlighted, {
+        formatLabel,
+        ...options,
+      });
+    },
+  };
+}
+
+/** A logger that discards every event. */
+const silentLogger = () => {};
+
+/**
+ * A logger that prints the visualization of every event to the console, in color
+ * when stdout is a terminal and NO_COLOR is not set.
+ */
+const consoleLogger = (event) => {
+  console.log(event.render({ color: "auto" }));
+};
+
+/**
+ * Normalizes the accepted logger forms into a function taking a TreeEvent.
+ *
+ * @param {null | undefined | false | "silent" | "console" | TreeEvent[] | function | {log: function}} logger
+ *        - Nothing, `false` or "silent" discards events.
+ *        - "console" prints each event's visualization with console.log.
+ *        - An array collects the events, in order.
+ *        - A function is called with each event.
+ *        - An object with a `log` method has it called with each event.
+ * @returns {function(TreeEvent): void} The logger function.
+ * @throws {TypeError} If the logger is none of the accepted forms.
+ */
+function resolveLogger(logger) {
+  if (logger === undefined || logger === null || logger === false) {
+    return silentLogger;
+  }
+  if (logger === "silent") return silentLogger;
+  if (logger === "console") return consoleLogger;
+  if (Array.isArray(logger)) return (event) => logger.push(event);
+  if (typeof logger === "function") return logger;
+  if (typeof logger === "object" && typeof logger.log === "function") {
+    return (event) => logger.log(event);
+  }
+  throw new TypeError(
+    `Unsupported logger: expected "silent", "console", an array, a function or an object with a log method`
+  );
+}
+
+module.exports = {
+  createTreeEvent,
+  resolveLogger,
+  silentLogger,
+  consoleLogger,
+};
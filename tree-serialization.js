@@ -0,0 +1,279 @@
+/**
+ * Shared encoding rules for serialized trees.
+ *
+ * Serialized trees are JSON text. Node values are written as JSON too, after passing
+ * through an optional codec, with two adjustments so that any JSON-serializable value
+ * survives a round trip unchanged:
+ * - values that would be ambiguous with the format's own markers (null, objects and
+ *   arrays) are wrapped as {"value": ...};
+ * - negative zero, which JSON.stringify writes as 0, is written as -0 (valid JSON
+ *   that JSON.parse reads back as -0).
+ */
+
+/**
+ * Raised when a serialized tree cannot be decoded, a tree cannot be encoded, or a
+ * tree cannot be built from a description such as a pair of traversal sequences.
+ * `position` locates the problem: a character offset for JSON syntax errors, the
+ * index of the offending element in a level-order array or sequence, or the path of the
+ * offending node (e.g. "children[0].children[2]") in a nested form.
+ */
+class TreeFormatError extends SyntaxError {
+  /**
+   * @param {string} message - What is wrong.
+   * @param {number | string | null} [position=null] - Where it is wrong, if known.
+   */
+  constructor(message, position = null) {
+    super(message);
+    this.name = "TreeFormatError";
+    this.position = position;
+  }
+}
+
+/** The codec used when none is given: values are stored as they are. */
+const identityCodec = {
+  encode: (value) => value,
+  decode: (json) => json,
+};
+
+/**
+ * Encodes one node value as JSON text, without wrapping.
+ * Used where the value sits in a field of its own, so it cannot be mistaken for a marker.
+ *
+ * @param {*} value - The node value.
+ * @param {{encode: function(*): *}} codec - Turns the value into something JSON-serializable.
+ * @param {number | string} position - Where the node is in the serialized output, for error messages.
+ * @returns {string} The JSON text for the value.
+ * @throws {TreeFormatError} If the (encoded) value has no JSON representation.
+ */
+function encodeRawValue(value, codec, position) {
+  return encodeJson(codec.encode(value), position, false);
+}
+
+/**
+ * Encodes one node value as JSON text, wrapping null, objects and arrays as {"value": ...}.
+ *
+ * @param {*} value - The node value.
+ * @param {{encode: function(*): *}} codec - Turns the value into something JSON-serializable.
+ * @param {number} position - Index of the node in the serialized output, for error messages.
+ * @returns {string} The JSON text for the value.
+ * @throws {TreeFormatError} If the (encoded) value has no JSON representation.
+ */
+function encodeValue(value, codec, position) {
+  return encodeJson(codec.encode(value), position, true);
+}
+
+/**
+ * Writes an already-encoded value as JSON text, keeping -0 and rejecting values
+ * JSON cannot represent.
+ *
+ * @param {*} encoded - The codec's output.
+ * @param {number | string} position - Where the node is, for error messages.
+ * @param {boolean} wrap - True to wrap null, objects and arrays as {"value": ...}.
+ * @returns {string} The JSON text.
+ * @throws {TreeFormatError} If the value has no JSON representation.
+ */
+function encodeJson(encoded, position, wrap) {
+  if (Object.is(encoded, -0)) return "-0";
+  if (typeof encoded === "number" && !Number.isFinite(encoded)) {
+    throw new TreeFormatError(
+      `Cannot serialize node ${position}: ${encoded} has no JSON representation`,
+      position
+    );
+  }
+  if (encoded === null || typeof encoded === "object") {
+    let json;
+    try {
+      json = JSON.stringify(encoded);
+    } catch (error) {
+      throw new TreeFormatError(
+        `Cannot serialize node ${position}: ${error.message}`,
+        position
+      );
+    }
+    return wrap ? `{"value":${json}}` : json;
+  }
+  if (!["string", "number", "boolean"].includes(typeof encoded)) {
+    throw new TreeFormatError(
+      `Cannot serialize node ${position}: a ${typeof encoded} has no JSON representation`,
+      position
+    );
+  }
+  return JSON.stringify(encoded);
+}
+
+/**
+ * Parses JSON text, reporting syntax errors as TreeFormatErrors.
+ *
+ * @param {string} serialized - The JSON text.
+ * @returns {*} The parsed value.
+ * @throws {TypeError} If `serialized` is not a string.
+ * @throws {TreeFormatError} If it is not valid JSON.
+ */
+function parseJson(serialized) {
+  if (typeof serialized !== "string") {
+    throw new TypeError(
+      `Expected a serialized tree string, got ${typeof serialized}`
+    );
+  }
+  try {
+    return JSON.parse(serialized);
+  } catch (error) {
+    // Engines word (and place) the offset differently, if they give one at all.
+    throw new TreeFormatError(
+      `Malformed serialized tree: ${error.message}`,
+      findSyntaxErrorOffset(serialized)
+    );
+  }
+}
+
+/** The JSON literals, by their first character. */
+const JSON_LITERALS = { t: "true", f: "false", n: "null" };
+
+/** A JSON number, matched at a given offset. */
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Finds where JSON text stops being valid, for error positions. Scans with an
+ * explicit stack of open containers rather than recursively, so deeply nested
+ * input is safe.
+ *
+ * @param {string} text - Text that JSON.parse rejected.
+ * @returns {number | null} The offset of the first character that cannot continue
+ *          valid JSON (the text's length if it ends too early), or null if the text
+ *          turns out to be valid.
+ */
+function findSyntaxErrorOffset(text) {
+  // What may come next: "value", "valueOrClose" (just after "["), "key",
+  // "keyOrClose" (just after "{"), "colon", "commaOrClose" or "end".
+  let expected = "value";
+  const open = [];
+  const afterValue = () => (open.length > 0 ? "commaOrClose" : "end");
+  let i = 0;
+
+  // Moves i past the string starting at it and returns true, or stops at the
+  // string's first bad character and returns false.
+  const scanString = () => {
+    for (i++; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        i++;
+        return true;
+      }
+      if (char < " ") return false;
+      if (char === "\\") {
+        i++;
+        if (text[i] === "u") {
+          for (let k = 0; k < 4; k++) {
+            if (!/[0-9a-fA-F]/.test(text[i + 1] ?? "")) {
+              i = Math.min(i + 1, text.length);
+              return false;
+            }
+            i++;
+          }
+        } else if (!'"\\/bfnrt'.includes(text[i] ?? "x")) {
+          return false;
+        }
+      }
+    }
+    return false;
+  };
+
+  for (;;) {
+    while (" \t\n\r".includes(text[i] ?? "x")) i++;
+    if (i >= text.length) return expected === "end" ? null : text.length;
+    const char = text[i];
+
+    if (expected === "end") return i;
+    if (expected === "colon") {
+      if (char !== ":") return i;
+      i++;
+      expected = "value";
+      continue;
+    }
+    if (expected === "commaOrClose") {
+      const container = open[open.length - 1];
+      if (char === ",") {
+        i++;
+        expected = container === "[" ? "value" : "key";
+      } else if (char === (container === "[" ? "]" : "}")) {
+        open.pop();
+        i++;
+        expected = afterValue();
+      } else {
+        return i;
+      }
+      continue;
+    }
+    if (expected === "key" || expected === "keyOrClose") {
+      if (expected === "keyOrClose" && char === "}") {
+        open.pop();
+        i++;
+        expected = afterValue();
+        continue;
+      }
+      if (char !== '"') return i;
+      if (!scanString()) return Math.min(i, text.length);
+      expected = "colon";
+      continue;
+    }
+
+    // A value, or the end of an empty array.
+    if (expected === "valueOrClose" && char === "]") {
+      open.pop();
+      i++;
+      expected = afterValue();
+    } else if (char === "[" || char === "{") {
+      open.push(char);
+      i++;
+      expected = char === "[" ? "valueOrClose" : "keyOrClose";
+    } else if (char === '"') {
+      if (!scanString()) return Math.min(i, text.length);
+      expected = afterValue();
+    } else if (JSON_LITERALS[char]) {
+      const literal = JSON_LITERALS[char];
+      for (let k = 0; k < literal.length; k++) {
+        if (text[i + k] !== literal[k]) return Math.min(i + k, text.length);
+      }
+      i += literal.length;
+      expected = afterValue();
+    } else {
+      JSON_NUMBER.lastIndex = i;
+      const match = JSON_NUMBER.exec(text);
+      if (!match) return i;
+      i += match[0].length;
+      expected = afterValue();
+    }
+  }
+}
+
+/**
+ * Decodes one element written by `encodeValue`.
+ *
+ * @param {*} element - The parsed element (never null; callers handle holes).
+ * @param {{decode: function(*): *}} codec - Turns the stored JSON back into a value.
+ * @param {number} position - Index of the element, for error messages.
+ * @returns {*} The node value.
+ * @throws {TreeFormatError} If the element is neither a primitive nor a {"value": ...} wrapper.
+ */
+function decodeValue(element, codec, position) {
+  if (typeof element === "object") {
+    const keys = Array.isArray(element) ? null : Object.keys(element);
+    if (!keys || keys.length !== 1 || keys[0] !== "value") {
+      throw new TreeFormatError(
+        `Malformed serialized tree at element ${position}: objects must be written as {"value": ...}`,
+        position
+      );
+    }
+    return codec.decode(element.value);
+  }
+  return codec.decode(element);
+}
+
+module.exports = {
+  TreeFormatError,
+  identityCodec,
+  encodeValue,
+  encodeRawValue,
+  parseJson,
+  decodeValue,
+};
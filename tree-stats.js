@@ -0,0 +1,155 @@
+/**
+ * Shape and value statistics for Tree and BinaryTree, gathered in one walk.
+ *
+ * Nodes are read through the same `getSlots` / `getValue` pair as tree-comparison:
+ * a binary node always has two slots, so a lone child leaves an empty slot beside
+ * it; a general node has one slot per child. "k" below is the most slots any node
+ * has (2 for a binary tree), against which a node is full or not.
+ */
+
+/**
+ * @typedef {Object} TreeStats
+ * @property {number} size - Number of nodes.
+ * @property {number} height - Number of nodes on the longest root-to-leaf path (0 if empty).
+ * @property {number} leafCount - Nodes without children.
+ * @property {number} internalCount - Nodes with at least one child.
+ * @property {number[]} levelWidths - Number of nodes at each depth, the root's level first.
+ * @property {number} maxWidth - The largest level width.
+ * @property {number[]} branchingHistogram - branchingHistogram[c] is the number of nodes
+ *           with exactly c children.
+ * @property {boolean} isBalanced - At every node, the heights of the subtrees in its
+ *           slots differ by at most one (an empty slot has height 0).
+ * @property {boolean} isComplete - Every level is filled except possibly the last,
+ *           whose nodes are as far left as possible.
+ * @property {boolean} isFull - Every node has either no children or k of them.
+ * @property {boolean} isPerfect - Full, with every leaf on the last level.
+ * @property {* | null} min - The smallest value (by `<`), or null if empty.
+ * @property {* | null} max - The largest value (by `>`), or null if empty.
+ * @property {*} sum - The values added up with `+` (0 if empty).
+ */
+
+/**
+ * Computes the statistics of a tree with a single breadth-first walk, followed by
+ * a backwards scan over the visit order (children always come after their parent)
+ * to derive subtree heights for the balance check. No recursion is involved.
+ *
+ * @param {object | null} root - The root node.
+ * @param {Object} shape
+ * @param {function(object): Array<[string, object | null]>} shape.getSlots - Lists a node's slots.
+ * @param {function(object): *} shape.getValue - Returns a node's value.
+ * @returns {TreeStats} The statistics.
+ */
+function computeTreeStats(root, { getSlots, getValue }) {
+  const stats = {
+    size: 0,
+    height: 0,
+    leafCount: 0,
+    internalCount: 0,
+    levelWidths: [],
+    maxWidth: 0,
+    branchingHistogram: [],
+    isBalanced: true,
+    isComplete: true,
+    isFull: true,
+    isPerfect: true,
+    min: null,
+    max: null,
+    sum: 0,
+  };
+  if (!root) return stats;
+
+  // Per node, in visit order.
+  const order = [root];
+  const parents = [-1];
+  const depths = [1];
+  const childCounts = [];
+  const slotCounts = [];
+  // True where a child follows an empty slot, so the children are not packed left.
+  const gaps = [];
+  let k = 0;
+
+  for (let id = 0; id < order.length; id++) {
+    const node = order[id];
+    const depth = depths[id];
+    stats.levelWidths[depth - 1] = (stats.levelWidths[depth - 1] ?? 0) + 1;
+
+    const value = getValue(node);
+    if (id === 0) {
+      stats.min = value;
+      stats.max = value;
+      stats.sum = value;
+    } else {
+      if (value < stats.min) stats.min = value;
+      if (value > stats.max) stats.max = value;
+      stats.sum += value;
+    }
+
+    const slots = getSlots(node);
+    let children = 0;
+    let sawEmpty = false;
+    let gap = false;
+    for (const [, child] of slots) {
+      if (!child) {
+        sawEmpty = true;
+        continue;
+      }
+      if (sawEmpty) gap = true;
+      children++;
+      order.push(child);
+      parents.push(id);
+      depths.push(depth + 1);
+    }
+    childCounts.push(children);
+    slotCounts.push(slots.length);
+    gaps.push(gap);
+    k = Math.max(k, slots.length);
+    stats.branchingHistogram[children] =
+      (stats.branchingHistogram[children] ?? 0) + 1;
+  }
+
+  stats.size = order.length;
+  stats.height = stats.levelWidths.length;
+  for (const width of stats.levelWidths) {
+    stats.maxWidth = Math.max(stats.maxWidth, width);
+  }
+  stats.leafCount = stats.branchingHistogram[0] ?? 0;
+  stats.internalCount = stats.size - stats.leafCount;
+  for (let c = 0; c < stats.branchingHistogram.length; c++) {
+    stats.branchingHistogram[c] ??= 0;
+  }
+
+  // Complete: in visit order, nodes with all k children, then at most one node
+  // with some children packed left, then leaves only.
+  let filling = true;
+  for (let id = 0; id < order.length; id++) {
+    const children = childCounts[id];
+    if (gaps[id] || (!filling && children > 0)) {
+      stats.isComplete = false;
+      break;
+    }
+    if (children < k) filling = false;
+  }
+
+  // Heights, bottom-up: when a node is reached, all its children have been.
+  const tallestChild = new Array(order.length).fill(0);
+  const shortestChild = slotCounts.map((slots, id) =>
+    childCounts[id] < slots ? 0 : Infinity
+  );
+  for (let id = order.length - 1; id >= 0; id--) {
+    const children = childCounts[id];
+    if (children > 0 && children < k) stats.isFull = false;
+    if (children === 0 && depths[id] !== stats.height) stats.isPerfect = false;
+    if (tallestChild[id] - shortestChild[id] > 1) stats.isBalanced = false;
+
+    const height = tallestChild[id] + 1;
+    const parent = parents[id];
+    if (parent !== -1) {
+      tallestChild[parent] = Math.max(tallestChild[parent], height);
+      shortestChild[parent] = Math.min(shortestChild[parent], height);
+    }
+  }
+  stats.isPerfect &&= stats.isFull;
+  return stats;
+}
+
+module.exports = { computeTreeStats };
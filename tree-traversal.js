@@ -0,0 +1,167 @@
+const { Queue } = require("./queue");
+
+/**
+ * Generic traversal generators shared by Tree and BinaryTree.
+ *
+ * Each generator takes a root node and a `getChildren(node)` function returning the
+ * node's children in left-to-right order, so the same walks serve both node shapes.
+ * Every step yields a Visit describing where the node sits in the tree.
+ * All walks are iterative, so deep trees do not grow the call stack.
+ */
+
+/**
+ * Describes one node reached during a traversal.
+ * The root has depth 1 and parent null.
+ */
+class Visit {
+  /** The visit of the parent node, used to rebuild the path on demand. */
+  #up;
+
+  /**
+   * @param {object} node - The node being visited.
+   * @param {number} depth - The node's depth (the root is at depth 1).
+   * @param {Visit | null} up - The visit of the node's parent, or null for the root.
+   */
+  constructor(node, depth, up) {
+    this.node = node;
+    this.depth = depth;
+    this.parent = up ? up.node : null;
+    this.#up = up;
+  }
+
+  /**
+   * The nodes from the root down to and including this node.
+   * Built on each access, so walks that never read it pay nothing for it.
+   * @returns {object[]} A fresh array the caller may keep or modify.
+   */
+  get path() {
+    const path = [];
+    for (let visit = this; visit; visit = visit.#up) {
+      path.push(visit.node);
+    }
+    return path.reverse();
+  }
+}
+
+/**
+ * Returns the children of a general tree node (TreeNode).
+ * @param {object} node - A node with a `children` array.
+ * @returns {object[]} The node's children.
+ */
+const naryChildren = (node) => node.children;
+
+/**
+ * Returns the children of a binary tree node (BinaryTreeNode), skipping missing ones.
+ * @param {object} node - A node with `left` and `right` references.
+ * @returns {object[]} The existing children, left first.
+ */
+const binaryChildren = (node) => {
+  const children = [];
+  if (node.left) children.push(node.left);
+  if (node.right) children.push(node.right);
+  return children;
+};
+
+/**
+ * Depth-first pre-order walk: a node is yielded before any of its descendants.
+ * @param {object | null} root - The root node.
+ * @param {function(object): object[]} getChildren - Returns a node's children in order.
+ * @yields {Visit}
+ */
+function* preorder(root, getChildren) {
+  if (!root) return;
+  const stack = [new Visit(root, 1, null)];
+
+  while (stack.length > 0) {
+    const visit = stack.pop();
+    yield visit;
+    const children = getChildren(visit.node);
+    // Push in reverse so the leftmost child is popped first.
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(new Visit(children[i], visit.depth + 1, visit));
+    }
+  }
+}
+
+/**
+ * Depth-first post-order walk: a node is yielded after all of its descendants.
+ * @param {object | null} root - The root node.
+ * @param {function(object): object[]} getChildren - Returns a node's children in order.
+ * @yields {Visit}
+ */
+function* postorder(root, getChildren) {
+  if (!root) return;
+  const stack = [{ visit: new Visit(root, 1, null), expanded: false }];
+
+  while (stack.length > 0) {
+    const current = stack[stack.length - 1];
+    if (current.expanded) {
+      stack.pop();
+      yield current.visit;
+      continue;
+    }
+    current.expanded = true;
+    const { visit } = current;
+    const children = getChildren(visit.node);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({
+        visit: new Visit(children[i], visit.depth + 1, visit),
+        expanded: false,
+      });
+    }
+  }
+}
+
+/**
+ * Breadth-first walk: nodes are yielded level by level, left to right.
+ * @param {object | null} root - The root node.
+ * @param {function(object): object[]} getChildren - Returns a node's children in order.
+ * @yields {Visit}
+ */
+function* levelOrder(root, getChildren) {
+  if (!root) return;
+  const queue = new Queue([new Visit(root, 1, null)]);
+
+  while (queue.size > 0) {
+    const visit = queue.dequeue();
+    yield visit;
+    for (const child of getChildren(visit.node)) {
+      queue.enqueue(new Visit(child, visit.depth + 1, visit));
+    }
+  }
+}
+
+/**
+ * Depth-first in-order walk of a binary tree: left subtree, node, right subtree.
+ * @param {object | null} root - The root BinaryTreeNode.
+ * @yields {Visit}
+ */
+function* inorder(root) {
+  const stack = [];
+  let visit = root ? new Visit(root, 1, null) : null;
+
+  while (visit || stack.length > 0) {
+    // Descend as far left as possible, remembering the way back up.
+    while (visit) {
+      stack.push(visit);
+      visit = visit.node.left
+        ? new Visit(visit.node.left, visit.depth + 1, visit)
+        : null;
+    }
+    const current = stack.pop();
+    yield current;
+    visit = current.node.right
+      ? new Visit(current.node.right, current.depth + 1, current)
+      : null;
+  }
+}
+
+module.exports = {
+  Visit,
+  naryChildren,
+  binaryChildren,
+  preorder,
+  postorder,
+  levelOrder,
+  inorder,
+};
@@ -44,87 +44,367 @@ function drawLineOnCanvas(x1, y1, x2, y2, char, canvas, nodeTextCells) {
   }
 }
 
+/** Named sets of connector characters for the `connectors` option. */
+const CONNECTOR_STYLES = {
+  ascii: { vertical: "|", left: "/", right: "\\", horizontal: "_" },
+  unicode: {
+    vertical: "\u2502",
+    left: "\u2571",
+    right: "\u2572",
+    horizontal: "\u2500",
+  },
+};
+
+/**
+ * @typedef {Object} Connectors
+ * @property {string} vertical - Joins a parent to a child straight below it.
+ * @property {string} left - Joins a parent to a child down to its left.
+ * @property {string} right - Joins a parent to a child down to its right.
+ * @property {string} horizontal - Runs from a parent's label towards a distant child
+ *           (tidy layout only).
+ */
+
+/** The layouts getVisualTreeString can draw with. */
+const LAYOUTS = ["classic", "tidy"];
+
+/**
+ * Resolves the `connectors` option into the characters used to draw edges.
+ * @param {string | Partial<Connectors>} connectors - A style name from CONNECTOR_STYLES,
+ *        or characters overriding the "ascii" ones.
+ * @returns {Connectors} The characters.
+ * @throws {TypeError} If the style is unknown or a connector is not a single character.
+ */
+function resolveConnectors(connectors) {
+  if (typeof connectors === "string") {
+    return pickStyle(CONNECTOR_STYLES, connectors);
+  }
+  const resolved = { ...CONNECTOR_STYLES.ascii, ...connectors };
+  for (const [name, char] of Object.entries(resolved)) {
+    if (typeof char !== "string" || char.length !== 1) {
+      throw new TypeError(
+        `The ${name} connector must be a single character, got ${char}`
+      );
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Looks up a named connector style.
+ * @param {Object<string, Object>} styles - The styles to choose from.
+ * @param {string} name - The style's name.
+ * @returns {Object} The style's characters.
+ * @throws {TypeError} If there is no such style.
+ */
+function pickStyle(styles, name) {
+  if (!Object.hasOwn(styles, name)) {
+    throw new TypeError(`Unknown connector style: ${name}`);
+  }
+  return styles[name];
+}
+
+/** ANSI foreground color codes, by the names accepted for highlights. */
+const ANSI_COLORS = {
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+};
+
+/** Colors given to highlight groups that do not name one, in order; the exporters use them too. */
+const GROUP_COLORS = ["cyan", "magenta", "green", "blue", "red"];
+
+/** Matches the ANSI color codes added by the color mode. */
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Checks whether an output stream should get colors: it must be a terminal, and the
+ * NO_COLOR environment variable (https://no-color.org) must be unset or empty.
+ *
+ * @param {Object} [stream=process.stdout] - The stream the drawing is written to.
+ * @param {Object<string, string>} [env=process.env] - The environment variables.
+ * @returns {boolean} True if colors should be used.
+ */
+function supportsColor(stream = process.stdout, env = process.env) {
+  return Boolean(stream?.isTTY) && !env.NO_COLOR;
+}
+
+/**
+ * Removes ANSI color codes, e.g. to compare colored output with a plain snapshot.
+ * @param {string} text - Text that may contain color codes.
+ * @returns {string} The text without them.
+ */
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, "");
+}
+
+/**
+ * @typedef {Object} Labeler
+ * @property {function(object): string} textOf - Returns the text drawn for a node: its
+ *           label, cut to maxLabelWidth, followed by its markers.
+ * @property {function(object, string): string} paintLabel - Colors a node's text if the
+ *           node is highlighted and color is on; otherwise returns it unchanged.
+ * @property {function(object, object, string): string} paintEdge - Colors the characters
+ *           of an edge if both its ends are in the same highlight set and color is on.
+ */
+
+/**
+ * Creates the functions that label and color nodes, shared by all the renderers.
+ *
+ * Without color, highlighted nodes get markers: "(*)" for `highlightedNodes` and one
+ * per highlight group. With color, they are colored instead, so highlighting does
+ * not change the drawing's layout, and so are the edges between two nodes of the
+ * same highlight set, which shows paths such as the one found by maxSum. A node in
+ * several sets takes the color of the first; `highlightedNodes` come first, in
+ * yellow. `markers` are always drawn.
+ *
+ * @param {Set<object>} highlightedNodes - Nodes highlighted by the tree method.
+ * @param {object} options - The renderer's options; see getVisualTreeString for
+ *        formatLabel, markers, highlightGroups, maxLabelWidth and color.
+ * @returns {Labeler} The labeling functions.
+ * @throws {RangeError} If maxLabelWidth is not a positive integer.
+ * @throws {TypeError} If the color option or a group's color is not valid.
+ */
+function createLabeler(
+  highlightedNodes,
+  {
+    formatLabel,
+    markers = new Map(),
+    highlightGroups = {},
+    maxLabelWidth = Infinity,
+    color = false,
+  }
+) {
+  if (
+    maxLabelWidth !== Infinity &&
+    !(Number.isInteger(maxLabelWidth) && maxLabelWidth > 0)
+  ) {
+    throw new RangeError(
+      `maxLabelWidth must be a positive integer, got ${maxLabelWidth}`
+    );
+  }
+  if (color !== true && color !== false && color !== "auto") {
+    throw new TypeError(`color must be true, false or "auto", got ${color}`);
+  }
+  const colored = color === "auto" ? supportsColor() : color;
+
+  const highlights = [
+    { nodes: highlightedNodes, marker: "*", color: "yellow" },
+    ...Object.entries(highlightGroups).map(([name, group], index) => ({
+      nodes: new Set(group.nodes),
+      marker: group.marker ?? name,
+      color: group.color ?? GROUP_COLORS[index % GROUP_COLORS.length],
+    })),
+  ];
+  for (const highlight of highlights) {
+    if (!Object.hasOwn(ANSI_COLORS, highlight.color)) {
+      throw new TypeError(`Unknown color: ${highlight.color}`);
+    }
+  }
+  const paint = (text, { color: name }) =>
+    `\x1b[${ANSI_COLORS[name]}m${text}\x1b[39m`;
+
+  return {
+    textOf(node) {
+      let nodeDisplayVal = node.value !== undefined ? node.value : node.val;
+      if (formatLabel) {
+        nodeDisplayVal = formatLabel(node);
+      } else if (nodeDisplayVal === undefined) {
+        nodeDisplayVal = "[?]";
+      }
+      let display = String(nodeDisplayVal);
+      if (display.length > maxLabelWidth) {
+        display = `${display.slice(0, maxLabelWidth - 1)}\u2026`;
+      }
+      if (markers.has(node)) display += ` (${markers.get(node)})`;
+      if (!colored) {
+        for (const { nodes, marker } of highlights) {
+          if (nodes.has(node)) display += ` (${marker})`;
+        }
+      }
+      return display;
+    },
+    paintLabel(node, text) {
+      const highlight =
+        colored && highlights.find(({ nodes }) => nodes.has(node));
+      return highlight ? paint(text, highlight) : text;
+    },
+    paintEdge(parent, child, text) {
+      const highlight =
+        colored &&
+        highlights.find(({ nodes }) => nodes.has(parent) && nodes.has(child));
+      return highlight ? paint(text, highlight) : text;
+    },
+  };
+}
+
+/**
+ * Writes a node's text into a row of a canvas, one character per cell, skipping cells
+ * off the canvas. Colored text goes into the first cell whole, leaving the others
+ * empty, so the row keeps its width once joined.
+ *
+ * @param {string[]} row - The canvas row.
+ * @param {number} left - The column of the text's first character.
+ * @param {string} text - The node's text.
+ * @param {string} painted - The same text, possibly colored.
+ */
+function writeLabel(row, left, text, painted) {
+  for (let k = 0; k < text.length; k++) {
+    if (left + k < 0 || left + k >= row.length) continue;
+    if (painted === text) row[left + k] = text[k];
+    else row[left + k] = k === 0 ? painted : "";
+  }
+}
+
+/**
+ * Creates the function that wraps a drawing in the "--- logContext ---" header and
+ * the footer line, or leaves it bare.
+ *
+ * @param {string} logContext - The header's text.
+ * @param {boolean} showHeader - False to leave out the header and footer.
+ * @returns {function(string[]): string} Joins the lines of a drawing into the output.
+ */
+function createFrame(logContext, showHeader) {
+  const header = `\n--- ${logContext} ---`;
+  const footer = "------------------------------------------";
+  return (lines) =>
+    (showHeader ? [header, ...lines, footer] : lines).join("\n");
+}
+
 /**
  * Generates a string representation of the visual structure of the tree.
  * @param {object | null} rootNode - The root node of the tree (can be BinaryTreeNode or TreeNode).
  * @param {string} logContext - Description of when/why the log is occurring.
- * @param {Set<object>} [highlightedNodes=new Set()] - Optional set of nodes to highlight.
+ * @param {Set<object>} [highlightedNodes=new Set()] - Optional set of nodes to highlight;
+ *        drawn as "5 (*)", or in yellow with color on.
+ * @param {object} [options] - Optional rendering options.
+ * @param {function(object): string} [options.formatLabel] - Returns the label drawn for a node.
+ *        Defaults to the node's value (or val).
+ * @param {Map<object, string>} [options.markers] - Short markers drawn after some nodes'
+ *        labels, e.g. "+" renders as "5 (+)".
+ * @param {Object<string, {nodes: Iterable<object>, marker?: string, color?: string}>} [options.highlightGroups]
+ *        - Further named groups of nodes to highlight, each drawn with its own marker
+ *        (the group's name by default), e.g. { path: { nodes, marker: "p" } } renders
+ *        "5 (p)". A node in several groups gets every marker, in the groups' order.
+ *        With color on, each group is drawn in its color instead: red, green, yellow,
+ *        blue, magenta or cyan. By default the groups take cyan, magenta, green, blue
+ *        and red, in order.
+ * @param {boolean} [options.showHeader=true] - False to leave out the "--- logContext ---"
+ *        header and the footer line, e.g. for snapshots.
+ * @param {number} [options.maxLabelWidth=Infinity] - Longer labels are cut to this many
+ *        characters, the last being an ellipsis. Markers are not counted.
+ * @param {string | Partial<Connectors>} [options.connectors="ascii"] - Characters for the
+ *        edges: "ascii" (| / \ _), "unicode" (│ ╱ ╲ ─), or an object overriding some
+ *        of the ascii ones.
+ * @param {"classic" | "tidy"} [options.layout="classic"] - "classic" spreads children by
+ *        powers of two with long slanted edges; "tidy" packs subtrees as closely as
+ *        their labels allow, two text rows per level, so skewed or wide-labelled
+ *        trees stay compact.
+ * @param {boolean | "auto"} [options.color=false] - True to color highlighted nodes and
+ *        the edges between them with ANSI codes instead of marking them; "auto" to
+ *        do so only when `supportsColor()` (stdout is a terminal and NO_COLOR is
+ *        unset). Remove the codes with `stripAnsi`.
  * @returns {string} A multi-line string representing the tree.
+ * @throws {RangeError} If maxLabelWidth is not a positive integer.
+ * @throws {TypeError} If the connectors, the layout or the colors are not valid.
  */
 function getVisualTreeString(
   rootNode,
   logContext = "Current tree state",
-  highlightedNodes = new Set()
+  highlightedNodes = new Set(),
+  options = {}
 ) {
-  const header = `\n--- ${logContext} ---`;
-  const footer = "------------------------------------------";
+  const {
+    showHeader = true,
+    connectors = "ascii",
+    layout = "classic",
+  } = options;
+  if (!LAYOUTS.includes(layout)) {
+    throw new TypeError(`Unknown layout: ${layout}`);
+  }
+  const labeler = createLabeler(highlightedNodes, options);
+  const connectorChars = resolveConnectors(connectors);
+  const frame = createFrame(logContext, showHeader);
 
   if (!rootNode) {
-    return [header, "<empty tree>", footer].join("\n");
+    return frame(["<empty tree>"]);
   }
 
-  const getDisplayValue = (node) => {
-    let nodeDisplayVal = node.value !== undefined ? node.value : node.val;
-    if (nodeDisplayVal === undefined) {
-      nodeDisplayVal = "[?]";
-    }
-    let display = String(nodeDisplayVal);
-    if (highlightedNodes.has(node)) {
-      display += " (*)";
-    }
-    return display;
-  };
+  const lines =
+    layout === "tidy"
+      ? drawTidyLayout(rootNode, labeler, connectorChars)
+      : drawClassicLayout(rootNode, labeler, connectorChars);
+  return frame(lines);
+}
 
+/**
+ * The widest half-span the classic layout gives a node's children: 2^depth for trees
+ * up to 12 levels deep. Deeper trees would need more columns and rows than can be
+ * allocated (and past 1023 levels, 2^depth is Infinity), so their offsets are capped.
+ */
+const CLASSIC_MAX_OFFSET = 4096;
+
+/**
+ * Draws a tree with the classic layout: the root's children are spread 2^depth columns
+ * to either side of it, the offset halving at every level below, and each child is
+ * joined to its parent by a slanted line that runs all the way down, so the drawing
+ * is roomy but can grow very wide.
+ *
+ * @param {object} rootNode - The root node.
+ * @param {Labeler} labeler - Labels and colors the nodes and edges.
+ * @param {Connectors} connectorChars - Edge characters.
+ * @returns {string[]} The lines of the drawing.
+ */
+function drawClassicLayout(rootNode, labeler, connectorChars) {
+  const { textOf: getDisplayValue, paintLabel, paintEdge } = labeler;
   const nodePositions = new Map();
   let maxEncounteredY = 0;
   // This factor times the horizontal offset gives the number of rows for slashes.
   const VERTICAL_SLASH_ROWS_PER_HORIZONTAL_OFFSET_UNIT = 1;
 
+  // Measured level by level rather than recursively, so deep trees are safe.
   let actualFullTreeDepth = 0;
-  function calculateActualFullTreeDepth(node, level) {
-    if (!node) return;
-    actualFullTreeDepth = Math.max(actualFullTreeDepth, level);
-
-    // Check for binary tree children first
-    if (node.left || node.right) {
-      calculateActualFullTreeDepth(node.left, level + 1);
-      calculateActualFullTreeDepth(node.right, level + 1);
-    } else if (node.children && Array.isArray(node.children)) {
-      // Then check for general tree children
-      for (const child of node.children) {
-        calculateActualFullTreeDepth(child, level + 1);
-      }
-    }
+  let level = childNodesOf(rootNode);
+  while (level.length > 0) {
+    actualFullTreeDepth++;
+    level = level.flatMap(childNodesOf);
   }
-  calculateActualFullTreeDepth(rootNode, 0);
 
   // initialXOffset is the "half-span" available for children at the current level.
-  // It's based on the full depth to ensure enough space for the widest part of the tree.
-  const initialXOffset =
-    actualFullTreeDepth > 0 ? Math.pow(2, actualFullTreeDepth - 1) * 2 : 1;
-
-  function calculatePositionsRecursive(
-    parentNode,
-    currentDepth,
-    parentX,
-    parentY,
-    xOffsetAvailable // Half-span available for placing children of parentNode
-  ) {
-    let childrenToLayout = [];
-    // Prioritize binary tree structure if present
-    if (parentNode.left || parentNode.right) {
-      if (parentNode.left) childrenToLayout.push(parentNode.left);
-      if (parentNode.right) childrenToLayout.push(parentNode.right);
-    } else if (parentNode.children && Array.isArray(parentNode.children)) {
-      // Fallback to general tree structure
-      childrenToLayout = parentNode.children;
-    }
+  // It's based on the full depth to ensure enough space for the widest part of the tree,
+  // but capped so that very deep trees neither overflow 2^depth nor outgrow memory.
+  const initialXOffset = Math.min(
+    actualFullTreeDepth > 0 ? Math.pow(2, actualFullTreeDepth - 1) * 2 : 1,
+    CLASSIC_MAX_OFFSET
+  );
 
-    const numChildrenToLayout = childrenToLayout.length;
-    if (numChildrenToLayout === 0) return;
+  const rootText = getDisplayValue(rootNode);
+  nodePositions.set(rootNode, {
+    text: rootText,
+    x: 0,
+    y: 0,
+    width: rootText.length,
+  });
+  maxEncounteredY = 0;
 
-    // The offset for the *children of these children* will be halved.
-    const xOffsetForNextLevel = Math.max(1, Math.round(xOffsetAvailable / 2));
+  // Places the nodes top-down in pre-order. Each entry carries a placed node's
+  // coordinates and the half-span (xOffsetAvailable) available for its children.
+  const layoutStack = [
+    { node: rootNode, x: 0, y: 0, xOffsetAvailable: initialXOffset },
+  ];
+  while (layoutStack.length > 0) {
+    const {
+      node: parentNode,
+      x: parentX,
+      y: parentY,
+      xOffsetAvailable,
+    } = layoutStack.pop();
+    const childrenToLayout = childNodesOf(parentNode);
+    const numChildrenToLayout = childrenToLayout.length;
+    if (numChildrenToLayout === 0) continue;
+    const isBinary = Boolean(parentNode.left || parentNode.right);
 
     // Vertical distance to children
     const numSlashRowsForChildren = Math.max(
@@ -135,40 +415,20 @@ function getVisualTreeString(
     );
     const childrenY = parentY + numSlashRowsForChildren + 1;
 
-    for (let i = 0; i < numChildrenToLayout; i++) {
-      const childNode = childrenToLayout[i];
+    const placed = childrenToLayout.map((childNode, i) => {
       let childX;
-      let currentChildXOffsetForItsChildren = Math.max(
-        1,
-        Math.round(xOffsetAvailable / 2)
-      );
-
-      if (parentNode.left || parentNode.right) {
-        // Binary layout
-        if (parentNode.left && parentNode.right) {
-          // Two children
-          if (childNode === parentNode.left)
-            childX = parentX - xOffsetAvailable;
-          else childX = parentX + xOffsetAvailable;
-          // currentChildXOffsetForItsChildren remains xOffsetAvailable / 2
-        } else {
-          // Single child
-          childX = parentX; // Place single child directly under parent
-          // For a single child, its children might not need the full halved original offset.
-          // This could be xOffsetAvailable / 2, or even smaller if we want to compress single branches.
-          // Let's keep it xOffsetAvailable / 2 for now to see the effect of centering.
-          // currentChildXOffsetForItsChildren = Math.max(1, Math.round(xOffsetAvailable / 2));
-        }
+      if (numChildrenToLayout === 1) {
+        childX = parentX; // Place a single child directly under its parent.
+      } else if (isBinary) {
+        childX =
+          childNode === parentNode.left
+            ? parentX - xOffsetAvailable
+            : parentX + xOffsetAvailable;
       } else {
-        // General n-ary layout
-        if (numChildrenToLayout === 1) {
-          childX = parentX;
-        } else {
-          childX =
-            parentX +
-            ((i / (numChildrenToLayout - 1)) * 2 - 1) * xOffsetAvailable;
-        }
-        // currentChildXOffsetForItsChildren remains xOffsetAvailable / 2
+        // General n-ary layout: spread the children evenly across the span.
+        childX =
+          parentX +
+          ((i / (numChildrenToLayout - 1)) * 2 - 1) * xOffsetAvailable;
       }
 
       const childText = getDisplayValue(childNode);
@@ -179,27 +439,18 @@ function getVisualTreeString(
         width: childText.length,
       });
       maxEncounteredY = Math.max(maxEncounteredY, childrenY);
-      calculatePositionsRecursive(
-        childNode,
-        currentDepth + 1,
-        Math.round(childX),
-        childrenY,
-        currentChildXOffsetForItsChildren // Use this adjusted offset
-      );
-    }
+      return {
+        node: childNode,
+        x: Math.round(childX),
+        y: childrenY,
+        // The offset for the *children of these children* is halved.
+        xOffsetAvailable: Math.max(1, Math.round(xOffsetAvailable / 2)),
+      };
+    });
+    // Pushed in reverse so the leftmost child's subtree is laid out first.
+    for (let i = placed.length - 1; i >= 0; i--) layoutStack.push(placed[i]);
   }
 
-  const rootText = getDisplayValue(rootNode);
-  nodePositions.set(rootNode, {
-    text: rootText,
-    x: 0,
-    y: 0,
-    width: rootText.length,
-  });
-  maxEncounteredY = 0;
-
-  calculatePositionsRecursive(rootNode, 0, 0, 0, initialXOffset);
-
   let minX = Infinity;
   let maxX = -Infinity;
 
@@ -212,7 +463,7 @@ function getVisualTreeString(
     });
   }
   if (nodePositions.size === 0) {
-    return [header, "<error: no node positions calculated>", footer].join("\n");
+    return ["<error: no node positions calculated>"];
   }
 
   nodePositions.forEach((pos) => {
@@ -288,18 +539,24 @@ function getVisualTreeString(
               Px < canvas[0].length
             ) {
               if (!nodeTextCells.has(`${Px},${y_coord}`)) {
-                canvas[y_coord][Px] = "|";
+                canvas[y_coord][Px] = paintEdge(
+                  parentNode,
+                  childNode,
+                  connectorChars.vertical
+                );
               }
             }
           }
         } else {
           // Slanted line
-          let lineStartX = Px;
-          const slashChar = Cx < Px ? "/" : "\\";
-          // Adjust start X for slanted lines to originate from side of parent or center
-          if (slashChar === "/") lineStartX = Math.max(0, Px - 1);
-          else if (slashChar === "\\")
-            lineStartX = Math.min(canvasWidth - 1, Px + 1);
+          const goesLeft = Cx < Px;
+          const slashChar = goesLeft
+            ? connectorChars.left
+            : connectorChars.right;
+          // Start slanted lines from the side of the parent, not its center.
+          const lineStartX = goesLeft
+            ? Math.max(0, Px - 1)
+            : Math.min(canvasWidth - 1, Px + 1);
 
           // Ensure line doesn't start/end inside node text
           // For simplicity, we rely on nodeTextCells check in drawLineOnCanvas
@@ -310,7 +567,7 @@ function getVisualTreeString(
               lineStartY,
               Cx, // End X at child's center
               lineEndY,
-              slashChar,
+              paintEdge(parentNode, childNode, slashChar),
               canvas,
               nodeTextCells
             );
@@ -321,19 +578,15 @@ function getVisualTreeString(
   });
 
   // Draw node text on top of lines
-  nodePositions.forEach((pos) => {
+  nodePositions.forEach((pos, node) => {
     const textStartX = pos.x - Math.floor(pos.width / 2);
-    for (let k = 0; k < pos.text.length; k++) {
-      const currentX = textStartX + k;
-      const currentY = pos.y;
-      if (
-        currentX >= 0 &&
-        currentX < canvasWidth &&
-        currentY >= 0 &&
-        currentY < canvasHeight
-      ) {
-        canvas[currentY][currentX] = pos.text[k];
-      }
+    if (pos.y >= 0 && pos.y < canvasHeight) {
+      writeLabel(
+        canvas[pos.y],
+        textStartX,
+        pos.text,
+        paintLabel(node, pos.text)
+      );
     }
   });
 
@@ -346,16 +599,488 @@ function getVisualTreeString(
   if (filteredTreeLines.length === 0 && nodePositions.size > 0) {
     if (canvasHeight > 0 && canvas[0]) {
       // if root was drawn
-      return [header, canvas[0].join("").trimEnd(), footer].join("\n");
+      return [canvas[0].join("").trimEnd()];
     }
   }
   if (filteredTreeLines.length === 0) {
-    if (!rootNode) return [header, "<empty tree>", footer].join("\n");
+    if (!rootNode) return ["<empty tree>"];
     // If rootNode exists but no positions, it's an issue, but visualizer should show something.
-    return [header, getDisplayValue(rootNode), footer].join("\n");
+    return [getDisplayValue(rootNode)];
+  }
+
+  return filteredTreeLines;
+}
+
+/** Blank columns the tidy layout keeps between neighbouring subtrees. */
+const TIDY_GAP = 3;
+
+/**
+ * Draws a tree with a tidy layout in the style of Reingold and Tilford: each subtree
+ * is drawn as narrow as its labels allow, and siblings are pushed apart just enough
+ * that their subtrees keep TIDY_GAP blank columns between them on every level. A
+ * parent is centered over its outermost children and joined to each by a slash one
+ * column in from the child, led up to by a horizontal run from the parent's label
+ * when the child is further away. A single child goes straight below.
+ *
+ * Each subtree is summarized by its contour: the leftmost and rightmost column it
+ * takes up on each level. Contours are stored deepest level first, so a parent adds
+ * its own level with a push, and siblings are merged into the tallest of them, which
+ * keeps the whole layout linear in the number of nodes even for very deep trees.
+ *
+ * @param {object} rootNode - The root node.
+ * @param {Labeler} labeler - Labels and colors the nodes and edges.
+ * @param {Connectors} connectorChars - Edge characters.
+ * @returns {string[]} The lines of the drawing.
+ */
+function drawTidyLayout(rootNode, labeler, connectorChars) {
+  const { textOf: getDisplayValue, paintLabel, paintEdge } = labeler;
+  const preorderNodes = listPreorder(rootNode);
+  const labels = new Map();
+  // Each node's column relative to its parent's.
+  const offsets = new Map();
+  // Each pending subtree's contour: { left, right, shift }, where shift is added to
+  // the stored columns to make them relative to the subtree's root.
+  const contours = new Map();
+  const leftEdge = (text) => -Math.floor(text.length / 2);
+  // Folds a shorter contour into a taller one, aligning their top levels.
+  const mergeInto = (target, source) => {
+    const delta = source.shift - target.shift;
+    for (let j = 1; j <= source.left.length; j++) {
+      const t = target.left.length - j;
+      const s = source.left.length - j;
+      target.left[t] = Math.min(target.left[t], source.left[s] + delta);
+      target.right[t] = Math.max(target.right[t], source.right[s] + delta);
+    }
+  };
+
+  // Bottom-up: children are placed relative to the first of them, then the parent
+  // is centered over them.
+  for (let i = preorderNodes.length - 1; i >= 0; i--) {
+    const node = preorderNodes[i];
+    const text = getDisplayValue(node);
+    labels.set(node, text);
+    const labelLeft = leftEdge(text);
+    const labelRight = labelLeft + text.length - 1;
+    const children = childNodesOf(node);
+    if (children.length === 0) {
+      contours.set(node, { left: [labelLeft], right: [labelRight], shift: 0 });
+      continue;
+    }
+
+    let contour = contours.get(children[0]);
+    const columns = [0];
+    for (let c = 1; c < children.length; c++) {
+      const next = contours.get(children[c]);
+      const shared = Math.min(contour.left.length, next.left.length);
+      let column = -Infinity;
+      for (let j = 1; j <= shared; j++) {
+        const right = contour.right[contour.left.length - j] + contour.shift;
+        const left = next.left[next.left.length - j] + next.shift;
+        column = Math.max(column, right - left + TIDY_GAP + 1);
+      }
+      columns.push(column);
+      next.shift += column;
+      if (next.left.length > contour.left.length) {
+        mergeInto(next, contour);
+        contour = next;
+      } else {
+        mergeInto(contour, next);
+      }
+    }
+
+    const center = Math.floor((columns[0] + columns[columns.length - 1]) / 2);
+    children.forEach((child, c) => {
+      offsets.set(child, columns[c] - center);
+      contours.delete(child);
+    });
+    contour.shift -= center;
+    // The parent's level spans its label and any runs out to its children.
+    const first = columns[0] - center;
+    const last = columns[columns.length - 1] - center;
+    contour.left.push(Math.min(labelLeft, first + 2) - contour.shift);
+    contour.right.push(Math.max(labelRight, last - 2) - contour.shift);
+    contours.set(node, contour);
+  }
+
+  // Top-down: absolute columns (the root at 0) and levels.
+  const columns = new Map([[rootNode, 0]]);
+  const levels = new Map([[rootNode, 0]]);
+  let minX = 0;
+  let maxX = 0;
+  let height = 0;
+  for (const node of preorderNodes) {
+    const x = columns.get(node);
+    const labelLeft = x + leftEdge(labels.get(node));
+    minX = Math.min(minX, labelLeft);
+    maxX = Math.max(maxX, labelLeft + labels.get(node).length - 1);
+    height = Math.max(height, levels.get(node) + 1);
+    for (const child of childNodesOf(node)) {
+      columns.set(child, x + offsets.get(child));
+      levels.set(child, levels.get(node) + 1);
+    }
+  }
+
+  // Two rows per level: the labels, then the connectors to the next level.
+  const leftPadding = 1;
+  const canvas = Array.from({ length: 2 * height - 1 }, () =>
+    Array(maxX - minX + 1 + leftPadding).fill(" ")
+  );
+  const columnOf = (node) => columns.get(node) - minX + leftPadding;
+  for (const node of preorderNodes) {
+    const text = labels.get(node);
+    const x = columnOf(node);
+    const row = 2 * levels.get(node);
+    const labelLeft = x + leftEdge(text);
+    const labelRight = labelLeft + text.length - 1;
+    writeLabel(canvas[row], labelLeft, text, paintLabel(node, text));
+    for (const child of childNodesOf(node)) {
+      const childX = columnOf(child);
+      let connector = connectorChars.vertical;
+      let connectorX = childX;
+      if (childX < x)
+        [connector, connectorX] = [connectorChars.left, childX + 1];
+      if (childX > x)
+        [connector, connectorX] = [connectorChars.right, childX - 1];
+      const horizontal = paintEdge(node, child, connectorChars.horizontal);
+      canvas[row + 1][connectorX] = paintEdge(node, child, connector);
+      for (let k = connectorX + 1; k < labelLeft; k++) {
+        canvas[row][k] = horizontal;
+      }
+      for (let k = labelRight + 1; k < connectorX; k++) {
+        canvas[row][k] = horizontal;
+      }
+    }
+  }
+  return canvas.map((row) => row.join("").trimEnd());
+}
+
+/**
+ * Levels an outline or sideways view indents. Deeper lines would make the output grow
+ * with the square of the depth, so they start with their depth in brackets instead of
+ * their ancestors' columns, as in `[40] └── 7`.
+ */
+const MAX_INDENT_DEPTH = 32;
+
+/**
+ * Starts a line of an outline or sideways view.
+ * @param {string} prefix - The columns drawn for the node's ancestors.
+ * @param {number} depth - The node's depth; the root is at depth 1.
+ * @returns {string} The prefix, or the depth counter past MAX_INDENT_DEPTH.
+ */
+function indentation(prefix, depth) {
+  return depth > MAX_INDENT_DEPTH ? `[${depth}] ` : prefix;
+}
+
+/** Connector styles for getOutlineTreeString. */
+const OUTLINE_STYLES = {
+  unicode: {
+    branch: "\u251c\u2500\u2500 ",
+    last: "\u2514\u2500\u2500 ",
+    pipe: "\u2502   ",
+  },
+  ascii: { branch: "|-- ", last: "`-- ", pipe: "|   " },
+};
+
+/** Connector styles for getSidewaysTreeString. */
+const SIDEWAYS_STYLES = {
+  unicode: {
+    upper: "\u250c\u2500\u2500 ",
+    tee: "\u251c\u2500\u2500 ",
+    lower: "\u2514\u2500\u2500 ",
+    pipe: "\u2502   ",
+  },
+  ascii: { upper: "/-- ", tee: "|-- ", lower: "\\-- ", pipe: "|   " },
+};
+
+/**
+ * Renders a tree as an indented outline, one node per line, like the Unix `tree`
+ * command:
+ *
+ *     1
+ *     ├── 2
+ *     │   └── 4
+ *     └── 3
+ *
+ * Children are listed in order (left before right for binary nodes). A binary node's
+ * lone child is tagged "L: " or "R: " to show which side it is on, as in `└── R: 6`.
+ * The width grows with the depth only, so wide trees fit in a terminal, and stops
+ * growing past MAX_INDENT_DEPTH levels.
+ *
+ * @param {object | null} rootNode - The root node of the tree (can be BinaryTreeNode or TreeNode).
+ * @param {string} [logContext="Current tree state"] - Description of when/why the log is occurring.
+ * @param {Set<object>} [highlightedNodes=new Set()] - Optional set of nodes to highlight.
+ * @param {object} [options] - formatLabel, markers, highlightGroups, showHeader,
+ *        maxLabelWidth and color, as for getVisualTreeString.
+ * @param {"unicode" | "ascii"} [options.connectors="unicode"] - Box-drawing characters,
+ *        or "|--" and "`--" for plain ASCII.
+ * @returns {string} A multi-line string representing the tree.
+ * @throws {RangeError} If maxLabelWidth is not a positive integer.
+ * @throws {TypeError} If the connector style or the colors are not valid.
+ */
+function getOutlineTreeString(
+  rootNode,
+  logContext = "Current tree state",
+  highlightedNodes = new Set(),
+  options = {}
+) {
+  const { showHeader = true, connectors = "unicode" } = options;
+  const { textOf, paintLabel, paintEdge } = createLabeler(
+    highlightedNodes,
+    options
+  );
+  const style = pickStyle(OUTLINE_STYLES, connectors);
+  const frame = createFrame(logContext, showHeader);
+  if (!rootNode) return frame(["<empty tree>"]);
+
+  const lines = [];
+  // Each entry: a node, its parent, its depth, the prefix drawn for its ancestors, its
+  // own connector and its side tag.
+  const stack = [
+    {
+      node: rootNode,
+      parent: null,
+      depth: 1,
+      prefix: "",
+      connector: "",
+      side: "",
+    },
+  ];
+  while (stack.length > 0) {
+    const { node, parent, depth, prefix, connector, side } = stack.pop();
+    const edge = paintEdge(parent, node, connector);
+    const label = paintLabel(node, textOf(node));
+    lines.push(`${indentation(prefix, depth)}${edge}${side}${label}`);
+    const children = childNodesOf(node);
+    // With both children or none, the order alone tells left from right.
+    let childSide = "";
+    if (children.length === 1 && (node.left || node.right)) {
+      childSide = node.left ? "L: " : "R: ";
+    }
+    // The root's children line up under it; deeper ones continue the parent's line.
+    let childPrefix = prefix;
+    if (depth >= MAX_INDENT_DEPTH) childPrefix = "";
+    else if (connector === style.branch) childPrefix += style.pipe;
+    else if (connector === style.last)
+      childPrefix += " ".repeat(style.pipe.length);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({
+        node: children[i],
+        parent: node,
+        depth: depth + 1,
+        prefix: childPrefix,
+        connector: i === children.length - 1 ? style.last : style.branch,
+        side: childSide,
+      });
+    }
+  }
+  return frame(lines);
+}
+
+/**
+ * Renders a tree rotated a quarter turn anticlockwise: the root on the left, its
+ * right subtree above it and its left subtree below, one node per line.
+ *
+ *     ┌── 3
+ *     1
+ *     │   ┌── 5
+ *     └── 2
+ *         └── 4
+ *
+ * Unlike the slash diagram, a lone child still shows which side it is on. For a
+ * general node, the later half of its children goes above and the rest below. As in
+ * the outline, lines stop indenting past MAX_INDENT_DEPTH levels.
+ *
+ * @param {object | null} rootNode - The root node of the tree (can be BinaryTreeNode or TreeNode).
+ * @param {string} [logContext="Current tree state"] - Description of when/why the log is occurring.
+ * @param {Set<object>} [highlightedNodes=new Set()] - Optional set of nodes to highlight.
+ * @param {object} [options] - formatLabel, markers, highlightGroups, showHeader,
+ *        maxLabelWidth and color, as for getVisualTreeString.
+ * @param {"unicode" | "ascii"} [options.connectors="unicode"] - Box-drawing characters,
+ *        or "/--" and "\\--" for plain ASCII.
+ * @returns {string} A multi-line string representing the tree.
+ * @throws {RangeError} If maxLabelWidth is not a positive integer.
+ * @throws {TypeError} If the connector style or the colors are not valid.
+ */
+function getSidewaysTreeString(
+  rootNode,
+  logContext = "Current tree state",
+  highlightedNodes = new Set(),
+  options = {}
+) {
+  const { showHeader = true, connectors = "unicode" } = options;
+  const { textOf, paintLabel, paintEdge } = createLabeler(
+    highlightedNodes,
+    options
+  );
+  const style = pickStyle(SIDEWAYS_STYLES, connectors);
+  const frame = createFrame(logContext, showHeader);
+  if (!rootNode) return frame(["<empty tree>"]);
+
+  const blank = " ".repeat(style.pipe.length);
+  // Splits a node's children into those drawn above it and below it, top to bottom.
+  const sidesOf = (node) => {
+    if ("left" in node && "right" in node) {
+      return {
+        above: node.right ? [node.right] : [],
+        below: node.left ? [node.left] : [],
+      };
+    }
+    const children = childNodesOf(node);
+    const middle = Math.floor(children.length / 2);
+    return {
+      above: children.slice(middle).reverse(),
+      below: children.slice(0, middle).reverse(),
+    };
+  };
+
+  const lines = [];
+  // Entries are finished lines, or nodes still to expand with their parent, depth,
+  // the prefix for their ancestors, their connector, and whether the line to their
+  // parent passes their children above and below them. Kept in reverse output order.
+  const stack = [
+    {
+      node: rootNode,
+      parent: null,
+      depth: 1,
+      prefix: "",
+      connector: "",
+      pipeAbove: false,
+      pipeBelow: false,
+    },
+  ];
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    if (typeof entry === "string") {
+      lines.push(entry);
+      continue;
+    }
+    const { node, parent, depth, prefix, connector, pipeAbove, pipeBelow } =
+      entry;
+    const { above, below } = sidesOf(node);
+    // The root's children line up under it; deeper ones continue the parent's line.
+    const extend = (pipe) =>
+      node === rootNode || depth >= MAX_INDENT_DEPTH
+        ? ""
+        : prefix + (pipe ? style.pipe : blank);
+    for (let i = below.length - 1; i >= 0; i--) {
+      const last = i === below.length - 1;
+      stack.push({
+        node: below[i],
+        parent: node,
+        depth: depth + 1,
+        prefix: extend(pipeBelow),
+        connector: last ? style.lower : style.tee,
+        pipeAbove: true,
+        pipeBelow: !last,
+      });
+    }
+    const edge = paintEdge(parent, node, connector);
+    const label = paintLabel(node, textOf(node));
+    stack.push(`${indentation(prefix, depth)}${edge}${label}`);
+    for (let i = above.length - 1; i >= 0; i--) {
+      stack.push({
+        node: above[i],
+        parent: node,
+        depth: depth + 1,
+        prefix: extend(pipeAbove),
+        connector: i === 0 ? style.upper : style.tee,
+        pipeAbove: i > 0,
+        pipeBelow: true,
+      });
+    }
   }
+  return frame(lines);
+}
 
-  return [header, ...filteredTreeLines, footer].join("\n");
+/**
+ * Lists the nodes of a tree in pre-order, without recursion.
+ * @param {object} rootNode - The root node.
+ * @returns {object[]} The nodes, each before its descendants.
+ */
+function listPreorder(rootNode) {
+  const nodes = [];
+  const stack = [rootNode];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    nodes.push(node);
+    const children = childNodesOf(node);
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+  return nodes;
+}
+
+/**
+ * Returns the nodes below a node, for either node shape.
+ * @param {object} node - A BinaryTreeNode or a TreeNode.
+ * @returns {object[]} Its existing children, in order.
+ */
+function childNodesOf(node) {
+  if (node.left || node.right) return [node.left, node.right].filter(Boolean);
+  return Array.isArray(node.children) ? node.children : [];
+}
+
+/** Markers drawn for each kind of change in a diff. */
+const DIFF_MARKERS = { added: "+", removed: "-", changed: "~" };
+
+/**
+ * Renders a diff (as returned by Tree#diff or BinaryTree#diff) as the two trees one
+ * above the other, with markers after the labels of the nodes involved:
+ * "(-)" on removed subtrees in the first tree, "(+)" on added subtrees in the
+ * second, and "(~)" on nodes whose value changed, in both.
+ *
+ * @param {object | null} beforeRoot - The root of the tree diffed from.
+ * @param {object | null} afterRoot - The root of the tree diffed against.
+ * @param {Object[]} changes - The changes between them.
+ * @param {object} [options] - Optional rendering options.
+ * @param {string} [options.logContext="Tree diff"] - Heading; the two trees are labelled
+ *        "<logContext>: before" and "<logContext>: after".
+ * @param {function(object): string} [options.formatLabel] - As for getVisualTreeString, as
+ *        are the other rendering options (showHeader, highlightGroups, ...).
+ * @returns {string} A multi-line string showing both trees.
+ */
+function getVisualDiffString(
+  beforeRoot,
+  afterRoot,
+  changes,
+  { logContext = "Tree diff", ...renderOptions } = {}
+) {
+  const beforeMarkers = new Map();
+  const afterMarkers = new Map();
+  const markSubtree = (root, markers, marker) => {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      markers.set(node, marker);
+      for (const child of childNodesOf(node)) stack.push(child);
+    }
+  };
+  for (const { type, before, after } of changes) {
+    const marker = DIFF_MARKERS[type];
+    if (type === "removed") markSubtree(before, beforeMarkers, marker);
+    else if (type === "added") markSubtree(after, afterMarkers, marker);
+    else {
+      beforeMarkers.set(before, marker);
+      afterMarkers.set(after, marker);
+    }
+  }
+  return [
+    getVisualTreeString(beforeRoot, `${logContext}: before`, new Set(), {
+      ...renderOptions,
+      markers: beforeMarkers,
+    }),
+    getVisualTreeString(afterRoot, `${logContext}: after`, new Set(), {
+      ...renderOptions,
+      markers: afterMarkers,
+    }),
+  ].join("\n");
 }
 
-module.exports = { getVisualTreeString };
+module.exports = {
+  getVisualTreeString,
+  getOutlineTreeString,
+  getSidewaysTreeString,
+  getVisualDiffString,
+  stripAnsi,
+  supportsColor,
+  GROUP_COLORS,
+};
@@ -1,3 +1,31 @@
+const {
+  naryChildren,
+  preorder,
+  postorder,
+  levelOrder,
+} = require("./tree-traversal");
+const {
+  TreeFormatError,
+  identityCodec,
+  encodeValue,
+  encodeRawValue,
+  parseJson,
+  decodeValue,
+} = require("./tree-serialization");
+const {
+  narySlots,
+  diffNodes,
+  createShapeTable,
+  numberShapes,
+} = require("./tree-comparison");
+const { computeTreeStats } = require("./tree-stats");
+const { valuesByLevel, aggregateLevels } = require("./tree-levels");
+const { Queue } = require("./queue");
+const { toDot, toMermaid } = require("./tree-export");
+
+/** How tree-comparison reads general tree nodes. */
+const naryShape = { getSlots: narySlots, getValue: (node) => node.val };
+
 /** TreeNode: node for a general tree. */
 class TreeNode {
   constructor(val, children = []) {
@@ -8,77 +36,627 @@ class TreeNode {
 
 class Tree {
   #root = null; // Use private field for root
+  #index = null; // Map of node -> { parent, depth }, built on first use
+  #height = null; // Cached height, cleared whenever the shape changes
 
   constructor(root = null) {
     this.#root = root;
   }
 
-  /** sumValues(): add up all of the values in the tree. */
-  sumValues() {
-    if (!this.#root) {
-      return 0;
+  /** #getIndex(): return the node index, building it with one walk if needed.
+   * Mutation methods keep it up to date afterwards, so editing node.children
+   * directly once it exists will leave it stale. */
+  #getIndex() {
+    if (!this.#index) {
+      this.#index = new Map();
+      for (const { node, parent, depth } of this.preorder()) {
+        this.#index.set(node, { parent, depth });
+      }
+    }
+    return this.#index;
+  }
+
+  /** #entryOf(node): return the index entry of node, or throw if it is not in this tree. */
+  #entryOf(node) {
+    const entry = this.#getIndex().get(node);
+    if (!entry) throw new Error("Node is not in this tree");
+    return entry;
+  }
+
+  /** #indexSubtree(node, parent, depth): (re)record node and its descendants
+   * as hanging from parent, with node at the given depth. */
+  #indexSubtree(node, parent, depth) {
+    const index = this.#getIndex();
+    for (const visit of preorder(node, naryChildren)) {
+      index.set(visit.node, {
+        parent: visit.parent ?? parent,
+        depth: depth + visit.depth - 1,
+      });
     }
+    this.#height = null;
+  }
+
+  /** #unindexSubtree(node): forget node and its descendants. */
+  #unindexSubtree(node) {
+    const index = this.#getIndex();
+    for (const visit of preorder(node, naryChildren)) {
+      index.delete(visit.node);
+    }
+    this.#height = null;
+  }
 
-    let total = 0;
-    let toSum = [this.#root];
-    const allNodes = new Set();
+  /** #checkInsertIndex(children, index): default index to the end of children,
+   * or throw a RangeError if it is not a valid insertion point. */
+  #checkInsertIndex(children, index = children.length) {
+    if (!Number.isInteger(index) || index < 0 || index > children.length) {
+      throw new RangeError(
+        `Child index ${index} is out of range 0..${children.length}`
+      );
+    }
+    return index;
+  }
+
+  /** size: the number of nodes in the tree. */
+  get size() {
+    return this.#getIndex().size;
+  }
 
-    while (toSum.length > 0) {
-      let node = toSum.pop();
-      total += node.val;
-      allNodes.add(node);
-      for (let child of node.children) {
-        toSum.push(child);
+  /** height: the number of nodes on the longest root-to-leaf path (0 if empty). */
+  get height() {
+    if (this.#height === null) {
+      let height = 0;
+      for (const { depth } of this.#getIndex().values()) {
+        height = Math.max(height, depth);
       }
+      this.#height = height;
     }
-    return total;
+    return this.#height;
   }
 
-  /** countEvens(): count all of the nodes in the tree with even values. */
-  countEvens() {
-    if (!this.#root) {
-      return 0;
+  /** stats(): return shape and value statistics gathered in one walk: size,
+   * height, leafCount, internalCount, levelWidths, maxWidth, branchingHistogram,
+   * isBalanced, isComplete, isFull, isPerfect, min, max and sum (see tree-stats.js). */
+  stats() {
+    return computeTreeStats(this.#root, naryShape);
+  }
+
+  /** contains(node): is node part of this tree? */
+  contains(node) {
+    return this.#getIndex().has(node);
+  }
+
+  /** depthOf(node): return the depth of node (the root is at depth 1).
+   * Throws if node is not in this tree. */
+  depthOf(node) {
+    return this.#entryOf(node).depth;
+  }
+
+  /** addChild(parent, value, index): insert a new child of parent at position
+   * index (default: after the last child) and return it. value may be a plain
+   * value or a detached TreeNode, whose subtree is inserted as is. With a null
+   * parent, the child becomes the root of an empty tree. */
+  addChild(parent, value, index) {
+    const child = value instanceof TreeNode ? value : new TreeNode(value);
+    this.#checkDetached(child);
+
+    if (parent === null) {
+      if (this.#root) throw new Error("Tree already has a root");
+      this.#checkInsertIndex([], index);
+      this.#root = child;
+      this.#indexSubtree(child, null, 1);
+      return child;
     }
 
-    let count = 0;
-    let toCount = [this.#root];
-    const evenNodes = new Set();
+    const { depth } = this.#entryOf(parent);
+    const position = this.#checkInsertIndex(parent.children, index);
+    parent.children.splice(position, 0, child);
+    this.#indexSubtree(child, parent, depth + 1);
+    return child;
+  }
 
-    while (toCount.length > 0) {
-      let node = toCount.pop();
-      if (node.val % 2 === 0) {
-        count++;
-        evenNodes.add(node);
+  /** #checkDetached(node): throw unless node's subtree shares no node with this
+   * tree and holds no node twice, so splicing it in cannot create a cycle. */
+  #checkDetached(node) {
+    const seen = new Set();
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (this.contains(current)) {
+        throw new Error(
+          current === node
+            ? "Node is already in this tree; use moveSubtree instead"
+            : "Subtree holds a node that is already in this tree"
+        );
+      }
+      if (seen.has(current)) {
+        throw new Error("Subtree holds the same node more than once");
       }
-      for (let child of node.children) {
-        toCount.push(child);
+      seen.add(current);
+      for (const child of current.children) stack.push(child);
+    }
+  }
+
+  /** removeNode(node, { children }): detach node from the tree and return it.
+   * With children: "drop" (the default) its whole subtree goes with it; with
+   * children: "reparent" its children take its place under its parent. The
+   * root can only be reparented away when it has at most one child. */
+  removeNode(node, { children = "drop" } = {}) {
+    if (children !== "drop" && children !== "reparent") {
+      throw new TypeError(`Unknown children option: ${children}`);
+    }
+    const { parent, depth } = this.#entryOf(node);
+    const orphans = children === "reparent" ? node.children : [];
+
+    if (parent === null) {
+      if (orphans.length > 1) {
+        throw new Error("Cannot reparent the children of the root");
+      }
+      this.#root = orphans[0] ?? null;
+    } else {
+      const position = parent.children.indexOf(node);
+      parent.children.splice(position, 1, ...orphans);
+    }
+
+    this.#unindexSubtree(node);
+    for (const orphan of orphans) {
+      this.#indexSubtree(orphan, parent, depth);
+    }
+    if (orphans.length > 0) node.children = [];
+    return node;
+  }
+
+  /** moveSubtree(node, newParent, index): detach node with its subtree and insert
+   * it as a child of newParent at position index (default: after the last
+   * child). Throws if this would move node under itself, or move the root. */
+  moveSubtree(node, newParent, index) {
+    const { parent } = this.#entryOf(node);
+    const { depth: newParentDepth } = this.#entryOf(newParent);
+    if (parent === null) throw new Error("Cannot move the root");
+    for (let ancestor = newParent; ancestor; ) {
+      if (ancestor === node) {
+        throw new Error("Cannot move a node into its own subtree");
+      }
+      ancestor = this.#index.get(ancestor).parent;
+    }
+
+    const siblings = parent.children;
+    const oldPosition = siblings.indexOf(node);
+    siblings.splice(oldPosition, 1);
+    let position;
+    try {
+      position = this.#checkInsertIndex(newParent.children, index);
+    } catch (error) {
+      siblings.splice(oldPosition, 0, node); // Leave the tree as it was.
+      throw error;
+    }
+    newParent.children.splice(position, 0, node);
+    this.#indexSubtree(node, newParent, newParentDepth + 1);
+    return node;
+  }
+
+  /** replaceValue(node, value): set the value of node and return the old one. */
+  replaceValue(node, value) {
+    this.#entryOf(node);
+    const oldValue = node.val;
+    node.val = value;
+    return oldValue;
+  }
+
+  /** preorder(): iterate over the tree depth-first, each node before its children.
+   * Yields { node, depth, parent, path } with the root at depth 1. */
+  *preorder() {
+    yield* preorder(this.#root, naryChildren);
+  }
+
+  /** postorder(): iterate over the tree depth-first, each node after its children.
+   * Yields { node, depth, parent, path } with the root at depth 1. */
+  *postorder() {
+    yield* postorder(this.#root, naryChildren);
+  }
+
+  /** levelOrder(): iterate over the tree breadth-first, level by level.
+   * Yields { node, depth, parent, path } with the root at depth 1. */
+  *levelOrder() {
+    yield* levelOrder(this.#root, naryChildren);
+  }
+
+  /** reduce(fn, initial): fold every node into a single value, visiting in preorder.
+   * fn is called as fn(accumulator, node, visit) and returns the new accumulator. */
+  reduce(fn, initial) {
+    let accumulator = initial;
+    for (const visit of this.preorder()) {
+      accumulator = fn(accumulator, visit.node, visit);
+    }
+    return accumulator;
+  }
+
+  /** count(predicate): count the nodes for which predicate(node, visit) is truthy. */
+  count(predicate) {
+    return this.reduce(
+      (count, node, visit) => (predicate(node, visit) ? count + 1 : count),
+      0
+    );
+  }
+
+  /** filter(predicate): return, in preorder, the nodes for which
+   * predicate(node, visit) is truthy. */
+  filter(predicate) {
+    return this.reduce((matches, node, visit) => {
+      if (predicate(node, visit)) matches.push(node);
+      return matches;
+    }, []);
+  }
+
+  /** findAll(predicate): alias of filter(predicate). */
+  findAll(predicate) {
+    return this.filter(predicate);
+  }
+
+  /** find(predicate): return the first node in preorder for which
+   * predicate(node, visit) is truthy, or null. Stops at the first match. */
+  find(predicate) {
+    for (const visit of this.preorder()) {
+      if (predicate(visit.node, visit)) return visit.node;
+    }
+    return null;
+  }
+
+  /** some(predicate): is predicate(node, visit) truthy for at least one node? */
+  some(predicate) {
+    return this.find(predicate) !== null;
+  }
+
+  /** every(predicate): is predicate(node, visit) truthy for every node?
+   * True for an empty tree. */
+  every(predicate) {
+    return !this.some((node, visit) => !predicate(node, visit));
+  }
+
+  /** map(fn): return a new Tree of the same shape whose values are
+   * fn(val, node, visit). The original tree is left unchanged. */
+  map(fn) {
+    const copies = new Map();
+    let newRoot = null;
+    for (const visit of this.preorder()) {
+      const copy = new TreeNode(fn(visit.node.val, visit.node, visit));
+      copies.set(visit.node, copy);
+      // Preorder reaches children left to right, so pushing keeps their order.
+      if (visit.parent) copies.get(visit.parent).children.push(copy);
+      else newRoot = copy;
+    }
+    return new Tree(newRoot);
+  }
+
+  /** levels(): return the values grouped by depth, one array per level from
+   * the root down, each read left to right. */
+  levels() {
+    return valuesByLevel(this.#root, naryChildren, (node) => node.val);
+  }
+
+  /** zigzagLevels(): like levels, but every other level, starting with the
+   * root's children, is read right to left. */
+  zigzagLevels() {
+    return this.levels().map((level, i) => (i % 2 ? level.reverse() : level));
+  }
+
+  /** leftView(): return the first value of each level. */
+  leftView() {
+    return this.levels().map((level) => level[0]);
+  }
+
+  /** rightView(): return the last value of each level. */
+  rightView() {
+    return this.levels().map((level) => level[level.length - 1]);
+  }
+
+  /** levelAggregates(): return { count, sum, average, min, max } for each level. */
+  levelAggregates() {
+    return aggregateLevels(this.levels());
+  }
+
+  /** clone(): return a copy of the tree, with new nodes holding the same values. */
+  clone() {
+    return this.map((val) => val);
+  }
+
+  /** mirror({ inPlace }): reverse the order of every node's children, in a
+   * copy or, with inPlace: true, in this tree. */
+  mirror({ inPlace = false } = {}) {
+    const target = inPlace ? this : this.clone();
+    // Preorder reads a node's children after yielding it, so it sees the reversal.
+    for (const { node } of target.preorder()) node.children.reverse();
+    return target;
+  }
+
+  /** mapValues(fn, { inPlace }): replace every value with fn(val, node, visit).
+   * Without inPlace this is map; with inPlace: true it updates this tree. */
+  mapValues(fn, { inPlace = false } = {}) {
+    if (!inPlace) return this.map(fn);
+    for (const visit of this.preorder()) {
+      visit.node.val = fn(visit.node.val, visit.node, visit);
+    }
+    return this;
+  }
+
+  /** prune(predicate, { inPlace }): remove every subtree whose root satisfies
+   * predicate(node, visit), from a copy or, with inPlace: true, from this tree.
+   * The predicate sees this tree's nodes in preorder, except those inside
+   * subtrees already removed. Pruning the root leaves an empty tree. */
+  prune(predicate, { inPlace = false } = {}) {
+    const removed = new Set();
+    const tops = [];
+    for (const visit of this.preorder()) {
+      if (removed.has(visit.parent)) {
+        removed.add(visit.node);
+      } else if (predicate(visit.node, visit)) {
+        removed.add(visit.node);
+        tops.push(visit.node);
       }
     }
-    return count;
+
+    if (inPlace) {
+      for (const node of tops) this.removeNode(node);
+      return this;
+    }
+    const copies = new Map();
+    let newRoot = null;
+    for (const { node, parent } of this.preorder()) {
+      if (removed.has(node)) continue;
+      const copy = new TreeNode(node.val);
+      copies.set(node, copy);
+      if (parent) copies.get(parent).children.push(copy);
+      else newRoot = copy;
+    }
+    return new Tree(newRoot);
+  }
+
+  /** trimToDepth(depth, { inPlace }): remove every node deeper than depth (the
+   * root is at depth 1, so 0 empties the tree), as prune does. Throws a
+   * RangeError if depth is not a non-negative integer. */
+  trimToDepth(depth, options) {
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new RangeError(
+        `Depth must be a non-negative integer, got ${depth}`
+      );
+    }
+    return this.prune((node, visit) => visit.depth > depth, options);
+  }
+
+  /** flatten({ inPlace }): turn the tree into a chain in preorder, each node
+   * having the next as its only child, in a copy or, with inPlace: true, by
+   * relinking this tree's nodes. */
+  flatten({ inPlace = false } = {}) {
+    const target = inPlace ? this : this.clone();
+    const nodes = [...target.preorder()].map(({ node }) => node);
+    nodes.forEach((node, i) => {
+      node.children = i + 1 < nodes.length ? [nodes[i + 1]] : [];
+    });
+    target.#index = null;
+    target.#height = null;
+    return target;
+  }
+
+  /** equals(other): do this tree and other have the same shape and values,
+   * with children in the same order? Values match as Map keys do. */
+  equals(other) {
+    return (
+      diffNodes(this.#root, other.#root, { ...naryShape, limit: 1 }).length ===
+      0
+    );
+  }
+
+  /** isIsomorphic(other): could other be turned into this tree by reordering
+   * children? Compares values too. Runs in O(n log n) by numbering the
+   * distinct subtree shapes of both trees, children sorted. */
+  isIsomorphic(other) {
+    if (!this.#root || !other.#root) return this.#root === other.#root;
+    const table = createShapeTable();
+    const shape = { ...naryShape, unordered: true };
+    const ours = numberShapes(this.#root, table, shape).get(this.#root);
+    const theirs = numberShapes(other.#root, table, shape).get(other.#root);
+    return ours === theirs;
+  }
+
+  /** diff(other): list the added, removed and value-changed nodes between
+   * this tree and other, by path (e.g. "children[0].children[2]"), in preorder.
+   * Children are paired by position; render with getVisualDiffString. */
+  diff(other) {
+    return diffNodes(this.#root, other.#root, naryShape);
+  }
+
+  /** sumValues(): add up all of the values in the tree. */
+  sumValues() {
+    return this.reduce((total, node) => total + node.val, 0);
+  }
+
+  /** countEvens(): count all of the nodes in the tree with even values. */
+  countEvens() {
+    return this.count((node) => node.val % 2 === 0);
   }
 
   /** numGreater(lowerBound): return a count of the number of nodes
    * whose value is greater than lowerBound. */
   numGreater(lowerBound) {
-    if (!this.#root) {
-      return 0;
+    return this.count((node) => node.val > lowerBound);
+  }
+
+  /** toObject(): return the tree as nested plain objects, { val, children: [...] },
+   * omitting children on leaves, or null if the tree is empty. */
+  toObject() {
+    const objects = new Map();
+    let rootObject = null;
+    for (const { node, parent } of this.preorder()) {
+      const object = { val: node.val };
+      objects.set(node, object);
+      if (!parent) {
+        rootObject = object;
+      } else {
+        const parentObject = objects.get(parent);
+        (parentObject.children ??= []).push(object);
+      }
     }
+    return rootObject;
+  }
 
-    let count = 0;
-    let toCount = [this.#root];
-    const greaterNodes = new Set();
+  /** toDot(options): export the tree as Graphviz DOT source. Options (formatLabel,
+   * highlighted, highlightGroups, name) are described in tree-export.js. */
+  toDot(options) {
+    return toDot(this.#root, options);
+  }
+
+  /** toMermaid(options): export the tree as a Mermaid flowchart, with the same
+   * options as toDot (except name). */
+  toMermaid(options) {
+    return toMermaid(this.#root, options);
+  }
+
+  /** fromObject(object): build a Tree from the nested form returned by toObject.
+   * Throws a TreeFormatError naming the offending node if the object is malformed. */
+  static fromObject(object) {
+    return new Tree(Tree.#buildFromObject(object, identityCodec));
+  }
+
+  /** serialize(tree, { format, codec }): convert the tree into a JSON string.
+   *
+   * format "nested" (the default) writes the toObject form. format "level-order"
+   * writes a compact array: the root, then for each node in breadth-first order
+   * its children, each group closed by null, e.g. [1,null,2,3,null,4] (trailing
+   * nulls are dropped). In that form, values that are null, objects or arrays are
+   * wrapped as {"value": ...}. codec ({ encode, decode }) converts node values to
+   * JSON-serializable data and back. */
+  static serialize(tree, { format = "nested", codec = identityCodec } = {}) {
+    const root = tree ? tree.#root : null;
+    if (format === "level-order") return Tree.#serializeLevelOrder(root, codec);
+    if (format === "nested") return Tree.#serializeNested(root, codec);
+    throw new TypeError(`Unknown serialization format: ${format}`);
+  }
+
+  /** deserialize(serialized, { codec }): rebuild a Tree from either form written
+   * by serialize, telling them apart by shape. Throws a TreeFormatError whose
+   * position locates the problem if the input is malformed. */
+  static deserialize(serialized, { codec = identityCodec } = {}) {
+    const parsed = parseJson(serialized);
+    const root = Array.isArray(parsed)
+      ? Tree.#buildFromLevelOrder(parsed, codec)
+      : Tree.#buildFromObject(parsed, codec);
+    return new Tree(root);
+  }
+
+  /** #serializeNested(root, codec): write the nested form, building each node's
+   * text after its children's (post-order) so no recursion is needed. */
+  static #serializeNested(root, codec) {
+    if (!root) return "null";
+    const texts = new Map();
+    let position = 0;
+    for (const { node } of postorder(root, naryChildren)) {
+      let text = `{"val":${encodeRawValue(node.val, codec, position++)}`;
+      if (node.children.length > 0) {
+        const childTexts = node.children.map((child) => texts.get(child));
+        text += `,"children":[${childTexts.join(",")}]`;
+        node.children.forEach((child) => texts.delete(child));
+      }
+      texts.set(node, `${text}}`);
+    }
+    return texts.get(root);
+  }
+
+  /** #serializeLevelOrder(root, codec): write the null-delimited level-order form. */
+  static #serializeLevelOrder(root, codec) {
+    if (!root) return "[]";
+    const result = [encodeValue(root.val, codec, 0), "null"];
+    for (const { node } of levelOrder(root, naryChildren)) {
+      for (const child of node.children) {
+        result.push(encodeValue(child.val, codec, result.length));
+      }
+      result.push("null");
+    }
+    while (result[result.length - 1] === "null") result.pop();
+    return `[${result.join(",")}]`;
+  }
+
+  /** #buildFromObject(object, codec): build the nodes of a nested-form object. */
+  static #buildFromObject(object, codec) {
+    if (object === null) return null;
+
+    // Each entry remembers its parent entry and child index, to name it in errors.
+    const pathOf = (entry) => {
+      const steps = [];
+      for (let e = entry; e.up; e = e.up) steps.push(`children[${e.index}]`);
+      return steps.reverse().join(".") || "root";
+    };
+    const toNode = (entry) => {
+      const { object } = entry;
+      const fail = (problem) => {
+        const path = pathOf(entry);
+        throw new TreeFormatError(
+          `Malformed serialized tree at ${path}: ${problem}`,
+          path
+        );
+      };
+      if (typeof object !== "object" || object === null) {
+        fail("expected an object");
+      }
+      if (Array.isArray(object)) fail("expected an object, not an array");
+      if (!Object.hasOwn(object, "val")) fail('missing "val"');
+      const extra = Object.keys(object).find(
+        (key) => key !== "val" && key !== "children"
+      );
+      if (extra !== undefined) fail(`unexpected key "${extra}"`);
+      if (object.children !== undefined && !Array.isArray(object.children)) {
+        fail('"children" must be an array');
+      }
+      return new TreeNode(codec.decode(object.val));
+    };
+
+    const rootEntry = { object, up: null, index: 0 };
+    rootEntry.node = toNode(rootEntry);
+    const stack = [rootEntry];
+    while (stack.length > 0) {
+      const entry = stack.pop();
+      (entry.object.children ?? []).forEach((childObject, index) => {
+        const childEntry = { object: childObject, up: entry, index };
+        childEntry.node = toNode(childEntry);
+        entry.node.children.push(childEntry.node);
+        stack.push(childEntry);
+      });
+    }
+    return rootEntry.node;
+  }
+
+  /** #buildFromLevelOrder(elements, codec): build the nodes of a parsed
+   * null-delimited level-order array. */
+  static #buildFromLevelOrder(elements, codec) {
+    const fail = (index, problem) => {
+      throw new TreeFormatError(
+        `Malformed serialized tree at element ${index}: ${problem}`,
+        index
+      );
+    };
+    if (elements.length === 0) return null;
+    if (elements[0] === null) fail(0, "the root cannot be null");
+    if (elements.length > 1 && elements[1] !== null) {
+      fail(1, "expected null after the root");
+    }
 
-    while (toCount.length > 0) {
-      let node = toCount.pop();
-      if (node.val > lowerBound) {
-        count++;
-        greaterNodes.add(node);
+    const root = new TreeNode(decodeValue(elements[0], codec, 0));
+    // The front of the queue is the parent whose group of children is being read.
+    const parents = new Queue([root]);
+    for (let index = 2; index < elements.length; index++) {
+      if (elements[index] === null) {
+        if (parents.size === 0) {
+          fail(index, "no parent is left whose children it could close");
+        }
+        parents.dequeue(); // This parent's group of children is complete.
+        continue;
       }
-      for (let child of node.children) {
-        toCount.push(child);
+      if (parents.size === 0) {
+        fail(index, "no parent is left to attach it to");
       }
+      const child = new TreeNode(decodeValue(elements[index], codec, index));
+      parents.peek().children.push(child);
+      parents.enqueue(child);
     }
-    return count;
+    return root;
   }
 }
 
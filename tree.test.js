@@ -1,4 +1,10 @@
 const { Tree, TreeNode } = require("./tree");
+const { TreeFormatError } = require("./tree-serialization");
+const {
+  getVisualTreeString,
+  getOutlineTreeString,
+  getSidewaysTreeString
+} = require("./tree-visualizer");
 
 let smallTree;
 let largeTree;
@@ -78,3 +84,624 @@ describe("numGreater", function() {
     expect(emptyTree.numGreater(0)).toEqual(0);
   });
 });
+
+describe("traversal iterators", function() {
+  const values = iterator => [...iterator].map(({ node }) => node.val);
+
+  it("walks in preorder", function() {
+    expect(values(largeTree.preorder())).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it("walks in postorder", function() {
+    expect(values(largeTree.postorder())).toEqual([2, 3, 5, 8, 7, 6, 4, 1]);
+  });
+
+  it("walks in level order", function() {
+    expect(values(largeTree.levelOrder())).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it("yields depth, parent and path for each node", function() {
+    const visits = [...largeTree.levelOrder()];
+    const deepest = visits[visits.length - 1];
+
+    expect(visits[0].depth).toBe(1);
+    expect(visits[0].parent).toBe(null);
+    expect(deepest.depth).toBe(5);
+    expect(deepest.parent.val).toBe(7);
+    expect(deepest.path.map(node => node.val)).toEqual([1, 4, 6, 7, 8]);
+  });
+
+  it("yields nothing for an empty tree", function() {
+    expect([...emptyTree.preorder()]).toEqual([]);
+    expect([...emptyTree.postorder()]).toEqual([]);
+    expect([...emptyTree.levelOrder()]).toEqual([]);
+  });
+});
+
+describe("query API", function() {
+  it("reduces over every node", function() {
+    expect(largeTree.reduce((max, node) => Math.max(max, node.val), 0)).toBe(8);
+    expect(emptyTree.reduce((total, node) => total + node.val, 10)).toBe(10);
+  });
+
+  it("counts and filters with a predicate", function() {
+    const isOdd = node => node.val % 2 === 1;
+    expect(largeTree.count(isOdd)).toBe(4);
+    expect(largeTree.filter(isOdd).map(node => node.val)).toEqual([1, 3, 5, 7]);
+    expect(largeTree.findAll(isOdd)).toEqual(largeTree.filter(isOdd));
+  });
+
+  it("passes the visit to the predicate", function() {
+    expect(largeTree.count((node, { depth }) => depth === 2)).toBe(3);
+  });
+
+  it("finds the first matching node", function() {
+    expect(largeTree.find(node => node.val > 5).val).toBe(6);
+    expect(largeTree.find(node => node.val > 8)).toBe(null);
+    expect(emptyTree.find(() => true)).toBe(null);
+  });
+
+  it("answers some and every", function() {
+    expect(largeTree.some(node => node.val === 7)).toBe(true);
+    expect(largeTree.some(node => node.val === 9)).toBe(false);
+    expect(largeTree.every(node => node.val > 0)).toBe(true);
+    expect(largeTree.every(node => node.val > 1)).toBe(false);
+    expect(emptyTree.every(() => false)).toBe(true);
+  });
+
+  it("maps into a new tree of the same shape", function() {
+    const doubled = largeTree.map(val => val * 2);
+    expect(doubled).toBeInstanceOf(Tree);
+    expect(doubled.sumValues()).toBe(72);
+    expect([...doubled.preorder()].map(({ node }) => node.val)).toEqual([
+      2,
+      4,
+      6,
+      8,
+      10,
+      12,
+      14,
+      16
+    ]);
+    expect(largeTree.sumValues()).toBe(36);
+    expect(emptyTree.map(val => val).sumValues()).toBe(0);
+  });
+});
+
+describe("mutation API", function() {
+  let root;
+  let n4;
+  let n6;
+
+  beforeEach(function() {
+    root = largeTree.find(node => node.val === 1);
+    n4 = largeTree.find(node => node.val === 4);
+    n6 = largeTree.find(node => node.val === 6);
+  });
+
+  const values = tree => [...tree.preorder()].map(({ node }) => node.val);
+
+  it("tracks size, height and depth", function() {
+    expect(largeTree.size).toBe(8);
+    expect(largeTree.height).toBe(5);
+    expect(largeTree.depthOf(n6)).toBe(3);
+    expect(emptyTree.size).toBe(0);
+    expect(emptyTree.height).toBe(0);
+  });
+
+  it("adds children at a given index", function() {
+    const added = largeTree.addChild(n4, 9, 0);
+    largeTree.addChild(root, 10);
+
+    expect(added).toBeInstanceOf(TreeNode);
+    expect(values(largeTree)).toEqual([1, 2, 3, 4, 9, 5, 6, 7, 8, 10]);
+    expect(largeTree.size).toBe(10);
+    expect(largeTree.depthOf(added)).toBe(3);
+  });
+
+  it("adds a detached subtree and a root to an empty tree", function() {
+    const subtree = new TreeNode(20, [new TreeNode(21)]);
+    largeTree.addChild(n6, subtree);
+    expect(largeTree.size).toBe(10);
+    expect(largeTree.depthOf(subtree.children[0])).toBe(5);
+
+    const newRoot = emptyTree.addChild(null, 5);
+    expect(emptyTree.sumValues()).toBe(5);
+    expect(emptyTree.depthOf(newRoot)).toBe(1);
+  });
+
+  it("rejects nodes outside the tree, duplicates and bad indexes", function() {
+    expect(() => largeTree.addChild(new TreeNode(0), 1)).toThrow(
+      "not in this tree"
+    );
+    expect(() => largeTree.addChild(root, n6)).toThrow("already in this tree");
+    expect(() => largeTree.addChild(root, 1, 5)).toThrow(RangeError);
+    expect(() => largeTree.addChild(null, 1)).toThrow("already has a root");
+  });
+
+  it("rejects subtrees that would create a cycle", function() {
+    expect(() =>
+      largeTree.addChild(root.children[0], new TreeNode(9, [root]))
+    ).toThrow("already in this tree");
+    const shared = new TreeNode(8);
+    expect(() =>
+      largeTree.addChild(root, new TreeNode(9, [shared, shared]))
+    ).toThrow("more than once");
+    const loop = new TreeNode(9);
+    loop.children.push(loop);
+    expect(() => largeTree.addChild(root, loop)).toThrow("more than once");
+    expect(largeTree.size).toBe(8);
+  });
+
+  it("removes a node together with its subtree", function() {
+    largeTree.removeNode(n6);
+    expect(values(largeTree)).toEqual([1, 2, 3, 4, 5]);
+    expect(largeTree.size).toBe(5);
+    expect(largeTree.height).toBe(3);
+    expect(largeTree.contains(n6)).toBe(false);
+  });
+
+  it("removes a node and reparents its children", function() {
+    largeTree.removeNode(n4, { children: "reparent" });
+    expect(values(largeTree)).toEqual([1, 2, 3, 5, 6, 7, 8]);
+    expect(largeTree.depthOf(n6)).toBe(2);
+    expect(largeTree.height).toBe(4);
+    expect(n4.children).toEqual([]);
+  });
+
+  it("removes the root", function() {
+    smallTree.removeNode(
+      smallTree.find(node => node.val === 1),
+      {
+        children: "reparent"
+      }
+    );
+    expect(values(smallTree)).toEqual([2]);
+    expect(() => largeTree.removeNode(root, { children: "reparent" })).toThrow(
+      "root"
+    );
+    largeTree.removeNode(root);
+    expect(largeTree.size).toBe(0);
+    expect(largeTree.sumValues()).toBe(0);
+  });
+
+  it("moves subtrees and keeps depths consistent", function() {
+    const n2 = root.children[0];
+    largeTree.moveSubtree(n6, n2);
+    expect(values(largeTree)).toEqual([1, 2, 6, 7, 8, 3, 4, 5]);
+    expect(largeTree.depthOf(n6.children[0].children[0])).toBe(5);
+
+    largeTree.moveSubtree(n6, root, 0);
+    expect(values(largeTree)).toEqual([1, 6, 7, 8, 2, 3, 4, 5]);
+    expect(largeTree.height).toBe(4);
+  });
+
+  it("rejects cycles and leaves the tree intact on error", function() {
+    const n7 = n6.children[0];
+    expect(() => largeTree.moveSubtree(n4, n7)).toThrow("its own subtree");
+    expect(() => largeTree.moveSubtree(n4, n4)).toThrow("its own subtree");
+    expect(() => largeTree.moveSubtree(root, n4)).toThrow("root");
+    expect(() => largeTree.moveSubtree(n6, root, 9)).toThrow(RangeError);
+    expect(values(largeTree)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it("replaces values", function() {
+    expect(largeTree.replaceValue(n6, 60)).toBe(6);
+    expect(largeTree.sumValues()).toBe(90);
+    expect(() => largeTree.replaceValue(new TreeNode(1), 2)).toThrow(
+      "not in this tree"
+    );
+  });
+});
+
+describe("serialization", function() {
+  const values = tree => [...tree.preorder()].map(({ node }) => node.val);
+
+  it("converts to and from nested objects", function() {
+    expect(smallTree.toObject()).toEqual({ val: 1, children: [{ val: 2 }] });
+    expect(emptyTree.toObject()).toBe(null);
+
+    const rebuilt = Tree.fromObject(largeTree.toObject());
+    expect(rebuilt.toObject()).toEqual(largeTree.toObject());
+    expect(Tree.fromObject(null).size).toBe(0);
+  });
+
+  it("round-trips the nested form", function() {
+    const serialized = Tree.serialize(smallTree);
+    expect(serialized).toBe('{"val":1,"children":[{"val":2}]}');
+    expect(Tree.deserialize(serialized).toObject()).toEqual(
+      smallTree.toObject()
+    );
+    expect(Tree.serialize(emptyTree)).toBe("null");
+    expect(Tree.deserialize("null").size).toBe(0);
+  });
+
+  it("round-trips the level-order form", function() {
+    const serialized = Tree.serialize(largeTree, { format: "level-order" });
+    expect(serialized).toBe(
+      "[1,null,2,3,4,null,null,null,5,6,null,null,7,null,8]"
+    );
+    expect(values(Tree.deserialize(serialized))).toEqual(values(largeTree));
+    expect(Tree.serialize(emptyTree, { format: "level-order" })).toBe("[]");
+    expect(Tree.deserialize("[]").size).toBe(0);
+  });
+
+  it("round-trips arbitrary values in both forms", function() {
+    const tree = new Tree(
+      new TreeNode("a,b", [
+        new TreeNode(null),
+        new TreeNode({ x: [1] }),
+        new TreeNode(-0, [new TreeNode(false)])
+      ])
+    );
+    for (const format of ["nested", "level-order"]) {
+      const result = Tree.deserialize(Tree.serialize(tree, { format }));
+      expect(result.toObject()).toEqual(tree.toObject());
+      expect(Object.is(result.find(node => node.val === 0).val, -0)).toBe(true);
+    }
+  });
+
+  it("uses a custom value codec", function() {
+    const codec = { encode: val => String(val), decode: text => Number(text) };
+    const serialized = Tree.serialize(smallTree, { codec });
+    expect(serialized).toBe('{"val":"1","children":[{"val":"2"}]}');
+    expect(Tree.deserialize(serialized, { codec }).sumValues()).toBe(3);
+  });
+
+  it("reports malformed input with its position", function() {
+    const errorFor = serialized => {
+      try {
+        Tree.deserialize(serialized);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(errorFor("{")).toBeInstanceOf(TreeFormatError);
+    expect(errorFor('{"val":1,"children":[{"val":2},{"v":3}]}').position).toBe(
+      "children[1]"
+    );
+    expect(errorFor('{"val":1,"children":{}}').message).toMatch(
+      '"children" must be an array'
+    );
+    expect(errorFor("[1,2]").position).toBe(1);
+    expect(errorFor("[null]").position).toBe(0);
+    expect(errorFor("[1,null,2,null,null,3]").position).toBe(5);
+    expect(errorFor("[1,null,2,null,null,null]").position).toBe(5);
+    expect(errorFor("[1,null,null,null]").message).toMatch("no parent is left");
+    expect(Tree.deserialize("[1,null,2,null,null]").size).toBe(2);
+    expect(() => Tree.serialize(smallTree, { format: "xml" })).toThrow(
+      TypeError
+    );
+  });
+});
+
+describe("comparison", function() {
+  const copyOf = tree => Tree.fromObject(tree.toObject());
+  const rootOf = tree => tree.find(() => true);
+
+  it("checks equality of shape, values and child order", function() {
+    expect(largeTree.equals(copyOf(largeTree))).toBe(true);
+    expect(emptyTree.equals(new Tree())).toBe(true);
+    expect(largeTree.equals(smallTree)).toBe(false);
+    expect(emptyTree.equals(smallTree)).toBe(false);
+
+    const reordered = copyOf(largeTree);
+    rootOf(reordered).children.reverse();
+    expect(largeTree.equals(reordered)).toBe(false);
+  });
+
+  it("checks isomorphism up to child order", function() {
+    const reordered = copyOf(largeTree);
+    rootOf(reordered).children.reverse();
+    rootOf(reordered).children[0].children.reverse();
+    expect(largeTree.isIsomorphic(reordered)).toBe(true);
+    expect(emptyTree.isIsomorphic(new Tree())).toBe(true);
+    expect(emptyTree.isIsomorphic(smallTree)).toBe(false);
+
+    // Same values and sizes, but 8 hangs from a different node.
+    const moved = copyOf(largeTree);
+    const node7 = moved.find(node => node.val === 7);
+    const node5 = moved.find(node => node.val === 5);
+    moved.moveSubtree(node7.children[0], node5);
+    expect(largeTree.isIsomorphic(moved)).toBe(false);
+
+    const relabeled = copyOf(largeTree);
+    relabeled.replaceValue(
+      relabeled.find(node => node.val === 8),
+      9
+    );
+    expect(largeTree.isIsomorphic(relabeled)).toBe(false);
+  });
+
+  it("diffs trees by path", function() {
+    const other = copyOf(largeTree);
+    const node4 = rootOf(other).children[2];
+    other.replaceValue(node4, 40);
+    other.removeNode(node4.children[1]);
+    other.addChild(rootOf(other).children[0], 9);
+
+    expect(
+      largeTree.diff(other).map(({ type, path }) => `${type} ${path}`)
+    ).toEqual([
+      "added children[0].children[0]",
+      "changed children[2]",
+      "removed children[2].children[1]"
+    ]);
+    const [added, changed, removed] = largeTree.diff(other);
+    expect(added.before).toBe(null);
+    expect(added.after.val).toBe(9);
+    expect(changed.before.val).toBe(4);
+    expect(changed.after.val).toBe(40);
+    expect(removed.before.val).toBe(6);
+    expect(removed.after).toBe(null);
+
+    expect(largeTree.diff(copyOf(largeTree))).toEqual([]);
+    expect(emptyTree.diff(smallTree)).toEqual([
+      { type: "added", path: "root", before: null, after: rootOf(smallTree) }
+    ]);
+  });
+});
+
+describe("transforms", function() {
+  const valuesOf = tree => [...tree.preorder()].map(({ node }) => node.val);
+
+  it("clones into new nodes", function() {
+    const copy = largeTree.clone();
+    expect(copy.equals(largeTree)).toBe(true);
+    expect(copy.find(() => true)).not.toBe(largeTree.find(() => true));
+    expect(emptyTree.clone().size).toBe(0);
+  });
+
+  it("mirrors into a copy or in place", function() {
+    const mirrored = largeTree.mirror();
+    expect(valuesOf(mirrored)).toEqual([1, 4, 6, 7, 8, 5, 3, 2]);
+    expect(valuesOf(largeTree)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(largeTree.mirror({ inPlace: true })).toBe(largeTree);
+    expect(largeTree.equals(mirrored)).toBe(true);
+  });
+
+  it("maps values into a copy or in place", function() {
+    expect(valuesOf(largeTree.mapValues(val => -val))).toEqual([
+      -1,
+      -2,
+      -3,
+      -4,
+      -5,
+      -6,
+      -7,
+      -8
+    ]);
+    largeTree.mapValues((val, node, { depth }) => depth, { inPlace: true });
+    expect(valuesOf(largeTree)).toEqual([1, 2, 2, 2, 3, 3, 4, 5]);
+  });
+
+  it("prunes subtrees into a copy or in place", function() {
+    const pruned = largeTree.prune(node => node.val === 6 || node.val === 2);
+    expect(pruned.toObject()).toEqual({
+      val: 1,
+      children: [{ val: 3 }, { val: 4, children: [{ val: 5 }] }]
+    });
+    expect(largeTree.size).toBe(8);
+
+    const node6 = largeTree.find(node => node.val === 6);
+    largeTree.prune(node => node === node6, { inPlace: true });
+    expect(largeTree.size).toBe(5);
+    expect(largeTree.height).toBe(3);
+    expect(largeTree.contains(node6)).toBe(false);
+
+    expect(largeTree.prune(() => true).size).toBe(0);
+    largeTree.prune(() => true, { inPlace: true });
+    expect(largeTree.size).toBe(0);
+  });
+
+  it("trims to a depth", function() {
+    expect(largeTree.trimToDepth(2).toObject()).toEqual({
+      val: 1,
+      children: [{ val: 2 }, { val: 3 }, { val: 4 }]
+    });
+    expect(largeTree.trimToDepth(0).size).toBe(0);
+    expect(() => largeTree.trimToDepth(1.5)).toThrow(RangeError);
+    largeTree.trimToDepth(3, { inPlace: true });
+    expect(largeTree.height).toBe(3);
+    expect(largeTree.size).toBe(6);
+  });
+
+  it("flattens into a chain in preorder", function() {
+    const flat = largeTree.flatten();
+    expect(valuesOf(flat)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(flat.height).toBe(8);
+    expect(largeTree.height).toBe(5);
+
+    expect(largeTree.flatten({ inPlace: true })).toBe(largeTree);
+    expect(largeTree.height).toBe(8);
+    expect(largeTree.equals(flat)).toBe(true);
+  });
+});
+
+describe("stats", function() {
+  it("reports shape and values in one call", function() {
+    expect(largeTree.stats()).toEqual({
+      size: 8,
+      height: 5,
+      leafCount: 4,
+      internalCount: 4,
+      levelWidths: [1, 3, 2, 1, 1],
+      maxWidth: 3,
+      branchingHistogram: [4, 2, 1, 1],
+      isBalanced: false,
+      isComplete: false,
+      isFull: false,
+      isPerfect: false,
+      min: 1,
+      max: 8,
+      sum: 36
+    });
+    expect(emptyTree.stats().size).toBe(0);
+  });
+
+  it("measures fullness against the widest node", function() {
+    const ternary = Tree.fromObject({
+      val: 0,
+      children: [
+        { val: 1, children: [{ val: 4 }, { val: 5 }, { val: 6 }] },
+        { val: 2, children: [{ val: 7 }] },
+        { val: 3 }
+      ]
+    });
+    expect(ternary.stats()).toMatchObject({
+      isBalanced: true,
+      isComplete: true,
+      isFull: false,
+      isPerfect: false
+    });
+    ternary.removeNode(ternary.find(node => node.val === 7));
+    expect(ternary.stats()).toMatchObject({ isFull: true, isComplete: true });
+  });
+});
+
+describe("level views", function() {
+  it("groups values by level", function() {
+    expect(largeTree.levels()).toEqual([[1], [2, 3, 4], [5, 6], [7], [8]]);
+    expect(largeTree.zigzagLevels()).toEqual([
+      [1],
+      [4, 3, 2],
+      [5, 6],
+      [7],
+      [8]
+    ]);
+    expect(largeTree.leftView()).toEqual([1, 2, 5, 7, 8]);
+    expect(largeTree.rightView()).toEqual([1, 4, 6, 7, 8]);
+    expect(emptyTree.levels()).toEqual([]);
+  });
+
+  it("aggregates each level", function() {
+    expect(largeTree.levelAggregates()[1]).toEqual({
+      count: 3,
+      sum: 9,
+      average: 3,
+      min: 2,
+      max: 4
+    });
+  });
+});
+
+describe("very deep trees", function() {
+  const DEPTH = 100000;
+  let chain;
+  let deepest;
+
+  beforeEach(function() {
+    const root = new TreeNode(0);
+    deepest = root;
+    for (let val = 1; val < DEPTH; val++) {
+      const child = new TreeNode(val);
+      deepest.children.push(child);
+      deepest = child;
+    }
+    chain = new Tree(root);
+  });
+
+  it("measures and converts without overflowing the stack", function() {
+    expect(chain.depthOf(deepest)).toBe(DEPTH);
+    expect(chain.stats()).toMatchObject({ height: DEPTH, maxWidth: 1 });
+    expect(chain.levels()).toHaveLength(DEPTH);
+    expect(Tree.fromObject(chain.toObject()).equals(chain)).toBe(true);
+    expect(Tree.deserialize(Tree.serialize(chain)).equals(chain)).toBe(true);
+    expect(
+      Tree.deserialize(Tree.serialize(chain, { format: "level-order" })).equals(
+        chain
+      )
+    ).toBe(true);
+  });
+
+  it("compares and transforms", function() {
+    expect(chain.isIsomorphic(chain.mirror())).toBe(true);
+    expect(chain.diff(chain.clone())).toEqual([]);
+    expect(chain.trimToDepth(10).stats().height).toBe(10);
+    expect(chain.flatten().stats().height).toBe(DEPTH);
+  });
+});
+
+describe("visualization", function() {
+  it("lays out every child of a general tree", function() {
+    const root = new TreeNode(1, [
+      new TreeNode(2, [new TreeNode(5), new TreeNode(6)]),
+      new TreeNode(3),
+      new TreeNode(4, [new TreeNode(7)])
+    ]);
+    const visual = getVisualTreeString(root, "General", new Set(), {
+      showHeader: false,
+      layout: "tidy"
+    });
+    expect(visual.split("\n")).toEqual([
+      "     __1__",
+      "    /  |  \\",
+      "   2   3   4",
+      "  / \\      |",
+      " 5   6     7"
+    ]);
+  });
+
+  it("draws outlines and sideways views of general trees", function() {
+    const root = new TreeNode(1, [
+      new TreeNode(2, [new TreeNode(5), new TreeNode(6)]),
+      new TreeNode(3),
+      new TreeNode(4, [new TreeNode(7)])
+    ]);
+    const options = { showHeader: false };
+    expect(
+      getOutlineTreeString(root, "General", new Set(), options).split("\n")
+    ).toEqual([
+      "1",
+      "├── 2",
+      "│   ├── 5",
+      "│   └── 6",
+      "├── 3",
+      "└── 4",
+      "    └── 7"
+    ]);
+    expect(
+      getSidewaysTreeString(root, "General", new Set(), options).split("\n")
+    ).toEqual([
+      "    ┌── 7",
+      "┌── 4",
+      "├── 3",
+      "1",
+      "│   ┌── 6",
+      "└── 2",
+      "    └── 5"
+    ]);
+  });
+});
+
+describe("diagram export", function() {
+  it("exports general trees without edge labels or placeholders", function() {
+    const root = new TreeNode(1, [new TreeNode(2), new TreeNode(3)]);
+    const tree = new Tree(root);
+    expect(tree.toDot({ highlighted: new Set([root.children[1]]) })).toBe(
+      [
+        'digraph "tree" {',
+        "  graph [ordering=out];",
+        '  n0 [label="1"];',
+        '  n1 [label="2"];',
+        '  n2 [label="3", style=filled, fillcolor="yellow", class="highlighted"];',
+        "  n0 -> n1;",
+        "  n0 -> n2;",
+        "}"
+      ].join("\n")
+    );
+    expect(
+      tree.toMermaid({ formatLabel: node => `say "${node.val}"` }).split("\n")
+    ).toEqual([
+      "flowchart TD",
+      '  n0["say #quot;1#quot;"]',
+      '  n1["say #quot;2#quot;"]',
+      '  n2["say #quot;3#quot;"]',
+      "  n0 --> n1",
+      "  n0 --> n2"
+    ]);
+    expect(emptyTree.toMermaid()).toBe("flowchart TD");
+  });
+});